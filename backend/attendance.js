@@ -0,0 +1,108 @@
+const { v4: uuidv4 } = require('uuid');
+const { csvCell } = require('./records');
+const { identityKey } = require('./identity');
+
+// Attendance outlives participant records, which are dropped when someone leaves, so a report is
+// still available after the meeting ends. Each attendee keeps the intervals they were connected for.
+
+// A person who comes back on the same device (or with the same invitation) continues their earlier attendance
+// instead of appearing twice. Names are not matched, so two people called John keep separate rows.
+
+const findAttendee = (room, participantId) =>
+  [...room.attendance.values()].find((attendee) => attendee.participantIds.includes(participantId)) || null;
+
+const isPresent = (attendee) => attendee.sessions.some((session) => !session.leftAt);
+
+const roleOf = (participant) => (participant.isHost ? 'host' : participant.isCoHost ? 'co-host' : 'participant');
+
+// Opens an interval when a participant joins, is admitted or reconnects.
+const recordJoin = (room, participant) => {
+  let attendee = findAttendee(room, participant.id);
+  if (!attendee) {
+    const key = identityKey(participant);
+    attendee = [...room.attendance.values()].find((entry) => entry.key === key && !isPresent(entry));
+  }
+  if (!attendee) {
+    attendee = { id: uuidv4(), key: identityKey(participant), userName: participant.userName, role: null, participantIds: [], sessions: [] };
+    room.attendance.set(attendee.id, attendee);
+  }
+  if (!attendee.participantIds.includes(participant.id)) attendee.participantIds.push(participant.id);
+  attendee.role = roleOf(participant);
+  if (!isPresent(attendee)) attendee.sessions.push({ joinedAt: new Date().toISOString(), leftAt: null });
+  return attendee;
+};
+
+// Closes the open interval when a participant disconnects, is removed or the meeting ends.
+const recordLeave = (room, participant) => {
+  const attendee = findAttendee(room, participant.id);
+  const session = attendee?.sessions.find((entry) => !entry.leftAt);
+  if (session) session.leftAt = new Date().toISOString();
+  return attendee;
+};
+
+// Promotions and demotions happen mid-session, so they change the role without opening an interval.
+const recordRole = (room, participant) => {
+  const attendee = findAttendee(room, participant.id);
+  if (attendee) attendee.role = roleOf(participant);
+  return attendee;
+};
+
+const closeAttendance = (room) => {
+  room.participants.forEach((participant) => recordLeave(room, participant));
+};
+
+const sessionSeconds = ({ joinedAt, leftAt }, now) =>
+  Math.max(0, Math.round(((leftAt ? Date.parse(leftAt) : now) - Date.parse(joinedAt)) / 1000));
+
+// Open intervals count up to now, so the live panel and mid-meeting reports show time so far.
+const getAttendance = (room) => {
+  const now = Date.now();
+  return [...room.attendance.values()].map((attendee) => ({
+    id: attendee.id,
+    userName: attendee.userName,
+    role: attendee.role,
+    present: isPresent(attendee),
+    firstJoinedAt: attendee.sessions[0]?.joinedAt || null,
+    lastLeftAt: isPresent(attendee) ? null : attendee.sessions[attendee.sessions.length - 1]?.leftAt || null,
+    rejoins: Math.max(0, attendee.sessions.length - 1),
+    totalSeconds: attendee.sessions.reduce((total, session) => total + sessionSeconds(session, now), 0),
+    sessions: attendee.sessions.map((session) => ({ ...session })),
+  }));
+};
+
+const toCsv = (rows) => {
+  const header = ['name', 'role', 'first joined', 'last left', 'rejoins', 'total minutes', 'present', 'sessions'];
+  const lines = rows.map((row) =>
+    [
+      row.userName,
+      row.role,
+      row.firstJoinedAt,
+      row.lastLeftAt,
+      row.rejoins,
+      (row.totalSeconds / 60).toFixed(1),
+      row.present ? 'yes' : 'no',
+      row.sessions.map((session) => `${session.joinedAt} - ${session.leftAt || 'now'}`).join('; '),
+    ].map(csvCell).join(',')
+  );
+  return [header.join(','), ...lines].join('\r\n');
+};
+
+// Returns { filename, contentType, content } for 'json' or 'csv', or null for anything else.
+const attendanceReport = (room, format = 'json') => {
+  if (!['json', 'csv'].includes(format)) return null;
+  const rows = getAttendance(room);
+  return {
+    filename: `attendance-${room.id}.${format}`,
+    contentType: format === 'csv' ? 'text/csv' : 'application/json',
+    content: format === 'csv' ? toCsv(rows) : JSON.stringify({ roomId: room.id, title: room.title, attendance: rows }, null, 2),
+  };
+};
+
+module.exports = {
+  recordJoin,
+  recordLeave,
+  recordRole,
+  closeAttendance,
+  getAttendance,
+  attendanceReport,
+};
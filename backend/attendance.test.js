@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRoom, addParticipant, setCoHost } = require('./rooms');
+const { recordJoin, recordLeave, recordRole, getAttendance } = require('./attendance');
+const { endSession } = require('./sessionTimer');
+
+test('a plain join followed by a promotion is a single session', () => {
+  const room = createRoom({ title: 'Attendance' });
+  const participant = addParticipant(room, { socketId: 'socket-1', userName: 'Cand', isHost: false });
+  recordJoin(room, participant);
+  recordRole(room, setCoHost(room, participant.id, true));
+
+  const [row] = getAttendance(room);
+  assert.strictEqual(row.role, 'co-host');
+  assert.strictEqual(row.rejoins, 0);
+  assert.strictEqual(row.sessions.length, 1);
+  assert.strictEqual(row.present, true);
+});
+
+test('resuming after a dropped connection opens a second session on the same row', () => {
+  const room = createRoom({ title: 'Attendance' });
+  const participant = addParticipant(room, { socketId: 'socket-1', userName: 'Cand', isHost: false });
+  recordJoin(room, participant);
+  recordLeave(room, participant);
+  recordJoin(room, participant);
+
+  const rows = getAttendance(room);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].rejoins, 1);
+  assert.strictEqual(rows[0].sessions.length, 2);
+});
+
+test('two people who share a name keep separate rows and end times', () => {
+  const room = createRoom({ title: 'Attendance' });
+  const first = addParticipant(room, { socketId: 'socket-1', deviceId: 'device-1', userName: 'John', isHost: false });
+  recordJoin(room, first);
+  recordLeave(room, first);
+  const second = addParticipant(room, { socketId: 'socket-2', deviceId: 'device-2', userName: 'john', isHost: false });
+  recordJoin(room, second);
+
+  const rows = getAttendance(room);
+  assert.strictEqual(rows.length, 2);
+  assert.deepStrictEqual(rows.map((row) => [row.present, row.sessions.length]), [[false, 1], [true, 1]]);
+  endSession(room);
+  assert.deepStrictEqual(room.sessionTimer.endTimes.map((entry) => entry.present), [false, true]);
+});
+
+test('coming back on the same device as a new participant continues the same row', () => {
+  const room = createRoom({ title: 'Attendance' });
+  const before = addParticipant(room, { socketId: 'socket-1', deviceId: 'device-1', userName: 'John', isHost: false });
+  recordJoin(room, before);
+  recordLeave(room, before);
+  const after = addParticipant(room, { socketId: 'socket-2', deviceId: 'device-1', userName: 'John', isHost: false });
+  recordJoin(room, after);
+
+  const rows = getAttendance(room);
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0].rejoins, 1);
+});
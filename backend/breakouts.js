@@ -0,0 +1,102 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_BREAKOUTS = 50;
+const MAX_CLOSE_COUNTDOWN_SECONDS = 300;
+
+// Breakout rooms split the meeting's peer mesh into smaller groups. Everyone stays in the meeting, so chat,
+// polls and moderation still reach them; only the people they exchange media with change.
+// participant.breakoutId is the group someone is in right now (null for the main room), while
+// room.breakouts.assignments is where the host has put them for the next time breakouts open.
+
+const closeTimers = new Map();
+
+const isModerator = (participant) => !!participant && (participant.isHost || participant.isCoHost);
+
+const findBreakout = (room, breakoutId) => room.breakouts.rooms.find((breakout) => breakout.id === breakoutId) || null;
+
+// Replaces the breakout rooms with `count` empty ones. Returns { rooms } or { error }.
+const setupBreakouts = (room, count) => {
+  if (room.breakouts.status !== 'closed') return { error: 'Close the breakout rooms first.' };
+  const total = Number(count);
+  if (!Number.isInteger(total) || total < 1 || total > MAX_BREAKOUTS) {
+    return { error: `Create between 1 and ${MAX_BREAKOUTS} breakout rooms.` };
+  }
+  room.breakouts.rooms = Array.from({ length: total }, (_, index) => ({ id: uuidv4(), name: `Room ${index + 1}` }));
+  room.breakouts.assignments.clear();
+  return { rooms: room.breakouts.rooms };
+};
+
+// A null breakoutId keeps the participant in the main room. Returns { participant } or { error }.
+const assignParticipant = (room, participantId, breakoutId) => {
+  const participant = room.participants.get(participantId);
+  if (!participant) return { error: 'That participant is no longer in this meeting.' };
+  if (breakoutId && !findBreakout(room, breakoutId)) return { error: 'Breakout room not found.' };
+  if (breakoutId) room.breakouts.assignments.set(participantId, breakoutId);
+  else room.breakouts.assignments.delete(participantId);
+  return { participant };
+};
+
+// Spreads everyone except the host and co-hosts evenly over the breakout rooms, in random order.
+const assignRandomly = (room) => {
+  const { rooms, assignments } = room.breakouts;
+  if (!rooms.length) return { error: 'Create breakout rooms first.' };
+  const pool = [...room.participants.values()].filter((participant) => !isModerator(participant));
+  for (let i = pool.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  assignments.clear();
+  pool.forEach((participant, index) => assignments.set(participant.id, rooms[index % rooms.length].id));
+  return { assignments };
+};
+
+const openBreakouts = (room) => {
+  if (!room.breakouts.rooms.length) return { error: 'Create breakout rooms first.' };
+  if (room.breakouts.status !== 'closed') return { error: 'Breakout rooms are already open.' };
+  room.breakouts.status = 'open';
+  return {};
+};
+
+// Where a participant belongs right now: their assignment while breakouts are open, otherwise the main room.
+const getAssignedBreakout = (room, participantId) =>
+  room.breakouts.status === 'closed' ? null : room.breakouts.assignments.get(participantId) || null;
+
+const cancelBreakoutClose = (roomId) => {
+  clearTimeout(closeTimers.get(roomId));
+  closeTimers.delete(roomId);
+};
+
+// Starts the countdown after which everyone returns to the main room. Returns { closesAt } or { error }.
+const scheduleBreakoutClose = (room, seconds, onExpire) => {
+  if (room.breakouts.status === 'closed') return { error: 'Breakout rooms are not open.' };
+  const delay = Math.min(MAX_CLOSE_COUNTDOWN_SECONDS, Math.max(0, Math.round(Number(seconds) || 0)));
+  cancelBreakoutClose(room.id);
+  room.breakouts.status = 'closing';
+  room.breakouts.closesAt = new Date(Date.now() + delay * 1000).toISOString();
+  closeTimers.set(room.id, setTimeout(() => {
+    closeTimers.delete(room.id);
+    room.breakouts.status = 'closed';
+    room.breakouts.closesAt = null;
+    if (room.status !== 'ended') onExpire();
+  }, delay * 1000));
+  return { closesAt: room.breakouts.closesAt };
+};
+
+const serializeBreakouts = (room) => ({
+  status: room.breakouts.status,
+  closesAt: room.breakouts.closesAt,
+  rooms: room.breakouts.rooms,
+  assignments: Object.fromEntries(room.breakouts.assignments),
+});
+
+module.exports = {
+  findBreakout,
+  setupBreakouts,
+  assignParticipant,
+  assignRandomly,
+  openBreakouts,
+  getAssignedBreakout,
+  scheduleBreakoutClose,
+  cancelBreakoutClose,
+  serializeBreakouts,
+};
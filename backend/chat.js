@@ -0,0 +1,176 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_MESSAGE_LENGTH = 2000;
+// Oldest messages are dropped once a room's history grows past this.
+const MAX_HISTORY = 500;
+const REACTIONS = ['👍', '❤️', '😂', '😮', '👏', '🎉'];
+
+const isModerator = (participant) => participant.isHost || participant.isCoHost;
+
+// Private threads always involve the host or a co-host, so candidates cannot whisper to each other.
+const canDirectMessage = (sender, recipient) =>
+  sender.id !== recipient.id && (isModerator(sender) || isModerator(recipient));
+
+// Moderators are exempt from chat policies. While the room chat is closed, participants can
+// still reach the host and co-hosts privately; a chat mute silences them everywhere.
+// Returns the reason a participant may not post to a thread right now, or null.
+const getChatRestriction = (room, participant, recipient = null) => {
+  if (isModerator(participant)) return null;
+  if (participant.chatMuted) return 'You have been muted in chat by the host.';
+  if (recipient && isModerator(recipient)) return null;
+  if (room.settings.chatMode === 'disabled') return 'Chat is disabled in this meeting.';
+  if (room.settings.chatMode === 'hosts') return 'Only the host and co-hosts can send messages to everyone.';
+  return null;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsBlockedWord = (room, text) => {
+  const words = room.settings.blockedWords;
+  if (!words.length || typeof text !== 'string') return false;
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+  return pattern.test(text);
+};
+
+// Full policy check for a new message: restrictions, the word filter and slow mode.
+// Returns the rejection reason shown to the sender, or null.
+const checkChatPolicy = (room, participant, { text, recipient = null }) => {
+  const restriction = getChatRestriction(room, participant, recipient);
+  if (restriction) return restriction;
+  if (isModerator(participant)) return null;
+  if (containsBlockedWord(room, text)) return 'Your message contains a word that is not allowed in this meeting.';
+  const { slowModeSeconds } = room.settings;
+  const lastSent = room.chatLastSent.get(participant.id);
+  if (slowModeSeconds && lastSent) {
+    const waitSeconds = Math.ceil((lastSent + slowModeSeconds * 1000 - Date.now()) / 1000);
+    if (waitSeconds > 0) return `Slow mode is on. You can send another message in ${waitSeconds}s.`;
+  }
+  return null;
+};
+
+const setChatMuted = (room, participantId, muted) => {
+  const participant = room.participants.get(participantId);
+  if (!participant || isModerator(participant)) return null;
+  participant.chatMuted = !!muted;
+  return participant;
+};
+
+// Stores a message in the room's history with a server-assigned ID and timestamp.
+// A recipient makes it a direct message; an attachment describes a shared file and makes the text optional.
+// Returns { message, droppedAttachments }, or null when there is nothing to send.
+const addMessage = (room, participant, { text, recipient = null, attachment = null }) => {
+  const hasText = typeof text === 'string' && !!text.trim();
+  if (!hasText && !attachment) return null;
+  const message = {
+    id: uuidv4(),
+    from: participant.id,
+    userName: participant.userName,
+    to: recipient ? recipient.id : null,
+    toUserName: recipient ? recipient.userName : null,
+    message: hasText ? text.trim().slice(0, MAX_MESSAGE_LENGTH) : '',
+    attachment,
+    sentAt: new Date().toISOString(),
+    editedAt: null,
+    deleted: false,
+    // emoji -> IDs of the participants who reacted with it
+    reactions: {},
+  };
+  room.chat.push(message);
+  room.chatLastSent.set(participant.id, Date.now());
+  const dropped = room.chat.length > MAX_HISTORY ? room.chat.splice(0, room.chat.length - MAX_HISTORY) : [];
+  // Files of dropped messages can no longer be reached, so the caller deletes them to free the room's storage.
+  const droppedAttachments = dropped.map((msg) => msg.attachment).filter(Boolean);
+  return { message, droppedAttachments };
+};
+
+const isVisibleTo = (message, participantId) =>
+  !message.to || message.to === participantId || message.from === participantId;
+
+// Looks up a message the participant can see, for editing, deleting or reacting to it.
+const findMessage = (room, participant, messageId) => {
+  const message = room.chat.find((msg) => msg.id === messageId);
+  if (!message || !isVisibleTo(message, participant.id)) return { error: 'Message not found.' };
+  if (message.deleted) return { error: 'This message was deleted.' };
+  return { message };
+};
+
+const editMessage = (room, participant, messageId, text) => {
+  const { message, error } = findMessage(room, participant, messageId);
+  if (error) return { error };
+  if (message.from !== participant.id) return { error: 'You can only edit your own messages.' };
+  if (typeof text !== 'string' || !text.trim()) return { error: 'Message is empty.' };
+  const restriction = getChatRestriction(room, participant, room.participants.get(message.to));
+  if (restriction) return { error: restriction };
+  if (!isModerator(participant) && containsBlockedWord(room, text)) {
+    return { error: 'Your message contains a word that is not allowed in this meeting.' };
+  }
+  message.message = text.trim().slice(0, MAX_MESSAGE_LENGTH);
+  message.editedAt = new Date().toISOString();
+  return { message };
+};
+
+// Authors can delete their own messages; the host and co-hosts can delete any message they can see.
+// The message stays in history as a tombstone so every client removes the same entry.
+// Returns the removed attachment too, so its stored copy can be dropped.
+const deleteMessage = (room, participant, messageId) => {
+  const { message, error } = findMessage(room, participant, messageId);
+  if (error) return { error };
+  if (message.from !== participant.id && !isModerator(participant)) {
+    return { error: 'You can only delete your own messages.' };
+  }
+  const removedAttachment = message.attachment;
+  message.deleted = true;
+  message.message = '';
+  message.attachment = null;
+  message.reactions = {};
+  return { message, removedAttachment };
+};
+
+const toggleReaction = (room, participant, messageId, emoji) => {
+  if (!REACTIONS.includes(emoji)) return { error: 'That reaction is not supported.' };
+  const { message, error } = findMessage(room, participant, messageId);
+  if (error) return { error };
+  const reacted = message.reactions[emoji] || [];
+  const next = reacted.includes(participant.id)
+    ? reacted.filter((id) => id !== participant.id)
+    : [...reacted, participant.id];
+  if (next.length) message.reactions[emoji] = next;
+  else delete message.reactions[emoji];
+  return { message };
+};
+
+// Read state is a per-participant timestamp; anything sent after it counts as unread.
+const markRead = (room, participantId, readAt) => {
+  const time = Date.parse(readAt);
+  if (Number.isNaN(time)) return null;
+  const current = room.chatReads.get(participantId);
+  if (!current || Date.parse(current) < time) room.chatReads.set(participantId, new Date(time).toISOString());
+  return room.chatReads.get(participantId);
+};
+
+// History replayed to a participant when they join, resume or are admitted; other people's direct messages are left out.
+const getHistory = (room, participantId) => ({
+  messages: room.chat
+    .filter((message) => isVisibleTo(message, participantId))
+    .map((message) => ({
+      ...message,
+      attachment: message.attachment && { ...message.attachment },
+      reactions: { ...message.reactions },
+    })),
+  lastReadAt: room.chatReads.get(participantId) || null,
+});
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  REACTIONS,
+  canDirectMessage,
+  getChatRestriction,
+  checkChatPolicy,
+  setChatMuted,
+  addMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markRead,
+  getHistory,
+};
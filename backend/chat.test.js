@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRoom, addParticipant } = require('./rooms');
+const { addMessage } = require('./chat');
+
+test('messages trimmed from the history hand back their attachments for deletion', () => {
+  const room = createRoom({ title: 'Chat' });
+  const sender = addParticipant(room, { socketId: 'socket-1', userName: 'Cand', isHost: false });
+  const attachment = { id: 'file-1', name: 'notes.txt', size: 10, type: 'text/plain' };
+  assert.deepStrictEqual(addMessage(room, sender, { attachment }).droppedAttachments, []);
+  for (let i = 1; i < 500; i += 1) addMessage(room, sender, { text: `message ${i}` });
+
+  const { droppedAttachments } = addMessage(room, sender, { text: 'one too many' });
+  assert.deepStrictEqual(droppedAttachments, [attachment]);
+  assert.strictEqual(room.chat.length, 500);
+  assert.strictEqual(addMessage(room, sender, { text: '  ' }), null);
+});
@@ -0,0 +1,90 @@
+const { isRetain, isDelete, isInsert, apply, transform } = require('./textOperation');
+
+// Must match LANGUAGES in frontend/src/components/CodePad.js.
+const LANGUAGES = ['plaintext', 'javascript', 'python', 'java', 'cpp', 'go', 'sql'];
+const MAX_LENGTH = 100000;
+// Edits kept for transforming late edits and for replay. Older ones are folded into baseText.
+const MAX_HISTORY = 20000;
+const MAX_COMPONENTS = 1000;
+
+// Edits arrive from clients, so anything that is not a well-formed operation of reasonable size is refused.
+const isOperation = (operation) =>
+  Array.isArray(operation)
+  && operation.length <= MAX_COMPONENTS
+  && operation.every((component) => isRetain(component) || isDelete(component) || isInsert(component));
+
+// The server holds the one true copy of the pad. Every edit names the revision it was made on, is transformed
+// past anything applied since, then gets the next revision number and goes to everyone else.
+const createCodePad = () => ({
+  language: 'plaintext',
+  text: '',
+  revision: 0,
+  // The text just before history[0].
+  baseText: '',
+  // { revision, at, participantId, userName, operation }
+  history: [],
+});
+
+const OUT_OF_DATE = 'Your copy of the code pad was out of date and has been reloaded.';
+
+// Returns { revision, operation } with the operation as applied, or { error }.
+const applyEdit = (room, participant, revision, operation) => {
+  const pad = room.codePad;
+  if (!isOperation(operation)) return { error: 'Invalid edit.' };
+  const firstRevision = pad.revision - pad.history.length;
+  if (!Number.isInteger(revision) || revision < firstRevision || revision > pad.revision) return { error: OUT_OF_DATE };
+
+  let applied = operation;
+  let text;
+  try {
+    pad.history.slice(revision - firstRevision).forEach((entry) => {
+      [, applied] = transform(entry.operation, applied);
+    });
+    text = apply(pad.text, applied);
+  } catch (err) {
+    return { error: OUT_OF_DATE };
+  }
+  if (text.length > MAX_LENGTH) return { error: `The code pad is limited to ${MAX_LENGTH} characters.` };
+
+  pad.text = text;
+  pad.revision += 1;
+  pad.history.push({
+    revision: pad.revision,
+    at: new Date().toISOString(),
+    participantId: participant.id,
+    userName: participant.userName,
+    operation: applied,
+  });
+  if (pad.history.length > MAX_HISTORY) {
+    const [oldest] = pad.history.splice(0, 1);
+    pad.baseText = apply(pad.baseText, oldest.operation);
+  }
+  return { revision: pad.revision, operation: applied };
+};
+
+const setLanguage = (room, language) => {
+  if (!LANGUAGES.includes(language)) return { error: 'Unsupported language.' };
+  room.codePad.language = language;
+  return { language };
+};
+
+const serializeCodePad = (room) => ({
+  language: room.codePad.language,
+  text: room.codePad.text,
+  revision: room.codePad.revision,
+});
+
+// Everything needed to replay the pad keystroke by keystroke, oldest first.
+const getCodePadHistory = (room) => ({
+  ...serializeCodePad(room),
+  baseText: room.codePad.baseText,
+  history: room.codePad.history,
+});
+
+module.exports = {
+  createCodePad,
+  applyEdit,
+  setLanguage,
+  serializeCodePad,
+  getCodePadHistory,
+};
@@ -0,0 +1,332 @@
+const { v4: uuidv4 } = require('uuid');
+const { csvCell, exportEntry } = require('./records');
+const { identityKey } = require('./identity');
+
+const MAX_QUESTIONS = 200;
+const MAX_QUESTION_LENGTH = 2000;
+const MAX_OPTION_LENGTH = 300;
+const MAX_OPTIONS = 10;
+const MAX_ANSWER_LENGTH = 10000;
+const MAX_TIME_LIMIT_SECONDS = 24 * 60 * 60;
+
+// The host loads a question set, then pushes questions to candidates one at a time or all at once.
+// A pushed question is 'open' until its own time limit, the exam's overall limit or the host closes it.
+// Answers are kept here with server timestamps; a candidate gets one submission per question.
+// The overall limit starts counting when the first question is pushed.
+
+const deadlineTimers = new Map();
+
+const isModerator = (participant) => !!participant && (participant.isHost || participant.isCoHost);
+
+const createExam = () => ({
+  title: '',
+  status: 'idle',
+  timeLimitSeconds: null,
+  startedAt: null,
+  endsAt: null,
+  endedAt: null,
+  questions: [],
+});
+
+const cleanText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+// A whole number of seconds within range, or null for no limit.
+const parseTimeLimit = (value) => {
+  const seconds = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isInteger(seconds) || seconds <= 0) return null;
+  return Math.min(seconds, MAX_TIME_LIMIT_SECONDS);
+};
+
+const toQuestion = (input, index) => {
+  if (!input || typeof input !== 'object') return { error: `Question ${index + 1} is not an object.` };
+  const text = cleanText(input.text, MAX_QUESTION_LENGTH);
+  if (!text) return { error: `Question ${index + 1} needs text.` };
+  const options = Array.isArray(input.options)
+    ? input.options.map((option) => cleanText(option, MAX_OPTION_LENGTH)).filter(Boolean)
+    : [];
+  if (options.length === 1 || options.length > MAX_OPTIONS) {
+    return { error: `Question ${index + 1} needs between 2 and ${MAX_OPTIONS} options, or none for a written answer.` };
+  }
+  return {
+    question: {
+      id: uuidv4(),
+      text,
+      type: options.length ? 'choice' : 'text',
+      options: options.map((option) => ({ id: uuidv4(), text: option })),
+      timeLimitSeconds: parseTimeLimit(input.timeLimitSeconds),
+      status: 'pending',
+      openedAt: null,
+      closesAt: null,
+      closedAt: null,
+      // identityKey -> { participantId, userName, answer, submittedAt }, so a reload cannot answer again
+      submissions: new Map(),
+    },
+  };
+};
+
+// Replaces the exam with a question set like { title, timeLimitSeconds, questions: [{ text, options, timeLimitSeconds }] }.
+// Returns { exam } or { error }.
+const loadExam = (room, set) => {
+  if (room.exam.status === 'running') return { error: 'End the current exam before loading another one.' };
+  if (!set || typeof set !== 'object' || !Array.isArray(set.questions)) {
+    return { error: 'The question set needs a "questions" list.' };
+  }
+  if (!set.questions.length || set.questions.length > MAX_QUESTIONS) {
+    return { error: `A question set needs between 1 and ${MAX_QUESTIONS} questions.` };
+  }
+  const questions = [];
+  for (let i = 0; i < set.questions.length; i += 1) {
+    const { question, error } = toQuestion(set.questions[i], i);
+    if (error) return { error };
+    questions.push(question);
+  }
+  room.exam = {
+    ...createExam(),
+    title: cleanText(set.title, 200) || 'Exam',
+    timeLimitSeconds: parseTimeLimit(set.timeLimitSeconds),
+    questions,
+  };
+  return { exam: room.exam };
+};
+
+const findQuestion = (room, questionId) => room.exam.questions.find((question) => question.id === questionId) || null;
+
+// A null questionId sets the overall limit. Limits can only change before they start counting.
+const setTimeLimit = (room, questionId, seconds) => {
+  const { exam } = room;
+  if (!questionId) {
+    if (exam.status !== 'idle') return { error: 'The overall time limit can only be changed before the exam starts.' };
+    exam.timeLimitSeconds = parseTimeLimit(seconds);
+    return {};
+  }
+  const question = findQuestion(room, questionId);
+  if (!question) return { error: 'Question not found.' };
+  if (question.status !== 'pending') return { error: 'That question has already been pushed.' };
+  question.timeLimitSeconds = parseTimeLimit(seconds);
+  return {};
+};
+
+const closeQuestion = (question, at) => {
+  question.status = 'closed';
+  question.closedAt = at;
+};
+
+// Opens pending questions: the given one, or all of them when questionId is null. Returns { opened } or { error }.
+const pushQuestions = (room, questionId) => {
+  const { exam } = room;
+  if (!exam.questions.length) return { error: 'Load a question set first.' };
+  if (exam.status === 'ended') return { error: 'This exam has ended. Load a question set to start again.' };
+  const pending = exam.questions.filter((question) => question.status === 'pending');
+  const opened = questionId ? pending.filter((question) => question.id === questionId) : pending;
+  if (!opened.length) return { error: questionId ? 'That question has already been pushed.' : 'Every question has been pushed.' };
+
+  const now = Date.now();
+  if (exam.status === 'idle') {
+    exam.status = 'running';
+    exam.startedAt = new Date(now).toISOString();
+    exam.endsAt = exam.timeLimitSeconds ? new Date(now + exam.timeLimitSeconds * 1000).toISOString() : null;
+  }
+  opened.forEach((question) => {
+    const deadlines = [
+      question.timeLimitSeconds ? now + question.timeLimitSeconds * 1000 : null,
+      exam.endsAt ? Date.parse(exam.endsAt) : null,
+    ].filter((deadline) => deadline !== null);
+    question.status = 'open';
+    question.openedAt = new Date(now).toISOString();
+    question.closesAt = deadlines.length ? new Date(Math.min(...deadlines)).toISOString() : null;
+  });
+  return { opened };
+};
+
+const closeQuestionEarly = (room, questionId) => {
+  const question = findQuestion(room, questionId);
+  if (!question || question.status !== 'open') return { error: 'That question is not open.' };
+  closeQuestion(question, new Date().toISOString());
+  return { question };
+};
+
+const endExam = (room, at = new Date().toISOString()) => {
+  const { exam } = room;
+  if (exam.status !== 'running') return { error: 'The exam is not running.' };
+  exam.questions.filter((question) => question.status === 'open').forEach((question) => closeQuestion(question, at));
+  exam.status = 'ended';
+  exam.endedAt = at;
+  return {};
+};
+
+// Returns { question } or { error }.
+const submitAnswer = (room, participant, questionId, answer) => {
+  if (isModerator(participant)) return { error: 'Only candidates answer exam questions.' };
+  const question = findQuestion(room, questionId);
+  if (!question || question.status === 'pending') return { error: 'Question not found.' };
+  // The deadline timer may not have fired yet, so the clock decides.
+  if (question.status !== 'open' || (question.closesAt && Date.now() > Date.parse(question.closesAt))) {
+    return { error: 'Time is up for this question.' };
+  }
+  if (question.submissions.has(identityKey(participant))) return { error: 'You have already answered this question.' };
+  let value;
+  if (question.type === 'choice') {
+    if (!question.options.some((option) => option.id === answer)) return { error: 'Choose one of the options.' };
+    value = answer;
+  } else {
+    value = typeof answer === 'string' ? answer.trim() : '';
+    if (!value) return { error: 'Answer cannot be empty.' };
+    if (value.length > MAX_ANSWER_LENGTH) return { error: `Answers can be at most ${MAX_ANSWER_LENGTH} characters.` };
+  }
+  question.submissions.set(identityKey(participant), {
+    participantId: participant.id,
+    userName: participant.userName,
+    answer: value,
+    submittedAt: new Date().toISOString(),
+  });
+  return { question };
+};
+
+// Closes whatever has run out of time. Returns true if anything changed.
+const closeExpired = (room) => {
+  const { exam } = room;
+  if (exam.status !== 'running') return false;
+  const now = Date.now();
+  if (exam.endsAt && now >= Date.parse(exam.endsAt)) {
+    endExam(room, exam.endsAt);
+    return true;
+  }
+  const expired = exam.questions.filter(
+    (question) => question.status === 'open' && question.closesAt && now >= Date.parse(question.closesAt)
+  );
+  expired.forEach((question) => closeQuestion(question, question.closesAt));
+  return expired.length > 0;
+};
+
+const cancelExamDeadline = (roomId) => {
+  clearTimeout(deadlineTimers.get(roomId));
+  deadlineTimers.delete(roomId);
+};
+
+// Keeps one timer per room, set for the next question or exam deadline. onChange runs after anything closes.
+const scheduleExamDeadline = (room, onChange) => {
+  cancelExamDeadline(room.id);
+  const { exam } = room;
+  if (exam.status !== 'running') return;
+  const deadlines = [
+    exam.endsAt,
+    ...exam.questions.filter((question) => question.status === 'open').map((question) => question.closesAt),
+  ].filter(Boolean).map(Date.parse);
+  if (!deadlines.length) return;
+  deadlineTimers.set(room.id, setTimeout(() => {
+    deadlineTimers.delete(room.id);
+    if (room.status === 'ended') return;
+    if (closeExpired(room)) onChange();
+    scheduleExamDeadline(room, onChange);
+  }, Math.max(0, Math.min(...deadlines) - Date.now())));
+};
+
+// Proctoring alerts about a candidate raised while the question was open, including any raised before a reload.
+const linkedAlerts = (room, question, identity) => {
+  if (!question.openedAt) return [];
+  const until = question.closedAt || new Date().toISOString();
+  return room.alerts
+    .filter((alert) => alert.identity === identity && alert.at >= question.openedAt && alert.at <= until)
+    .map(exportEntry);
+};
+
+const answerText = (question, answer) =>
+  question.type === 'choice' ? question.options.find((option) => option.id === answer)?.text ?? '' : answer;
+
+const getSubmissions = (room, question) =>
+  [...question.submissions.entries()].map(([identity, submission]) => ({
+    participantId: submission.participantId,
+    userName: submission.userName,
+    answer: submission.answer,
+    submittedAt: submission.submittedAt,
+    alerts: linkedAlerts(room, question, identity),
+  }));
+
+// Moderators see every question and all answers; candidates see pushed questions and their own answer only.
+const serializeExam = (room, viewer) => {
+  const { exam } = room;
+  const moderator = isModerator(viewer);
+  return {
+    title: exam.title,
+    status: exam.status,
+    timeLimitSeconds: exam.timeLimitSeconds,
+    startedAt: exam.startedAt,
+    endsAt: exam.endsAt,
+    endedAt: exam.endedAt,
+    questions: exam.questions
+      .filter((question) => moderator || question.status !== 'pending')
+      .map((question) => {
+        const own = viewer && question.submissions.get(identityKey(viewer));
+        return {
+          id: question.id,
+          text: question.text,
+          type: question.type,
+          options: question.options,
+          timeLimitSeconds: question.timeLimitSeconds,
+          status: question.status,
+          openedAt: question.openedAt,
+          closesAt: question.closesAt,
+          closedAt: question.closedAt,
+          yourAnswer: own ? { answer: own.answer, submittedAt: own.submittedAt } : null,
+          submissions: moderator ? getSubmissions(room, question) : null,
+        };
+      }),
+  };
+};
+
+const getRows = (room) =>
+  room.exam.questions.flatMap((question, index) =>
+    getSubmissions(room, question).map((submission) => ({
+      number: index + 1,
+      question: question.text,
+      userName: submission.userName,
+      answer: answerText(question, submission.answer),
+      openedAt: question.openedAt,
+      submittedAt: submission.submittedAt,
+      seconds: Math.round((Date.parse(submission.submittedAt) - Date.parse(question.openedAt)) / 1000),
+      alerts: submission.alerts,
+    }))
+  );
+
+const toCsv = (rows) => {
+  const header = ['question', 'text', 'participant', 'answer', 'opened at', 'submitted at', 'seconds taken', 'alerts'];
+  const lines = rows.map((row) =>
+    [
+      row.number,
+      row.question,
+      row.userName,
+      row.answer,
+      row.openedAt,
+      row.submittedAt,
+      row.seconds,
+      row.alerts.map((alert) => `${alert.at} ${alert.type}: ${alert.details || ''}`).join('; '),
+    ].map(csvCell).join(',')
+  );
+  return [header.join(','), ...lines].join('\r\n');
+};
+
+// Returns { filename, contentType, content } for 'json' or 'csv', or null for anything else.
+const examReport = (room, format = 'json') => {
+  if (!['json', 'csv'].includes(format)) return null;
+  return {
+    filename: `exam-results-${room.id}.${format}`,
+    contentType: format === 'csv' ? 'text/csv' : 'application/json',
+    content: format === 'csv'
+      ? toCsv(getRows(room))
+      : JSON.stringify({ roomId: room.id, ...serializeExam(room, { isHost: true }) }, null, 2),
+  };
+};
+
+module.exports = {
+  createExam,
+  loadExam,
+  setTimeLimit,
+  pushQuestions,
+  closeQuestionEarly,
+  endExam,
+  submitAnswer,
+  scheduleExamDeadline,
+  cancelExamDeadline,
+  serializeExam,
+  examReport,
+};
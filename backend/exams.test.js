@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRoom, addParticipant } = require('./rooms');
+const { logAlert } = require('./records');
+const { loadExam, pushQuestions, submitAnswer, scheduleExamDeadline, cancelExamDeadline, examReport } = require('./exams');
+
+const startExam = (timeLimitSeconds = null) => {
+  const room = createRoom({ title: 'Exam' });
+  loadExam(room, { questions: [{ text: 'Explain closures.', timeLimitSeconds }] });
+  pushQuestions(room, null);
+  return { room, question: room.exam.questions[0] };
+};
+
+const addCandidate = (room, deviceId, userName = 'Cand') =>
+  addParticipant(room, { socketId: `socket-${deviceId}`, deviceId, userName, isHost: false });
+
+test('a question closes at its deadline and later answers are refused', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const { room, question } = startExam(60);
+  const candidate = addCandidate(room, 'device-1');
+  let changes = 0;
+  scheduleExamDeadline(room, () => { changes += 1; });
+
+  t.mock.timers.tick(59 * 1000);
+  assert.strictEqual(question.status, 'open');
+  t.mock.timers.tick(1000);
+  assert.strictEqual(question.status, 'closed');
+  assert.strictEqual(question.closedAt, question.closesAt);
+  assert.strictEqual(changes, 1);
+  assert.strictEqual(submitAnswer(room, candidate, question.id, 'Late').error, 'Time is up for this question.');
+  cancelExamDeadline(room.id);
+});
+
+test('a candidate cannot answer again, even after reloading as a new participant', () => {
+  const { room, question } = startExam();
+  const candidate = addCandidate(room, 'device-1');
+  assert.ok(submitAnswer(room, candidate, question.id, 'First').question);
+  assert.strictEqual(submitAnswer(room, candidate, question.id, 'Second').error, 'You have already answered this question.');
+
+  const reloaded = addCandidate(room, 'device-1');
+  assert.strictEqual(submitAnswer(room, reloaded, question.id, 'Third').error, 'You have already answered this question.');
+  assert.ok(submitAnswer(room, addCandidate(room, 'device-2'), question.id, 'Someone else').question);
+  assert.strictEqual(question.submissions.size, 2);
+});
+
+test('alerts raised before a reload stay linked to the answer', () => {
+  const { room, question } = startExam();
+  const candidate = addCandidate(room, 'device-1');
+  const other = addCandidate(room, 'device-2', 'Other');
+  logAlert(room, 'tab-switch', candidate, 'Switched tabs');
+  logAlert(room, 'tab-switch', other, 'Not this candidate');
+  const reloaded = addCandidate(room, 'device-1');
+  submitAnswer(room, reloaded, question.id, 'Answer');
+
+  const { questions } = JSON.parse(examReport(room, 'json').content);
+  const [submission] = questions[0].submissions;
+  assert.strictEqual(submission.participantId, reloaded.id);
+  assert.deepStrictEqual(submission.alerts.map((alert) => alert.details), ['Switched tabs']);
+  assert.strictEqual(submission.alerts[0].identity, undefined);
+});
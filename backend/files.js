@@ -0,0 +1,89 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Files shared in chat normally travel peer-to-peer; these limits cover the server upload fallback.
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_ROOM_STORAGE = 100 * 1024 * 1024;
+// Image types clients may show inline. SVG is left out because it can carry script.
+const PREVIEW_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// fileId -> { id, roomId, message, uploadToken, data }
+const files = new Map();
+
+// Validates the file details a sender announces in chat. Returns { attachment } or { error }.
+const sanitizeAttachment = (attachment) => {
+  if (!attachment || typeof attachment !== 'object') return { error: 'Invalid file.' };
+  const size = Number(attachment.size);
+  if (!Number.isInteger(size) || size <= 0) return { error: 'Invalid file.' };
+  if (size > MAX_FILE_SIZE) {
+    return { error: `Files can be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB.` };
+  }
+  const name = typeof attachment.name === 'string'
+    ? attachment.name.replace(/[\u0000-\u001f\\/]/g, '_').trim().slice(0, 200)
+    : '';
+  const type = typeof attachment.type === 'string' && /^[\w.+-]+\/[\w.+-]+$/.test(attachment.type)
+    ? attachment.type.toLowerCase()
+    : 'application/octet-stream';
+  return {
+    attachment: {
+      id: uuidv4(),
+      name: name || 'file',
+      size,
+      type,
+      // Set once the sender has uploaded a copy for people the file could not reach directly.
+      uploaded: false,
+    },
+  };
+};
+
+// Remembers an announced file so its sender can upload it later; returns the upload token.
+const registerFile = (roomId, message) => {
+  const file = { id: message.attachment.id, roomId, message, uploadToken: uuidv4(), data: null };
+  files.set(file.id, file);
+  return file.uploadToken;
+};
+
+const getRoomStorage = (roomId) =>
+  [...files.values()].reduce((total, file) => total + (file.roomId === roomId && file.data ? file.data.length : 0), 0);
+
+// Stores an uploaded copy. Returns the file record, or { error, status } when the upload is refused.
+const storeUpload = (roomId, fileId, uploadToken, data) => {
+  const file = files.get(fileId);
+  if (!file || file.roomId !== roomId || file.message.deleted) return { error: 'File not found.', status: 404 };
+  if (!uploadToken || file.uploadToken !== uploadToken) return { error: 'Invalid upload token.', status: 403 };
+  if (file.data) return { error: 'File was already uploaded.', status: 409 };
+  if (!Buffer.isBuffer(data) || data.length !== file.message.attachment.size) {
+    return { error: 'Upload does not match the announced file size.', status: 400 };
+  }
+  if (getRoomStorage(roomId) + data.length > MAX_ROOM_STORAGE) {
+    return { error: 'This meeting has run out of file storage.', status: 507 };
+  }
+  file.data = data;
+  file.message.attachment.uploaded = true;
+  return { file };
+};
+
+const getUploadedFile = (roomId, fileId) => {
+  const file = files.get(fileId);
+  return file && file.roomId === roomId && file.data ? file : null;
+};
+
+const deleteFile = (fileId) => {
+  files.delete(fileId);
+};
+
+const deleteRoomFiles = (roomId) => {
+  files.forEach((file, fileId) => {
+    if (file.roomId === roomId) files.delete(fileId);
+  });
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  PREVIEW_TYPES,
+  sanitizeAttachment,
+  registerFile,
+  storeUpload,
+  getUploadedFile,
+  deleteFile,
+  deleteRoomFiles,
+};
@@ -0,0 +1,11 @@
+// A participant ID is new on every fresh join, and a reload becomes a fresh join once the resume grace period
+// is over. Anything that must hold once per person (votes, exam answers, attendance rows) is keyed by this
+// instead: the device ID the server issued to the browser, then the personal invitation, and the participant
+// ID only when neither is known.
+const identityKey = (participant) => {
+  if (participant.deviceId) return `device:${participant.deviceId}`;
+  if (participant.joinToken) return `token:${participant.joinToken}`;
+  return `participant:${participant.id}`;
+};
+
+module.exports = { identityKey };
@@ -0,0 +1,187 @@
+const { v4: uuidv4 } = require('uuid');
+const { csvCell } = require('./records');
+const { identityKey } = require('./identity');
+
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 200;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_POLLS = 100;
+
+// A poll is a 'draft' until the host launches it, 'open' while votes are accepted and 'closed' afterwards.
+// Votes are stored here, keyed by the voter's identity, so nobody can vote twice by reconnecting, reloading or
+// replaying events.
+
+const isModerator = (participant) => !!participant && (participant.isHost || participant.isCoHost);
+
+const cleanText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+// Returns { poll } or { error }. correctOptions (indexes into options) turns the poll into a quiz.
+const createPoll = (room, participant, { question, options, multiple, correctOptions } = {}) => {
+  if (room.polls.length >= MAX_POLLS) return { error: 'This meeting has reached the poll limit.' };
+  const text = cleanText(question, MAX_QUESTION_LENGTH);
+  if (!text) return { error: 'A poll needs a question.' };
+  const choices = (Array.isArray(options) ? options : [])
+    .map((option) => cleanText(option, MAX_OPTION_LENGTH))
+    .filter(Boolean);
+  if (choices.length < MIN_OPTIONS || choices.length > MAX_OPTIONS) {
+    return { error: `A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options.` };
+  }
+  const poll = {
+    id: uuidv4(),
+    question: text,
+    options: choices.map((option) => ({ id: uuidv4(), text: option })),
+    multiple: !!multiple,
+    correctOptionIds: [],
+    status: 'draft',
+    resultsVisible: false,
+    createdBy: participant.id,
+    createdAt: new Date().toISOString(),
+    launchedAt: null,
+    closedAt: null,
+    // identityKey -> { participantId, userName, optionIds, votedAt }, so a reload does not allow a second vote
+    votes: new Map(),
+  };
+  if (Array.isArray(correctOptions)) {
+    poll.correctOptionIds = [...new Set(correctOptions)]
+      .filter((index) => Number.isInteger(index) && poll.options[index])
+      .map((index) => poll.options[index].id);
+    if (!poll.multiple && poll.correctOptionIds.length > 1) {
+      return { error: 'A single-choice quiz can only have one correct answer.' };
+    }
+  }
+  room.polls.push(poll);
+  return { poll };
+};
+
+const findPoll = (room, pollId) => room.polls.find((poll) => poll.id === pollId) || null;
+
+// Moves a poll to 'open' or 'closed'. Returns { poll } or { error }.
+const setPollStatus = (room, pollId, status) => {
+  const poll = findPoll(room, pollId);
+  if (!poll) return { error: 'Poll not found.' };
+  if (status === 'open' && poll.status !== 'draft') return { error: 'That poll has already been launched.' };
+  if (status === 'closed' && poll.status !== 'open') return { error: 'That poll is not open.' };
+  poll.status = status;
+  poll[status === 'open' ? 'launchedAt' : 'closedAt'] = new Date().toISOString();
+  return { poll };
+};
+
+const setResultsVisible = (room, pollId, visible) => {
+  const poll = findPoll(room, pollId);
+  if (!poll) return { error: 'Poll not found.' };
+  if (poll.status === 'draft') return { error: 'Launch the poll before sharing its results.' };
+  poll.resultsVisible = !!visible;
+  return { poll };
+};
+
+// Returns { poll } or { error }; a vote cannot be changed once cast.
+const castVote = (room, participant, pollId, optionIds) => {
+  const poll = findPoll(room, pollId);
+  if (!poll || poll.status === 'draft') return { error: 'Poll not found.' };
+  if (poll.status !== 'open') return { error: 'This poll is closed.' };
+  if (poll.votes.has(identityKey(participant))) return { error: 'You have already voted in this poll.' };
+  const chosen = [...new Set(Array.isArray(optionIds) ? optionIds : [])];
+  if (!chosen.length || !chosen.every((id) => poll.options.some((option) => option.id === id))) {
+    return { error: 'Choose one of the poll options.' };
+  }
+  if (!poll.multiple && chosen.length > 1) return { error: 'This poll accepts only one choice.' };
+  poll.votes.set(identityKey(participant), {
+    participantId: participant.id,
+    userName: participant.userName,
+    optionIds: chosen,
+    votedAt: new Date().toISOString(),
+  });
+  return { poll };
+};
+
+const isCorrect = (poll, optionIds) =>
+  poll.correctOptionIds.length === optionIds.length && optionIds.every((id) => poll.correctOptionIds.includes(id));
+
+const getTally = (poll) => {
+  const counts = Object.fromEntries(poll.options.map((option) => [option.id, 0]));
+  poll.votes.forEach((vote) => vote.optionIds.forEach((id) => { counts[id] += 1; }));
+  return { counts, voters: poll.votes.size };
+};
+
+// Moderators always see tallies and answers; everyone else sees them once results are revealed.
+// Drafts are only visible to moderators, so this returns null for anyone else.
+const serializePoll = (poll, viewer) => {
+  const moderator = isModerator(viewer);
+  if (poll.status === 'draft' && !moderator) return null;
+  const showResults = moderator || poll.resultsVisible;
+  const ownVote = viewer && poll.votes.get(identityKey(viewer));
+  return {
+    id: poll.id,
+    question: poll.question,
+    options: poll.options,
+    multiple: poll.multiple,
+    quiz: poll.correctOptionIds.length > 0,
+    status: poll.status,
+    resultsVisible: poll.resultsVisible,
+    createdAt: poll.createdAt,
+    launchedAt: poll.launchedAt,
+    closedAt: poll.closedAt,
+    yourVote: ownVote ? ownVote.optionIds : null,
+    tally: showResults ? getTally(poll) : null,
+    correctOptionIds: showResults ? poll.correctOptionIds : null,
+  };
+};
+
+const getPolls = (room, viewer) => room.polls.map((poll) => serializePoll(poll, viewer)).filter(Boolean);
+
+// One row per vote, for the host's download.
+const getResponses = (room) =>
+  room.polls.flatMap((poll) =>
+    [...poll.votes.values()].map((vote) => ({
+      pollId: poll.id,
+      question: poll.question,
+      participantId: vote.participantId,
+      userName: vote.userName,
+      answers: vote.optionIds.map((id) => poll.options.find((option) => option.id === id).text),
+      correct: poll.correctOptionIds.length ? isCorrect(poll, vote.optionIds) : null,
+      votedAt: vote.votedAt,
+    }))
+  );
+
+const toCsv = (rows) => {
+  const header = ['poll', 'participant', 'answers', 'correct', 'voted at'];
+  const lines = rows.map((row) =>
+    [
+      row.question,
+      row.userName,
+      row.answers.join('; '),
+      row.correct === null ? '' : row.correct ? 'yes' : 'no',
+      row.votedAt,
+    ].map(csvCell).join(',')
+  );
+  return [header.join(','), ...lines].join('\r\n');
+};
+
+// Returns { filename, contentType, content } for 'json' or 'csv', or null for anything else.
+const pollReport = (room, format = 'json') => {
+  if (!['json', 'csv'].includes(format)) return null;
+  const rows = getResponses(room);
+  return {
+    filename: `poll-responses-${room.id}.${format}`,
+    contentType: format === 'csv' ? 'text/csv' : 'application/json',
+    content: format === 'csv'
+      ? toCsv(rows)
+      : JSON.stringify({
+        roomId: room.id,
+        title: room.title,
+        polls: room.polls.map((poll) => ({ ...serializePoll(poll, { isHost: true }), yourVote: undefined })),
+        responses: rows,
+      }, null, 2),
+  };
+};
+
+module.exports = {
+  createPoll,
+  setPollStatus,
+  setResultsVisible,
+  castVote,
+  serializePoll,
+  getPolls,
+  pollReport,
+};
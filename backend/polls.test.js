@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRoom, addParticipant } = require('./rooms');
+const { createPoll, setPollStatus, castVote, serializePoll } = require('./polls');
+
+const openPoll = (room) => {
+  const host = addParticipant(room, { socketId: 'host', deviceId: 'host-device', userName: 'Host', isHost: true });
+  const { poll } = createPoll(room, host, { question: 'Ready?', options: ['Yes', 'No'] });
+  setPollStatus(room, poll.id, 'open');
+  return poll;
+};
+
+test('a participant cannot vote twice, even after reloading as a new participant', () => {
+  const room = createRoom({ title: 'Polls' });
+  const poll = openPoll(room);
+  const voter = addParticipant(room, { socketId: 'a', deviceId: 'device-1', userName: 'Cand', isHost: false });
+  assert.ok(castVote(room, voter, poll.id, [poll.options[0].id]).poll);
+  assert.strictEqual(castVote(room, voter, poll.id, [poll.options[1].id]).error, 'You have already voted in this poll.');
+
+  // A reload past the resume grace period joins as a new participant from the same device.
+  const reloaded = addParticipant(room, { socketId: 'b', deviceId: 'device-1', userName: 'Cand 2', isHost: false });
+  assert.strictEqual(castVote(room, reloaded, poll.id, [poll.options[1].id]).error, 'You have already voted in this poll.');
+  assert.deepStrictEqual(serializePoll(poll, reloaded).yourVote, [poll.options[0].id]);
+});
+
+test('people on different devices vote separately', () => {
+  const room = createRoom({ title: 'Polls' });
+  const poll = openPoll(room);
+  const first = addParticipant(room, { socketId: 'a', deviceId: 'device-1', userName: 'John', isHost: false });
+  const second = addParticipant(room, { socketId: 'b', deviceId: 'device-2', userName: 'John', isHost: false });
+  assert.ok(castVote(room, first, poll.id, [poll.options[0].id]).poll);
+  assert.ok(castVote(room, second, poll.id, [poll.options[1].id]).poll);
+  assert.strictEqual(poll.votes.size, 2);
+});
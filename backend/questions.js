@@ -0,0 +1,87 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_QUESTION_LENGTH = 500;
+const MAX_QUESTIONS = 500;
+const MODERATION_FLAGS = ['answered', 'pinned', 'dismissed'];
+
+// Q&A questions are kept apart from chat so they can be voted on and moderated.
+// The author is always stored, but anonymous questions never send it to other clients.
+
+const isModerator = (participant) => !!participant && (participant.isHost || participant.isCoHost);
+
+// Returns { question } or { error }.
+const askQuestion = (room, participant, { text, anonymous } = {}) => {
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body) return { error: 'Question cannot be empty.' };
+  if (body.length > MAX_QUESTION_LENGTH) {
+    return { error: `Questions can be at most ${MAX_QUESTION_LENGTH} characters.` };
+  }
+  if (room.questions.length >= MAX_QUESTIONS) return { error: 'This meeting has reached the question limit.' };
+  const question = {
+    id: uuidv4(),
+    from: participant.id,
+    userName: participant.userName,
+    anonymous: !!anonymous,
+    text: body,
+    createdAt: new Date().toISOString(),
+    upvotes: [],
+    answered: false,
+    pinned: false,
+    dismissed: false,
+  };
+  room.questions.push(question);
+  return { question };
+};
+
+const findQuestion = (room, questionId) => room.questions.find((question) => question.id === questionId) || null;
+
+// Adds or removes the participant's upvote. Returns { question } or { error }.
+const toggleUpvote = (room, participant, questionId) => {
+  const question = findQuestion(room, questionId);
+  if (!question || question.dismissed) return { error: 'Question not found.' };
+  if (question.from === participant.id) return { error: 'You cannot upvote your own question.' };
+  const index = question.upvotes.indexOf(participant.id);
+  if (index === -1) question.upvotes.push(participant.id);
+  else question.upvotes.splice(index, 1);
+  return { question };
+};
+
+// Applies the host's answered / pinned / dismissed flags. Returns { question } or { error }.
+const moderateQuestion = (room, questionId, changes = {}) => {
+  const question = findQuestion(room, questionId);
+  if (!question) return { error: 'Question not found.' };
+  MODERATION_FLAGS.forEach((flag) => {
+    if (typeof changes[flag] === 'boolean') question[flag] = changes[flag];
+  });
+  return { question };
+};
+
+// Dismissed questions stay visible to moderators and their author only; null means hidden from this viewer.
+const serializeQuestion = (question, viewer) => {
+  const mine = !!viewer && question.from === viewer.id;
+  if (question.dismissed && !mine && !isModerator(viewer)) return null;
+  return {
+    id: question.id,
+    userName: question.anonymous ? null : question.userName,
+    anonymous: question.anonymous,
+    mine,
+    text: question.text,
+    createdAt: question.createdAt,
+    upvotes: question.upvotes.length,
+    upvoted: !!viewer && question.upvotes.includes(viewer.id),
+    answered: question.answered,
+    pinned: question.pinned,
+    dismissed: question.dismissed,
+  };
+};
+
+const getQuestions = (room, viewer) =>
+  room.questions.map((question) => serializeQuestion(question, viewer)).filter(Boolean);
+
+module.exports = {
+  askQuestion,
+  toggleUpvote,
+  moderateQuestion,
+  serializeQuestion,
+  getQuestions,
+};
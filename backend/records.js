@@ -0,0 +1,203 @@
+const { getCodePadHistory } = require('./codepad');
+const { identityKey } = require('./identity');
+
+// Server-side record of a meeting: the join/leave timeline and proctoring alerts, kept next to the chat
+// so hosts can export what happened even after every client has left.
+
+// Oldest entries are dropped past this, per list.
+const MAX_ENTRIES = 5000;
+
+const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  html: 'text/html',
+};
+
+const push = (list, entry) => {
+  list.push(entry);
+  if (list.length > MAX_ENTRIES) list.splice(0, list.length - MAX_ENTRIES);
+};
+
+const makeEntry = (type, participant, details) => ({
+  at: new Date().toISOString(),
+  type,
+  participantId: participant?.id || null,
+  // Kept server-side so entries can be matched to a person across reloads; left out of exports.
+  identity: participant?.id ? identityKey(participant) : null,
+  userName: participant ? participant.userName : null,
+  details: details || null,
+});
+
+const exportEntry = ({ identity, ...entry }) => entry;
+
+// Records joins, departures, role changes and moderation actions.
+const logEvent = (room, type, participant = null, details = null) => {
+  push(room.timeline, makeEntry(type, participant, details));
+};
+
+// Records proctoring alerts such as face detection and tab switches.
+const logAlert = (room, type, participant, message) => {
+  push(room.alerts, makeEntry(type, participant, typeof message === 'string' ? message.slice(0, 500) : null));
+};
+
+const buildRecord = (room) => ({
+  room: {
+    id: room.id,
+    title: room.title,
+    hostName: room.hostName,
+    status: room.status,
+    createdAt: room.createdAt,
+    endedAt: room.endedAt,
+  },
+  exportedAt: new Date().toISOString(),
+  chat: room.chat.map((message) => ({
+    id: message.id,
+    sentAt: message.sentAt,
+    from: message.from,
+    userName: message.userName,
+    to: message.to,
+    toUserName: message.toUserName,
+    message: message.deleted ? null : message.message,
+    attachment: message.attachment
+      ? { name: message.attachment.name, size: message.attachment.size, type: message.attachment.type }
+      : null,
+    editedAt: message.editedAt,
+    deleted: message.deleted,
+  })),
+  timeline: room.timeline.map(exportEntry),
+  alerts: room.alerts.map(exportEntry),
+  // The final code plus every edit, so the JSON export can be replayed.
+  codePad: getCodePadHistory(room),
+});
+
+const lastEditAt = (codePad) =>
+  codePad.history.length ? codePad.history[codePad.history.length - 1].at : null;
+
+// One line of text per chat message, shared by the CSV and HTML formats.
+const describeMessage = (message) => {
+  if (message.deleted) return '(deleted)';
+  const parts = [];
+  if (message.to) parts.push(`(private to ${message.toUserName || message.to})`);
+  if (message.message) parts.push(message.message);
+  if (message.attachment) parts.push(`[file: ${message.attachment.name}]`);
+  if (message.editedAt) parts.push('(edited)');
+  return parts.join(' ');
+};
+
+// Chat, timeline and alerts merged into one chronological list of rows.
+const buildRows = (record) =>
+  [
+    ...record.chat.map((message) => ({
+      at: message.sentAt,
+      section: 'chat',
+      type: message.to ? 'private-message' : 'message',
+      userName: message.userName,
+      details: describeMessage(message),
+    })),
+    ...record.timeline.map((entry) => ({ ...entry, section: 'timeline' })),
+    ...record.alerts.map((entry) => ({ ...entry, section: 'alert' })),
+    ...(record.codePad.text
+      ? [{
+        at: lastEditAt(record.codePad) || record.exportedAt,
+        section: 'code pad',
+        type: record.codePad.language,
+        userName: null,
+        details: record.codePad.text,
+      }]
+      : []),
+  ].sort((a, b) => a.at.localeCompare(b.at));
+
+// Quotes every cell and defuses values a spreadsheet would otherwise run as a formula.
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsv = (record) => {
+  const header = ['time', 'section', 'type', 'participant', 'details'];
+  const lines = buildRows(record).map((row) =>
+    [row.at, row.section, row.type, row.userName, row.details].map(csvCell).join(',')
+  );
+  return [header.join(','), ...lines].join('\r\n');
+};
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const htmlTable = (title, rows) => `
+  <h2>${escapeHtml(title)}</h2>
+  ${rows.length ? `<table>
+    <thead><tr><th>Time</th><th>Type</th><th>Participant</th><th>Details</th></tr></thead>
+    <tbody>
+      ${rows.map((row) => `<tr><td>${escapeHtml(new Date(row.at).toLocaleString())}</td><td>${escapeHtml(row.type)}</td><td>${escapeHtml(row.userName)}</td><td>${escapeHtml(row.details)}</td></tr>`).join('\n      ')}
+    </tbody>
+  </table>` : '<p>None.</p>'}`;
+
+const htmlCodePad = (codePad) => {
+  if (!codePad.text) return '<h2>Code pad</h2>\n  <p>Empty.</p>';
+  const editors = [...new Set(codePad.history.map((entry) => entry.userName))];
+  return `<h2>Code pad (${escapeHtml(codePad.language)})</h2>
+  <p>${codePad.revision} edit(s)${editors.length ? ` by ${escapeHtml(editors.join(', '))}` : ''}${lastEditAt(codePad) ? `, last at ${escapeHtml(new Date(lastEditAt(codePad)).toLocaleString())}` : ''}</p>
+  <pre>${escapeHtml(codePad.text)}</pre>`;
+};
+
+const toHtml = (record) => {
+  const rows = buildRows(record);
+  const { room } = record;
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(room.title)} - meeting record</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; color: #222; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 24px; font-size: 13px; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    pre { background: #f6f6f6; border: 1px solid #ccc; padding: 12px; white-space: pre-wrap; font-size: 13px; }
+    @media print { h2 { page-break-before: auto; } tr { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(room.title)}</h1>
+  <p>
+    Meeting ${escapeHtml(room.id)}${room.hostName ? `, hosted by ${escapeHtml(room.hostName)}` : ''}<br>
+    Started ${escapeHtml(new Date(room.createdAt).toLocaleString())}${room.endedAt ? `, ended ${escapeHtml(new Date(room.endedAt).toLocaleString())}` : ''}<br>
+    Exported ${escapeHtml(new Date(record.exportedAt).toLocaleString())}
+  </p>
+  ${htmlTable('Alerts', rows.filter((row) => row.section === 'alert'))}
+  ${htmlTable('Timeline', rows.filter((row) => row.section === 'timeline'))}
+  ${htmlTable('Chat', rows.filter((row) => row.section === 'chat'))}
+  ${htmlCodePad(record.codePad)}
+</body>
+</html>
+`;
+};
+
+// Returns { filename, contentType, content } for a supported format, or null.
+const exportRecord = (room, format = 'json') => {
+  if (!Object.keys(FORMATS).includes(format)) return null;
+  const record = buildRecord(room);
+  const slug = room.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'meeting';
+  const content = format === 'csv' ? toCsv(record) : format === 'html' ? toHtml(record) : JSON.stringify(record, null, 2);
+  return {
+    filename: `${slug}-${record.exportedAt.slice(0, 10)}.${format}`,
+    contentType: FORMATS[format],
+    content,
+  };
+};
+
+module.exports = {
+  FORMATS,
+  logEvent,
+  logAlert,
+  exportRecord,
+  exportEntry,
+  csvCell,
+};
@@ -0,0 +1,406 @@
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+const { createPage } = require('./whiteboard');
+const { createCodePad } = require('./codepad');
+const { createExam } = require('./exams');
+const { createSessionTimer } = require('./sessionTimer');
+const { verifyJoinToken, hashPasscode, checkPasscode } = require('./tokens');
+
+// Settings a host may pass when creating a room; anything else is ignored.
+const DEFAULT_SETTINGS = {
+  maxParticipants: null,
+  waitingRoom: false,
+  requireToken: false,
+  // Minutes a room may stay without any host before it is ended; 0 keeps it open indefinitely.
+  hostlessTimeoutMinutes: 15,
+  // Proctored rooms usually turn this off.
+  fileSharing: true,
+  // Who may post in the room chat: 'everyone', 'hosts' (announcements only) or 'disabled'.
+  chatMode: 'everyone',
+  // Minimum seconds between a participant's messages; 0 turns slow mode off.
+  slowModeSeconds: 0,
+  // Messages containing any of these words are rejected.
+  blockedWords: [],
+};
+
+const CHAT_MODES = ['everyone', 'hosts', 'disabled'];
+const MAX_SLOW_MODE_SECONDS = 3600;
+const MAX_BLOCKED_WORDS = 200;
+
+// Accepts an array or a comma-separated string; stores trimmed, lower-cased, unique words.
+const sanitizeBlockedWords = (words) => {
+  const list = Array.isArray(words) ? words : typeof words === 'string' ? words.split(',') : [];
+  const cleaned = list
+    .filter((word) => typeof word === 'string')
+    .map((word) => word.trim().toLowerCase().slice(0, 50))
+    .filter(Boolean);
+  return [...new Set(cleaned)].slice(0, MAX_BLOCKED_WORDS);
+};
+
+// How long a disconnected participant keeps their identity, role and controls.
+const RESUME_GRACE_MS = 30 * 1000;
+
+const rooms = new Map();
+const removalTimers = new Map();
+const hostlessTimers = new Map();
+
+const sanitizeSettings = (settings = {}) => {
+  const result = { ...DEFAULT_SETTINGS };
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (settings[key] !== undefined) {
+      result[key] = settings[key];
+    }
+  });
+  if (result.maxParticipants !== null) {
+    const max = parseInt(result.maxParticipants, 10);
+    result.maxParticipants = Number.isInteger(max) && max > 0 ? max : null;
+  }
+  result.waitingRoom = !!result.waitingRoom;
+  result.requireToken = !!result.requireToken;
+  result.fileSharing = !!result.fileSharing;
+  if (!CHAT_MODES.includes(result.chatMode)) result.chatMode = DEFAULT_SETTINGS.chatMode;
+  const slowMode = parseInt(result.slowModeSeconds, 10);
+  result.slowModeSeconds = Number.isInteger(slowMode) && slowMode > 0 ? Math.min(slowMode, MAX_SLOW_MODE_SECONDS) : 0;
+  result.blockedWords = sanitizeBlockedWords(result.blockedWords);
+  const timeout = parseInt(result.hostlessTimeoutMinutes, 10);
+  result.hostlessTimeoutMinutes = Number.isInteger(timeout) && timeout >= 0 ? timeout : DEFAULT_SETTINGS.hostlessTimeoutMinutes;
+  return result;
+};
+
+const createRoom = ({ title, hostName, passcode, settings } = {}) => {
+  const room = {
+    id: uuidv4(),
+    title: typeof title === 'string' && title.trim() ? title.trim().slice(0, 120) : 'Untitled meeting',
+    hostName: typeof hostName === 'string' ? hostName.trim().slice(0, 60) : '',
+    hostKey: uuidv4(),
+    passcodeHash: typeof passcode === 'string' && passcode ? hashPasscode(passcode) : null,
+    hostId: null,
+    status: 'open',
+    locked: false,
+    createdAt: new Date().toISOString(),
+    endedAt: null,
+    settings: sanitizeSettings(settings),
+    participants: new Map(),
+    lobby: new Map(),
+    bans: [],
+    chat: [],
+    chatReads: new Map(),
+    // participantId -> time of their last message, for slow mode
+    chatLastSent: new Map(),
+    timeline: [],
+    alerts: [],
+    attendance: new Map(),
+    polls: [],
+    questions: [],
+    breakouts: { status: 'closed', rooms: [], assignments: new Map(), closesAt: null },
+    whiteboard: { pages: [createPage()], locked: false, history: [] },
+    codePad: createCodePad(),
+    exam: createExam(),
+    sessionTimer: createSessionTimer(),
+  };
+  rooms.set(room.id, room);
+  console.log(`Room ${room.id} created ("${room.title}")`);
+  return room;
+};
+
+const getRoom = (roomId) => rooms.get(roomId) || null;
+
+const updateSettings = (room, settings = {}) => {
+  room.settings = sanitizeSettings({ ...room.settings, ...settings });
+  return room.settings;
+};
+
+const isHostKey = (room, hostKey) => !!room && !!hostKey && room.hostKey === hostKey;
+
+// Decides who is joining: the host key wins, then a signed join token, then the passcode.
+// Bans and the room lock apply to everyone except the holder of the host key.
+const authorizeJoin = (room, { hostKey, joinToken, passcode, deviceId }) => {
+  if (isHostKey(room, hostKey)) return { isHost: true };
+  let access;
+  if (joinToken) {
+    const claims = verifyJoinToken(joinToken);
+    if (!claims || claims.roomId !== room.id) {
+      return { error: 'This invitation link is invalid or has expired.' };
+    }
+    access = { isHost: claims.role === 'host', name: claims.name };
+  } else {
+    if (room.settings.requireToken) return { error: 'This meeting requires an invitation link.' };
+    if (room.passcodeHash && !checkPasscode(room.passcodeHash, passcode)) {
+      return { error: passcode ? 'Incorrect passcode.' : 'This meeting requires a passcode.' };
+    }
+    access = { isHost: false };
+  }
+  if (isBanned(room, { deviceId, joinToken })) {
+    return { error: 'You have been removed from this meeting and cannot rejoin.' };
+  }
+  if (room.locked && !access.isHost) return { error: 'This meeting is locked.' };
+  return access;
+};
+
+const setLocked = (room, locked) => {
+  room.locked = !!locked;
+  return room.locked;
+};
+
+// Keeps the device ID a client presented if it is well formed, otherwise issues a new one for it to store.
+const resolveDeviceId = (deviceId) => (typeof deviceId === 'string' && uuidValidate(deviceId) ? deviceId : uuidv4());
+
+// A ban covers the device the participant joined from and, if they used one, their personal invitation.
+// Display names are not matched: they are typed freely, so they neither stop the banned person nor
+// spare someone else who happens to share the name.
+const banParticipant = (room, participant) => {
+  room.bans.push({
+    userName: participant.userName,
+    deviceId: participant.deviceId,
+    joinToken: participant.joinToken,
+    bannedAt: new Date().toISOString(),
+  });
+};
+
+const isBanned = (room, { deviceId, joinToken }) =>
+  room.bans.some((ban) => (deviceId && ban.deviceId === deviceId) || (joinToken && ban.joinToken === joinToken));
+
+const isRoomHost = (room, participantId) => !!room && !!participantId && room.hostId === participantId;
+
+const endRoom = (roomId) => {
+  const room = rooms.get(roomId);
+  if (!room || room.status === 'ended') return room || null;
+  room.status = 'ended';
+  room.endedAt = new Date().toISOString();
+  room.hostId = null;
+  cancelHostlessEnd(roomId);
+  room.participants.forEach((participant) => cancelRemoval(participant.id));
+  room.participants.clear();
+  room.lobby.clear();
+  console.log(`Room ${roomId} ended`);
+  return room;
+};
+
+// Returns an error message when the room cannot be joined, otherwise null.
+const checkJoinable = (room) => {
+  if (!room) return 'Meeting not found.';
+  if (room.status === 'ended') return 'This meeting has ended.';
+  if (room.settings.maxParticipants && room.participants.size >= room.settings.maxParticipants) {
+    return 'This meeting is full.';
+  }
+  return null;
+};
+
+const addParticipant = (room, { socketId, deviceId, userName, isHost, joinToken }) => {
+  const participant = {
+    id: uuidv4(),
+    resumeToken: uuidv4(),
+    socketId,
+    deviceId: deviceId || null,
+    joinToken: joinToken || null,
+    connected: true,
+    userName: typeof userName === 'string' ? userName.trim().slice(0, 60) : '',
+    isHost: !!isHost,
+    isCoHost: false,
+    chatMuted: false,
+    // When the participant raised their hand; the host's queue is ordered by it.
+    handRaisedAt: null,
+    // Breakout room the participant is in; null for the main room.
+    breakoutId: null,
+    lastReactionAt: 0,
+    joinedAt: new Date().toISOString(),
+    video: true,
+    audio: true,
+    proctor: false,
+    isScreenSharing: false,
+  };
+  room.participants.set(participant.id, participant);
+  return participant;
+};
+
+const findParticipantByResumeToken = (room, resumeToken) => {
+  if (!room || !resumeToken) return null;
+  return [...room.participants.values()].find((participant) => participant.resumeToken === resumeToken) || null;
+};
+
+// Only the media/proctor flags are mutable once a participant has joined.
+const PARTICIPANT_FLAGS = ['video', 'audio', 'proctor', 'isScreenSharing'];
+
+const updateParticipant = (room, participantId, changes = {}) => {
+  const participant = room?.participants.get(participantId);
+  if (!participant) return null;
+  PARTICIPANT_FLAGS.forEach((flag) => {
+    if (typeof changes[flag] === 'boolean') {
+      participant[flag] = changes[flag];
+    }
+  });
+  return participant;
+};
+
+// Raising an already raised hand keeps its place in the queue.
+const setHandRaised = (room, participantId, raised) => {
+  const participant = room?.participants.get(participantId);
+  if (!participant) return null;
+  if (!raised) participant.handRaisedAt = null;
+  else if (!participant.handRaisedAt) participant.handRaisedAt = new Date().toISOString();
+  return participant;
+};
+
+// Returns the participants whose hands were lowered.
+const lowerAllHands = (room) =>
+  [...room.participants.values()].filter((participant) => {
+    if (!participant.handRaisedAt) return false;
+    participant.handRaisedAt = null;
+    return true;
+  });
+
+// Reactions are shown to everyone, so each participant can send at most one this often.
+const REACTION_INTERVAL_MS = 500;
+
+const allowReaction = (participant) => {
+  const now = Date.now();
+  if (now - participant.lastReactionAt < REACTION_INTERVAL_MS) return false;
+  participant.lastReactionAt = now;
+  return true;
+};
+
+const removeParticipant = (room, participantId) => {
+  const participant = room?.participants.get(participantId) || null;
+  if (participant) room.participants.delete(participantId);
+  cancelRemoval(participantId);
+  return participant;
+};
+
+// Makes participantId the host (or leaves the room host-less when null) and returns every participant whose role changed.
+const setHost = (room, participantId) => {
+  const changed = [];
+  const previous = room.participants.get(room.hostId);
+  if (previous && previous.id !== participantId) {
+    previous.isHost = false;
+    previous.isCoHost = true;
+    changed.push(previous);
+  }
+  const next = participantId ? room.participants.get(participantId) : null;
+  if (next) {
+    next.isHost = true;
+    next.isCoHost = false;
+    changed.push(next);
+  }
+  room.hostId = next ? next.id : null;
+  return changed;
+};
+
+const setCoHost = (room, participantId, isCoHost) => {
+  const participant = room.participants.get(participantId);
+  if (!participant || participant.isHost) return null;
+  participant.isCoHost = !!isCoHost;
+  return participant;
+};
+
+// The co-host who has been in the room the longest takes over from a departed host.
+const pickHostSuccessor = (room) =>
+  [...room.participants.values()]
+    .filter((participant) => participant.isCoHost && participant.connected)
+    .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt))[0] || null;
+
+const scheduleHostlessEnd = (room, onExpire) => {
+  cancelHostlessEnd(room.id);
+  const minutes = room.settings.hostlessTimeoutMinutes;
+  if (!minutes) return;
+  hostlessTimers.set(room.id, setTimeout(() => {
+    hostlessTimers.delete(room.id);
+    if (!room.hostId && room.status !== 'ended') onExpire();
+  }, minutes * 60 * 1000));
+};
+
+const cancelHostlessEnd = (roomId) => {
+  clearTimeout(hostlessTimers.get(roomId));
+  hostlessTimers.delete(roomId);
+};
+
+// Joiners held in the waiting room until the host admits or denies them.
+const addToLobby = (room, { socketId, userName, joinToken }) => {
+  const entry = {
+    id: uuidv4(),
+    socketId,
+    joinToken: joinToken || null,
+    userName: typeof userName === 'string' ? userName.trim().slice(0, 60) : '',
+    requestedAt: new Date().toISOString(),
+  };
+  room.lobby.set(entry.id, entry);
+  return entry;
+};
+
+const removeFromLobby = (room, entryId) => {
+  const entry = room?.lobby.get(entryId) || null;
+  if (entry) room.lobby.delete(entryId);
+  return entry;
+};
+
+const serializeLobby = (room) =>
+  [...room.lobby.values()].map(({ id, userName, requestedAt }) => ({ id, userName, requestedAt }));
+
+// Keeps a disconnected participant around for RESUME_GRACE_MS before calling onExpire.
+const scheduleRemoval = (room, participantId, onExpire) => {
+  cancelRemoval(participantId);
+  removalTimers.set(participantId, setTimeout(() => {
+    removalTimers.delete(participantId);
+    if (removeParticipant(room, participantId)) onExpire();
+  }, RESUME_GRACE_MS));
+};
+
+const cancelRemoval = (participantId) => {
+  clearTimeout(removalTimers.get(participantId));
+  removalTimers.delete(participantId);
+};
+
+// What other clients may see about a participant; the socket and credentials stay server-side.
+const serializeParticipant = ({ resumeToken, socketId, deviceId, joinToken, lastReactionAt, ...participant }) => participant;
+
+// Full snapshot sent to a participant as they join.
+const getRoomState = (room) => ({
+  room: serializeRoom(room),
+  hostId: room.hostId,
+  participants: [...room.participants.values()].map(serializeParticipant),
+});
+
+// Public view of a room; never exposes the host key.
+const serializeRoom = (room) => ({
+  id: room.id,
+  title: room.title,
+  hostName: room.hostName,
+  status: room.status,
+  locked: room.locked,
+  createdAt: room.createdAt,
+  endedAt: room.endedAt,
+  requiresPasscode: !!room.passcodeHash,
+  settings: room.settings,
+});
+
+module.exports = {
+  createRoom,
+  getRoom,
+  updateSettings,
+  isHostKey,
+  authorizeJoin,
+  resolveDeviceId,
+  isRoomHost,
+  setLocked,
+  banParticipant,
+  endRoom,
+  checkJoinable,
+  addParticipant,
+  findParticipantByResumeToken,
+  updateParticipant,
+  setHandRaised,
+  lowerAllHands,
+  allowReaction,
+  removeParticipant,
+  setHost,
+  setCoHost,
+  pickHostSuccessor,
+  scheduleHostlessEnd,
+  cancelHostlessEnd,
+  scheduleRemoval,
+  cancelRemoval,
+  addToLobby,
+  removeFromLobby,
+  serializeLobby,
+  serializeParticipant,
+  getRoomState,
+  serializeRoom,
+};
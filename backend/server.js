@@ -3,6 +3,134 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const {
+  createRoom,
+  getRoom,
+  updateSettings,
+  isHostKey,
+  authorizeJoin,
+  resolveDeviceId,
+  isRoomHost,
+  setLocked,
+  banParticipant,
+  endRoom,
+  checkJoinable,
+  addParticipant,
+  findParticipantByResumeToken,
+  updateParticipant,
+  setHandRaised,
+  lowerAllHands,
+  allowReaction,
+  removeParticipant,
+  setHost,
+  setCoHost,
+  pickHostSuccessor,
+  scheduleHostlessEnd,
+  cancelHostlessEnd,
+  scheduleRemoval,
+  cancelRemoval,
+  addToLobby,
+  removeFromLobby,
+  serializeLobby,
+  serializeParticipant,
+  getRoomState,
+  serializeRoom,
+} = require('./rooms');
+const { ROLES, createJoinToken } = require('./tokens');
+const {
+  REACTIONS,
+  canDirectMessage,
+  getChatRestriction,
+  checkChatPolicy,
+  setChatMuted,
+  addMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markRead,
+  getHistory,
+} = require('./chat');
+const {
+  MAX_FILE_SIZE,
+  PREVIEW_TYPES,
+  sanitizeAttachment,
+  registerFile,
+  storeUpload,
+  getUploadedFile,
+  deleteFile,
+  deleteRoomFiles,
+} = require('./files');
+const { FORMATS, logEvent, logAlert, exportRecord } = require('./records');
+const {
+  createPoll,
+  setPollStatus,
+  setResultsVisible,
+  castVote,
+  serializePoll,
+  getPolls,
+  pollReport,
+} = require('./polls');
+const {
+  askQuestion,
+  toggleUpvote,
+  moderateQuestion,
+  serializeQuestion,
+  getQuestions,
+} = require('./questions');
+const {
+  findBreakout,
+  setupBreakouts,
+  assignParticipant,
+  assignRandomly,
+  openBreakouts,
+  getAssignedBreakout,
+  scheduleBreakoutClose,
+  cancelBreakoutClose,
+  serializeBreakouts,
+} = require('./breakouts');
+const {
+  addElement,
+  eraseElement,
+  clearPage,
+  undo,
+  addPage,
+  deletePage,
+  setBoardLocked,
+  serializeBoard,
+} = require('./whiteboard');
+const {
+  applyEdit,
+  setLanguage,
+  serializeCodePad,
+  getCodePadHistory,
+} = require('./codepad');
+const {
+  loadExam,
+  setTimeLimit,
+  pushQuestions,
+  closeQuestionEarly,
+  endExam,
+  submitAnswer,
+  scheduleExamDeadline,
+  cancelExamDeadline,
+  serializeExam,
+  examReport,
+} = require('./exams');
+const {
+  startSessionTimer,
+  stopSessionTimer,
+  cancelSessionTimer,
+  endSession,
+  serializeSessionTimer,
+} = require('./sessionTimer');
+const {
+  recordJoin,
+  recordLeave,
+  recordRole,
+  closeAttendance,
+  getAttendance,
+  attendanceReport,
+} = require('./attendance');
 
 const app = express();
 const server = http.createServer(app);
@@ -13,11 +141,13 @@ app.use(express.static(path.join(__dirname, '..', 'frontend', 'build')));
 // CORS config
 app.use(cors({
   origin: ['https://livemeetpro.onrender.com', 'http://localhost:3000'],
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
   credentials: true,
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+app.use(express.json());
+
 const io = new Server(server, {
   cors: {
     origin: ['https://livemeetpro.onrender.com', 'http://localhost:3000'],
@@ -27,113 +157,1329 @@ const io = new Server(server, {
   }
 });
 
+const getBearerToken = (req) => (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
 
-const roomHosts = {};
+// Returns an error message unless the socket moderates a room it has joined.
+// Co-hosts pass too, except for actions marked hostOnly.
+const checkHost = (socket, roomId, { hostOnly = false } = {}) => {
+  const room = getRoom(roomId);
+  if (!room || socket.data.roomId !== roomId) return 'You are not in this meeting.';
+  const { participantId } = socket.data;
+  if (isRoomHost(room, participantId)) return null;
+  if (!hostOnly && room.participants.get(participantId)?.isCoHost) return null;
+  return hostOnly ? 'Only the host can do that.' : 'Only the host or a co-host can do that.';
+};
+
+const isSelf = (socket, roomId, participantId) =>
+  socket.data.roomId === roomId && !!participantId && socket.data.participantId === participantId;
 
 app.get('/test', (req, res) => res.send('Server is running'));
 
+app.post('/api/rooms', (req, res) => {
+  const { title, hostName, passcode, settings } = req.body || {};
+  if (settings !== undefined && (typeof settings !== 'object' || settings === null)) {
+    return res.status(400).json({ error: 'settings must be an object' });
+  }
+  if (passcode !== undefined && passcode !== null && typeof passcode !== 'string') {
+    return res.status(400).json({ error: 'passcode must be a string' });
+  }
+  const room = createRoom({ title, hostName, passcode, settings });
+  res.status(201).json({ ...serializeRoom(room), hostKey: room.hostKey });
+});
+
+app.get('/api/rooms/:id', (req, res) => {
+  const room = getRoom(req.params.id);
+  if (!room) return res.status(404).json({ error: 'Meeting not found.' });
+  res.json(serializeRoom(room));
+});
+
+app.post('/api/rooms/:id/tokens', (req, res) => {
+  const room = getRoom(req.params.id);
+  if (!room) return res.status(404).json({ error: 'Meeting not found.' });
+  if (!isHostKey(room, getBearerToken(req))) {
+    return res.status(403).json({ error: 'Only the host can create invitations.' });
+  }
+  const { name, role, expiresIn } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  const { token, payload } = createJoinToken({ roomId: room.id, name: name.trim().slice(0, 60), role, expiresIn });
+  res.status(201).json({ token, name: payload.name, role: payload.role, expiresAt: new Date(payload.exp * 1000).toISOString() });
+});
+
+app.delete('/api/rooms/:id', (req, res) => {
+  const room = getRoom(req.params.id);
+  if (!room) return res.status(404).json({ error: 'Meeting not found.' });
+  if (!isHostKey(room, getBearerToken(req))) {
+    return res.status(403).json({ error: 'Only the host can end this meeting.' });
+  }
+  endRoomForAll(room);
+  res.json(serializeRoom(room));
+});
+
+// The meeting record (chat, timeline and alerts) stays available to the host after the meeting ends.
+app.get('/api/rooms/:id/export', (req, res) => {
+  const room = getRoom(req.params.id);
+  if (!room) return res.status(404).json({ error: 'Meeting not found.' });
+  if (!isHostKey(room, getBearerToken(req))) {
+    return res.status(403).json({ error: 'Only the host can export this meeting.' });
+  }
+  const record = exportRecord(room, req.query.format || 'json');
+  if (!record) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+  res.type(record.contentType).attachment(record.filename).send(record.content);
+});
+
+// Attendance is kept after the meeting ends too, for the host to download later.
+app.get('/api/rooms/:id/attendance', (req, res) => {
+  const room = getRoom(req.params.id);
+  if (!room) return res.status(404).json({ error: 'Meeting not found.' });
+  if (!isHostKey(room, getBearerToken(req))) {
+    return res.status(403).json({ error: 'Only the host can view attendance for this meeting.' });
+  }
+  const report = attendanceReport(room, req.query.format || 'json');
+  if (!report) return res.status(400).json({ error: 'format must be one of: json, csv' });
+  res.type(report.contentType).attachment(report.filename).send(report.content);
+});
+
+// The code pad and its edit history stay available after the meeting, for the interviewer to replay.
+app.get('/api/rooms/:id/codepad', (req, res) => {
+  const room = getRoom(req.params.id);
+  if (!room) return res.status(404).json({ error: 'Meeting not found.' });
+  if (!isHostKey(room, getBearerToken(req))) {
+    return res.status(403).json({ error: 'Only the host can view the code pad history for this meeting.' });
+  }
+  res.json(getCodePadHistory(room));
+});
+
+// Exam answers with their linked proctoring alerts, also after the meeting ends.
+app.get('/api/rooms/:id/exam', (req, res) => {
+  const room = getRoom(req.params.id);
+  if (!room) return res.status(404).json({ error: 'Meeting not found.' });
+  if (!isHostKey(room, getBearerToken(req))) {
+    return res.status(403).json({ error: 'Only the host can view exam results for this meeting.' });
+  }
+  const report = examReport(room, req.query.format || 'json');
+  if (!report) return res.status(400).json({ error: 'format must be one of: json, csv' });
+  res.type(report.contentType).attachment(report.filename).send(report.content);
+});
+
+// Fallback upload for a file announced in chat, for recipients it could not reach peer-to-peer.
+// The sender authenticates with the upload token it got back when announcing the file.
+app.put('/api/rooms/:id/files/:fileId', express.raw({ type: () => true, limit: MAX_FILE_SIZE }), (req, res) => {
+  const room = getRoom(req.params.id);
+  if (!room || room.status === 'ended') return res.status(404).json({ error: 'Meeting not found.' });
+  if (!room.settings.fileSharing) return res.status(403).json({ error: 'File sharing is disabled in this meeting.' });
+  const { file, error, status } = storeUpload(room.id, req.params.fileId, getBearerToken(req), req.body);
+  if (error) return res.status(status).json({ error });
+  console.log(`File ${file.id} (${file.message.attachment.name}) uploaded to room ${room.id}`);
+  emitChatEvent(room, file.message, 'chat-message-updated');
+  res.status(201).json({ ok: true });
+});
+
+// File IDs are only sent to people who can see the message, so the URL itself grants access.
+app.get('/api/rooms/:id/files/:fileId', (req, res) => {
+  const file = getUploadedFile(req.params.id, req.params.fileId);
+  if (!file) return res.status(404).json({ error: 'File not found.' });
+  const { name, type } = file.message.attachment;
+  const disposition = PREVIEW_TYPES.includes(type) ? 'inline' : 'attachment';
+  res.set({
+    'Content-Type': type,
+    'Content-Disposition': `${disposition}; filename="${name.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(name).replace(/'/g, '%27')}`,
+    'X-Content-Type-Options': 'nosniff',
+  });
+  res.send(file.data);
+});
+
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'frontend', 'build', 'index.html'));
 });
 
+const endRoomForAll = (room) => {
+  if (room.status !== 'ended') logEvent(room, 'meeting-ended');
+  closeAttendance(room);
+  cancelBreakoutClose(room.id);
+  cancelExamDeadline(room.id);
+  cancelSessionTimer(room.id);
+  endRoom(room.id);
+  deleteRoomFiles(room.id);
+  io.to(room.id).emit('room-ended', { roomId: room.id });
+  io.in(room.id).socketsLeave([
+    room.id,
+    mediaChannel(room.id, null),
+    ...room.breakouts.rooms.map((breakout) => mediaChannel(room.id, breakout.id)),
+  ]);
+};
+
+// Socket room for the people who share peer connections: the main room or one breakout.
+// Room-wide events still go to room.id, which every participant stays in.
+const mediaChannel = (roomId, breakoutId) => `${roomId}:${breakoutId || 'main'}`;
+
+const notifyBreakouts = (room) => {
+  io.to(room.id).emit('breakouts-updated', serializeBreakouts(room));
+};
+
+// Moves a participant between media channels. Their client drops all peers on 'breakout-moved'; the
+// people they leave drop one peer, and the people they join start new connections to them.
+const moveToBreakout = (room, participant, breakoutId) => {
+  if (participant.breakoutId === breakoutId) return;
+  const previous = mediaChannel(room.id, participant.breakoutId);
+  const next = mediaChannel(room.id, breakoutId);
+  participant.breakoutId = breakoutId;
+  const target = participant.connected && io.sockets.sockets.get(participant.socketId);
+  if (target) {
+    target.leave(previous);
+    target.join(next);
+    target.emit('breakout-moved', { breakoutId, name: breakoutId ? findBreakout(room, breakoutId)?.name : null });
+  }
+  io.to(previous).emit('peer-left', { userId: participant.id });
+  if (target) target.to(next).emit('peer-joined', { userId: participant.id });
+  io.to(room.id).emit('participant-updated', serializeParticipant(participant));
+};
+
+// Only the joiner's media channel connects to them; everyone else just learns they are here.
+const announceJoin = (socket, room, participant) => {
+  const channel = mediaChannel(room.id, participant.breakoutId);
+  socket.to(channel).emit('user-joined', participant.id, participant.userName, participant.isHost);
+  socket.to(room.id).except(channel).emit('participant-updated', serializeParticipant(participant));
+};
+
+// Sockets of the host and co-hosts, who receive lobby updates and proctoring alerts.
+const getModeratorSocketIds = (room) =>
+  room
+    ? [...room.participants.values()]
+      .filter((participant) => (participant.isHost || participant.isCoHost) && participant.connected)
+      .map((participant) => participant.socketId)
+    : [];
+
+// Keeps the host's and co-hosts' attendance panels live.
+const notifyAttendance = (room) => {
+  const moderators = getModeratorSocketIds(room);
+  if (moderators.length) io.to(moderators).emit('attendance-updated', getAttendance(room));
+};
+
+const changeHost = (room, participantId, reason) => {
+  const previousHostId = room.hostId;
+  setHost(room, participantId).forEach((participant) => {
+    io.to(room.id).emit('participant-updated', serializeParticipant(participant));
+    sendRoleState(room, participant);
+    recordRole(room, participant);
+  });
+  notifyAttendance(room);
+  io.to(room.id).emit('host-changed', { hostId: room.hostId, previousHostId, reason });
+  logEvent(room, 'host-changed', room.participants.get(room.hostId), reason);
+  console.log(`Host of room ${room.id} changed from ${previousHostId} to ${room.hostId} (${reason})`);
+
+  if (room.hostId) {
+    cancelHostlessEnd(room.id);
+    notifyLobby(room);
+  } else {
+    scheduleHostlessEnd(room, () => {
+      console.log(`Room ${room.id} had no host for ${room.settings.hostlessTimeoutMinutes} minutes; ending it`);
+      endRoomForAll(room);
+    });
+  }
+};
+
+// Promotes the longest-serving co-host, or leaves the room host-less until the timeout.
+const handleHostDeparture = (room) => {
+  const successor = pickHostSuccessor(room);
+  changeHost(room, successor ? successor.id : null, successor ? 'failover' : 'host-left');
+};
+
+// Room messages go to the whole room; direct messages only to the two people in the thread.
+const emitChatEvent = (room, message, event, payload = message) => {
+  if (!message.to) {
+    io.to(room.id).emit(event, payload);
+    return;
+  }
+  const socketIds = [message.from, message.to]
+    .map((participantId) => room.participants.get(participantId))
+    .filter((participant) => participant?.connected)
+    .map((participant) => participant.socketId);
+  if (socketIds.length) io.to(socketIds).emit(event, payload);
+};
+
+// Polls and Q&A look different to moderators (drafts, live tallies, dismissed questions), so each
+// participant gets their own view, re-sent whenever their role changes.
+const sendRoleState = (room, participant) => {
+  io.to(participant.socketId).emit('poll-history', getPolls(room, participant));
+  io.to(participant.socketId).emit('question-history', getQuestions(room, participant));
+  io.to(participant.socketId).emit('exam-state', serializeExam(room, participant));
+  io.to(participant.socketId).emit('session-timer', serializeSessionTimer(room, participant));
+};
+
+const emitSessionTimer = (room) => {
+  room.participants.forEach((participant) => {
+    if (participant.connected) io.to(participant.socketId).emit('session-timer', serializeSessionTimer(room, participant));
+  });
+};
+
+// Each viewer gets their own copy of the exam; `only` narrows who is sent one.
+const emitExam = (room, only = () => true) => {
+  room.participants.forEach((participant) => {
+    if (participant.connected && only(participant)) {
+      io.to(participant.socketId).emit('exam-state', serializeExam(room, participant));
+    }
+  });
+};
+
+// Re-arms the deadline timer after any change to what is open.
+const updateExamDeadline = (room) => scheduleExamDeadline(room, () => {
+  if (room.exam.status === 'ended') logEvent(room, 'exam-ended');
+  emitExam(room);
+});
+
+const emitPoll = (room, poll) => {
+  room.participants.forEach((participant) => {
+    const view = serializePoll(poll, participant);
+    if (view && participant.connected) io.to(participant.socketId).emit('poll-updated', view);
+  });
+};
+
+const emitQuestion = (room, question) => {
+  room.participants.forEach((participant) => {
+    if (!participant.connected) return;
+    const view = serializeQuestion(question, participant);
+    if (view) io.to(participant.socketId).emit('question-updated', view);
+    else io.to(participant.socketId).emit('question-removed', { id: question.id });
+  });
+};
+
+// Everything a client needs to render the meeting after joining, resuming or being admitted.
+const sendJoinState = (target, room) => {
+  target.emit('room-state', getRoomState(room));
+  target.emit('chat-history', getHistory(room, target.data.participantId));
+  sendRoleState(room, room.participants.get(target.data.participantId));
+  target.emit('breakouts-updated', serializeBreakouts(room));
+  target.emit('whiteboard-state', serializeBoard(room));
+  target.emit('codepad-state', serializeCodePad(room));
+};
+
+const bindSocket = (socket, room, participant) => {
+  socket.join([room.id, mediaChannel(room.id, participant.breakoutId)]);
+  socket.data.roomId = room.id;
+  socket.data.participantId = participant.id;
+  socket.data.lobbyEntryId = null;
+};
+
+// Sends the waiting queue to the host and co-hosts, who are the only ones allowed to see it.
+const notifyLobby = (room) => {
+  const moderators = getModeratorSocketIds(room);
+  if (moderators.length) io.to(moderators).emit('lobby-updated', serializeLobby(room));
+};
+
+// Moves a waiting joiner into the meeting; peers are only created from here on.
+const admitFromLobby = (room, entryId) => {
+  const entry = removeFromLobby(room, entryId);
+  const target = entry && io.sockets.sockets.get(entry.socketId);
+  if (!target) return null;
+
+  const participant = addParticipant(room, {
+    socketId: target.id,
+    deviceId: target.data.deviceId,
+    userName: entry.userName,
+    isHost: false,
+    joinToken: entry.joinToken,
+  });
+  bindSocket(target, room, participant);
+  logEvent(room, 'admitted', participant);
+  recordJoin(room, participant);
+  notifyAttendance(room);
+  announceJoin(target, room, participant);
+  sendJoinState(target, room);
+  target.emit('lobby-admitted', {
+    room: serializeRoom(room),
+    participantId: participant.id,
+    resumeToken: participant.resumeToken,
+  });
+  console.log(`Participant ${participant.id} (${participant.userName}) admitted to room ${room.id}`);
+  return participant;
+};
+
+// Takes a participant out of the meeting for good; their client tears down its peers on 'removed-from-room'.
+const removeFromMeeting = (room, participant, { ban = false } = {}) => {
+  removeParticipant(room, participant.id);
+  if (ban) banParticipant(room, participant);
+  logEvent(room, ban ? 'banned' : 'removed', participant);
+  recordLeave(room, participant);
+  notifyAttendance(room);
+  const target = io.sockets.sockets.get(participant.socketId);
+  if (target && target.data.participantId === participant.id) {
+    target.emit('removed-from-room', { roomId: room.id, banned: ban });
+    target.leave(room.id);
+    target.leave(mediaChannel(room.id, participant.breakoutId));
+    target.data.roomId = null;
+    target.data.participantId = null;
+  }
+  io.to(room.id).emit('user-left', participant.id);
+  console.log(`Participant ${participant.id} (${participant.userName}) was ${ban ? 'banned' : 'removed'} from room ${room.id}`);
+};
+
+// Turns one kind of media off for everyone except the host and co-hosts.
+const setMediaForAll = (room, type) => {
+  room.participants.forEach((participant) => {
+    if (participant.isHost || participant.isCoHost || !participant[type]) return;
+    updateParticipant(room, participant.id, { [type]: false });
+    io.to(room.id).emit('toggle-media', { userId: participant.id, [type]: false });
+    io.to(room.id).emit('participant-updated', serializeParticipant(participant));
+  });
+  logEvent(room, type === 'audio' ? 'muted-all' : 'stopped-all-video');
+  console.log(`Turned ${type} off for all participants in room ${room.id}`);
+};
+
+// Time is up: lock the meeting, switch proctoring off, close a running exam and have candidates stop sharing.
+const finishSession = (room) => {
+  const endedAt = endSession(room);
+  logEvent(room, 'session-time-up');
+  setLocked(room, true);
+  logEvent(room, 'locked');
+  io.to(room.id).emit('room-updated', serializeRoom(room));
+  if (room.exam.status === 'running') {
+    endExam(room, endedAt);
+    cancelExamDeadline(room.id);
+    logEvent(room, 'exam-ended');
+    emitExam(room);
+  }
+  room.participants.forEach((participant) => {
+    const candidate = !participant.isHost && !participant.isCoHost;
+    if (candidate && participant.proctor) {
+      updateParticipant(room, participant.id, { proctor: false });
+      io.to(room.id).emit('toggle-proctor', { userId: participant.id, proctor: false });
+      io.to(room.id).emit('participant-updated', serializeParticipant(participant));
+    }
+    if (candidate && participant.connected) logEvent(room, 'session-ended', participant, endedAt);
+    if (participant.connected) io.to(participant.socketId).emit('session-time-up', { endedAt, stopScreenShare: candidate });
+  });
+  emitSessionTimer(room);
+  console.log(`Session time is up in room ${room.id}`);
+};
+
+const denyFromLobby = (room, entryId) => {
+  const entry = removeFromLobby(room, entryId);
+  const target = entry && io.sockets.sockets.get(entry.socketId);
+  if (!target) return null;
+  target.data.lobbyEntryId = null;
+  target.emit('lobby-denied', { roomId: room.id });
+  logEvent(room, 'denied', { userName: entry.userName });
+  console.log(`${entry.userName} was denied entry to room ${room.id}`);
+  return entry;
+};
+
 io.on('connection', (socket) => {
   console.log('New user connected:', socket.id);
+  // Bans follow the device, so each client keeps the ID it is given here and presents it on reconnect.
+  socket.data.deviceId = resolveDeviceId(socket.handshake.auth?.deviceId);
+  if (socket.data.deviceId !== socket.handshake.auth?.deviceId) socket.emit('device-id', socket.data.deviceId);
+
+  const broadcastParticipant = (roomId, participant) => {
+    if (participant) io.to(roomId).emit('participant-updated', serializeParticipant(participant));
+  };
+
+  // Returns the sender's room and participant record, or null if the socket is not in data.roomId.
+  const getSender = (data) => {
+    const room = getRoom(data.roomId);
+    const participant = socket.data.roomId === data.roomId && room?.participants.get(socket.data.participantId);
+    return participant ? { room, participant } : null;
+  };
+
+  const resumeSession = (room, participant, ack) => {
+    cancelRemoval(participant.id);
+    const previousSocket = io.sockets.sockets.get(participant.socketId);
+    if (previousSocket && previousSocket.id !== socket.id) {
+      previousSocket.leave(room.id);
+      previousSocket.leave(mediaChannel(room.id, participant.breakoutId));
+      previousSocket.data.roomId = null;
+    }
+    participant.socketId = socket.id;
+    participant.connected = true;
+    bindSocket(socket, room, participant);
+    logEvent(room, 'reconnected', participant);
+    recordJoin(room, participant);
+    notifyAttendance(room);
+    console.log(`Participant ${participant.id} (${participant.userName}) resumed in room ${room.id} on socket ${socket.id}`);
+
+    socket.to(room.id).emit('participant-updated', serializeParticipant(participant));
+    sendJoinState(socket, room);
+    if (participant.isHost || participant.isCoHost) notifyLobby(room);
+    reply(ack, {
+      room: serializeRoom(room),
+      isHost: isRoomHost(room, participant.id),
+      participantId: participant.id,
+      resumeToken: participant.resumeToken,
+      resumed: true,
+    });
+  };
+
+  socket.on('join-room', (data, ack) => {
+    const { roomId, hostKey, joinToken, passcode, resumeToken } = data || {};
+    let { userName } = data || {};
+    const room = getRoom(roomId);
+    const resumable = room?.status === 'ended' ? null : findParticipantByResumeToken(room, resumeToken);
+    if (resumable) return resumeSession(room, resumable, ack);
 
-  socket.on('join-room', (roomId, userId, userName, isHost) => {
-    socket.join(roomId);
-    if (isHost) {
-      roomHosts[roomId] = socket.id; 
-      console.log(`Host ${userId || socket.id} (${userName}) joined room ${roomId}`);
-    } else {
-      console.log(`Participant ${userId || socket.id} (${userName}) joined room ${roomId}`);
+    const error = checkJoinable(room);
+    if (error) {
+      console.log(`Rejected join of ${socket.id} (${userName}) to room ${roomId}: ${error}`);
+      return reply(ack, { error });
     }
-    socket.to(roomId).emit('user-joined', userId || socket.id, userName, isHost);
-    
+
+    const access = authorizeJoin(room, { hostKey, joinToken, passcode, deviceId: socket.data.deviceId });
+    if (access.error) {
+      console.log(`Rejected join of ${socket.id} (${userName}) to room ${roomId}: ${access.error}`);
+      return reply(ack, { error: access.error });
+    }
+    const { isHost } = access;
+    // Signed tokens carry the display name the host invited this person under.
+    if (access.name) userName = access.name;
+
+    if (room.settings.waitingRoom && !isHost) {
+      const entry = addToLobby(room, { socketId: socket.id, userName, joinToken });
+      socket.data.lobbyEntryId = entry.id;
+      socket.data.lobbyRoomId = roomId;
+      console.log(`${entry.userName} is waiting to join room ${roomId}`);
+      logEvent(room, 'waiting', { userName: entry.userName });
+      notifyLobby(room);
+      return reply(ack, { room: serializeRoom(room), waiting: true });
+    }
+
+    const participant = addParticipant(room, { socketId: socket.id, deviceId: socket.data.deviceId, userName, isHost, joinToken });
+    bindSocket(socket, room, participant);
+    logEvent(room, 'joined', participant, isHost ? 'host' : null);
+    recordJoin(room, participant);
+    console.log(`${isHost ? 'Host' : 'Participant'} ${participant.id} (${userName}) joined room ${roomId}`);
+    announceJoin(socket, room, participant);
+    // Joining with host credentials takes the host role back, demoting any stand-in to co-host.
+    if (isHost) changeHost(room, participant.id, 'host-joined');
+    sendJoinState(socket, room);
+    notifyAttendance(room);
+    reply(ack, {
+      room: serializeRoom(room),
+      isHost,
+      participantId: participant.id,
+      resumeToken: participant.resumeToken,
+      resumed: false,
+    });
+
     io.in(roomId).allSockets().then(sockets => {
       console.log(`Users in room ${roomId}: ${[...sockets].join(', ')}`);
     });
   });
 
+  socket.on('update-settings', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const settings = updateSettings(room, data.settings);
+    console.log(`Settings for room ${room.id} updated: ${JSON.stringify(settings)}`);
+    io.to(room.id).emit('room-updated', serializeRoom(room));
+    // Turning the waiting room off lets everyone who was waiting in.
+    if (!settings.waitingRoom && room.lobby.size) {
+      [...room.lobby.keys()].forEach((entryId) => admitFromLobby(room, entryId));
+      notifyLobby(room);
+    }
+    reply(ack, { room: serializeRoom(room) });
+  });
+
+  socket.on('set-cohost', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId, { hostOnly: true });
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const participant = setCoHost(room, data.userId, data.coHost);
+    if (!participant) return reply(ack, { error: 'That participant cannot be made a co-host.' });
+    console.log(`${participant.userName} is ${participant.isCoHost ? 'now' : 'no longer'} a co-host of room ${room.id}`);
+    logEvent(room, participant.isCoHost ? 'cohost-added' : 'cohost-removed', participant);
+    broadcastParticipant(room.id, participant);
+    sendRoleState(room, participant);
+    recordRole(room, participant);
+    notifyAttendance(room);
+    if (participant.isCoHost) notifyLobby(room);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('transfer-host', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId, { hostOnly: true });
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const target = room.participants.get(data.userId);
+    if (!target || !target.connected || target.id === room.hostId) {
+      return reply(ack, { error: 'Host can only be handed to another connected participant.' });
+    }
+    changeHost(room, target.id, 'transfer');
+    reply(ack, { ok: true });
+  });
+
+  socket.on('remove-participant', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const target = room.participants.get(data.userId);
+    const moderator = room.participants.get(socket.data.participantId);
+    if (!target || target.id === moderator.id || target.isHost) {
+      return reply(ack, { error: 'That participant cannot be removed.' });
+    }
+    if (target.isCoHost && !moderator.isHost) {
+      return reply(ack, { error: 'Only the host can remove a co-host.' });
+    }
+    removeFromMeeting(room, target, { ban: !!data.ban });
+    reply(ack, { ok: true });
+  });
+
+  socket.on('mute-all', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    setMediaForAll(getRoom(data.roomId), 'audio');
+    reply(ack, { ok: true });
+  });
+
+  socket.on('stop-all-video', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    setMediaForAll(getRoom(data.roomId), 'video');
+    reply(ack, { ok: true });
+  });
+
+  socket.on('lock-room', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const locked = setLocked(room, data.locked);
+    console.log(`Room ${room.id} ${locked ? 'locked' : 'unlocked'}`);
+    logEvent(room, locked ? 'locked' : 'unlocked', room.participants.get(socket.data.participantId));
+    io.to(room.id).emit('room-updated', serializeRoom(room));
+    reply(ack, { ok: true, locked });
+  });
+
+  socket.on('export-record', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId, { hostOnly: true });
+    if (error) return reply(ack, { error });
+    const record = exportRecord(getRoom(data.roomId), data.format);
+    if (!record) return reply(ack, { error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    reply(ack, { ok: true, ...record });
+  });
+
+  socket.on('attendance-report', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const report = attendanceReport(room, data.format);
+    if (!report) return reply(ack, { error: 'Format must be one of: json, csv' });
+    reply(ack, { ok: true, ...report, attendance: getAttendance(room) });
+  });
+
+  socket.on('end-meeting', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId, { hostOnly: true });
+    if (error) return reply(ack, { error });
+    endRoomForAll(getRoom(data.roomId));
+    reply(ack, { ok: true });
+  });
+
+  socket.on('lobby-admit', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const fullError = checkJoinable(room);
+    if (fullError) return reply(ack, { error: fullError });
+    const participant = admitFromLobby(room, data.entryId);
+    notifyLobby(room);
+    reply(ack, participant ? { ok: true } : { error: 'That person is no longer waiting.' });
+  });
+
+  socket.on('lobby-admit-all', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    let admitted = 0;
+    for (const entryId of [...room.lobby.keys()]) {
+      if (checkJoinable(room)) break;
+      if (admitFromLobby(room, entryId)) admitted++;
+    }
+    notifyLobby(room);
+    reply(ack, { ok: true, admitted });
+  });
+
+  socket.on('lobby-deny', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const entry = denyFromLobby(room, data.entryId);
+    notifyLobby(room);
+    reply(ack, entry ? { ok: true } : { error: 'That person is no longer waiting.' });
+  });
+
+  socket.on('lobby-leave', () => {
+    const room = getRoom(socket.data.lobbyRoomId);
+    if (socket.data.lobbyEntryId && removeFromLobby(room, socket.data.lobbyEntryId)) {
+      notifyLobby(room);
+    }
+    socket.data.lobbyEntryId = null;
+  });
+
+  // Signaling is addressed by participant ID and only delivered within the sender's room.
+  const relaySignal = (event, data, payload) => {
+    const { roomId, participantId } = socket.data;
+    const room = getRoom(roomId);
+    const target = room?.participants.get(data?.to);
+    const sender = room?.participants.get(participantId);
+    // Peers only connect within one media channel, so signals across breakout rooms are stale.
+    if (!sender || !target || target.id === participantId || target.breakoutId !== sender.breakoutId) {
+      console.warn(`Dropped ${event} from ${socket.id} to ${data?.to}: not in the same room`);
+      return;
+    }
+    io.to(target.socketId).emit(event, { ...payload, from: participantId });
+  };
+
   socket.on('offer', (data) => {
-    socket.to(data.to).emit('offer', { signal: data.signal, from: socket.id });
+    relaySignal('offer', data, { signal: data?.signal });
   });
 
   socket.on('answer', (data) => {
-    socket.to(data.to).emit('answer', { signal: data.signal, from: socket.id });
+    relaySignal('answer', data, { signal: data?.signal });
   });
 
   socket.on('ice-candidate', (data) => {
-    socket.to(data.to).emit('ice-candidate', { candidate: data.candidate, from: socket.id });
+    relaySignal('ice-candidate', data, { candidate: data?.candidate });
+  });
+
+  // The sender gets its stored copy back in the ack; the room (or the direct recipient) receives it as an event.
+  socket.on('chat-message', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { room, participant } = sender;
+    const recipient = data.to ? room.participants.get(data.to) : null;
+    if (data.to && !recipient) return reply(ack, { error: 'That participant is no longer in this meeting.' });
+    if (recipient && !canDirectMessage(participant, recipient)) {
+      return reply(ack, { error: 'You can only message the host or co-hosts privately.' });
+    }
+    const policyError = checkChatPolicy(room, participant, { text: data.message, recipient });
+    if (policyError) {
+      console.log(`Rejected chat message from ${participant.id} in room ${room.id}: ${policyError}`);
+      return reply(ack, { error: policyError });
+    }
+    let attachment = null;
+    if (data.attachment) {
+      if (!room.settings.fileSharing) return reply(ack, { error: 'File sharing is disabled in this meeting.' });
+      const result = sanitizeAttachment(data.attachment);
+      if (result.error) return reply(ack, { error: result.error });
+      attachment = result.attachment;
+    }
+    const added = addMessage(room, participant, { text: data.message, recipient, attachment });
+    if (!added) return reply(ack, { error: 'Message is empty.' });
+    const { message, droppedAttachments } = added;
+    droppedAttachments.forEach((dropped) => deleteFile(dropped.id));
+    // Only the sender learns the upload token, in the ack.
+    const uploadToken = attachment ? registerFile(room.id, message) : undefined;
+    // Only metadata is logged: message text, private or not, stays out of the server log.
+    console.log(`Chat message ${message.id} from ${participant.id} (${participant.userName}) ${recipient ? `to ${recipient.id} ` : ''}in room ${room.id}${attachment ? ' with an attachment' : ''}`);
+    if (!recipient) {
+      socket.to(room.id).emit('chat-message', message);
+    } else if (recipient.connected) {
+      io.to(recipient.socketId).emit('chat-message', message);
+    }
+    reply(ack, { ok: true, message, uploadToken });
+  });
+
+  // Edits, deletions and reactions all resend the whole message as 'chat-message-updated'.
+  const handleChatUpdate = (action, update) => (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { message, error } = update(sender.room, sender.participant, data);
+    if (error) {
+      console.log(`Rejected ${action} of message ${data.messageId} by ${sender.participant.id}: ${error}`);
+      return reply(ack, { error });
+    }
+    emitChatEvent(sender.room, message, 'chat-message-updated');
+    reply(ack, { ok: true, message });
+  };
+
+  socket.on('chat-edit', handleChatUpdate('chat-edit', (room, participant, data) =>
+    editMessage(room, participant, data.messageId, data.message)));
+
+  socket.on('chat-delete', handleChatUpdate('chat-delete', (room, participant, data) => {
+    const result = deleteMessage(room, participant, data.messageId);
+    if (result.removedAttachment) deleteFile(result.removedAttachment.id);
+    return result;
+  }));
+
+  socket.on('chat-react', handleChatUpdate('chat-react', (room, participant, data) =>
+    toggleReaction(room, participant, data.messageId, data.emoji)));
+
+  socket.on('chat-typing', (data = {}) => {
+    const sender = getSender(data);
+    if (!sender) return;
+    const { room, participant } = sender;
+    const recipient = data.to ? room.participants.get(data.to) : null;
+    if (data.typing && getChatRestriction(room, participant, recipient)) return;
+    const payload = { userId: participant.id, userName: participant.userName, to: null, typing: !!data.typing };
+    if (!data.to) {
+      socket.to(room.id).emit('chat-typing', payload);
+      return;
+    }
+    if (recipient?.connected && canDirectMessage(participant, recipient)) {
+      io.to(recipient.socketId).emit('chat-typing', { ...payload, to: recipient.id });
+    }
+  });
+
+  socket.on('set-chat-mute', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const participant = setChatMuted(room, data.userId, data.muted);
+    if (!participant) return reply(ack, { error: 'That participant cannot be muted in chat.' });
+    console.log(`${participant.userName} is ${participant.chatMuted ? 'now' : 'no longer'} muted in chat in room ${room.id}`);
+    broadcastParticipant(room.id, participant);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('chat-read', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    reply(ack, { ok: true, lastReadAt: markRead(sender.room, sender.participant.id, data.readAt) });
+  });
+
+  socket.on('raise-hand', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { room, participant } = sender;
+    const wasRaised = !!participant.handRaisedAt;
+    setHandRaised(room, participant.id, !!data.raised);
+    if (wasRaised !== !!participant.handRaisedAt) {
+      logEvent(room, participant.handRaisedAt ? 'hand-raised' : 'hand-lowered', participant);
+      broadcastParticipant(room.id, participant);
+    }
+    reply(ack, { ok: true, handRaisedAt: participant.handRaisedAt });
+  });
+
+  socket.on('lower-hand', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const participant = room.participants.get(data.userId);
+    if (!participant) return reply(ack, { error: 'That participant is no longer in this meeting.' });
+    if (participant.handRaisedAt) {
+      setHandRaised(room, participant.id, false);
+      logEvent(room, 'hand-lowered', participant, 'by moderator');
+      broadcastParticipant(room.id, participant);
+    }
+    reply(ack, { ok: true });
+  });
+
+  socket.on('lower-all-hands', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    lowerAllHands(room).forEach((participant) => broadcastParticipant(room.id, participant));
+    logEvent(room, 'lowered-all-hands', room.participants.get(socket.data.participantId));
+    reply(ack, { ok: true });
+  });
+
+  // Reactions are transient: they are relayed to the room and not stored.
+  socket.on('send-reaction', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    if (!REACTIONS.includes(data.emoji)) return reply(ack, { error: 'That reaction is not supported.' });
+    if (!allowReaction(sender.participant)) return reply(ack, { error: 'You are sending reactions too quickly.' });
+    io.to(sender.room.id).emit('reaction', { userId: sender.participant.id, emoji: data.emoji });
+    reply(ack, { ok: true });
+  });
+
+  socket.on('poll-create', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const creator = room.participants.get(socket.data.participantId);
+    const { poll, error: invalid } = createPoll(room, creator, data);
+    if (invalid) return reply(ack, { error: invalid });
+    logEvent(room, 'poll-created', creator, poll.question);
+    emitPoll(room, poll);
+    reply(ack, { ok: true, poll: serializePoll(poll, creator) });
+  });
+
+  // Launching opens a poll for votes, closing stops them; both go to everyone in the room.
+  const handlePollStatus = (status) => (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { poll, error: invalid } = setPollStatus(room, data.pollId, status);
+    if (invalid) return reply(ack, { error: invalid });
+    logEvent(room, status === 'open' ? 'poll-launched' : 'poll-closed', room.participants.get(socket.data.participantId), poll.question);
+    emitPoll(room, poll);
+    reply(ack, { ok: true });
+  };
+
+  socket.on('poll-launch', handlePollStatus('open'));
+  socket.on('poll-close', handlePollStatus('closed'));
+
+  socket.on('poll-results', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { poll, error: invalid } = setResultsVisible(room, data.pollId, data.visible);
+    if (invalid) return reply(ack, { error: invalid });
+    emitPoll(room, poll);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('poll-vote', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { poll, error } = castVote(sender.room, sender.participant, data.pollId, data.optionIds);
+    if (error) return reply(ack, { error });
+    emitPoll(sender.room, poll);
+    reply(ack, { ok: true, poll: serializePoll(poll, sender.participant) });
+  });
+
+  socket.on('poll-export', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const report = pollReport(getRoom(data.roomId), data.format);
+    if (!report) return reply(ack, { error: 'Format must be one of: json, csv' });
+    reply(ack, { ok: true, ...report });
+  });
+
+  socket.on('qa-ask', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { question, error } = askQuestion(sender.room, sender.participant, data);
+    if (error) return reply(ack, { error });
+    emitQuestion(sender.room, question);
+    reply(ack, { ok: true, question: serializeQuestion(question, sender.participant) });
+  });
+
+  socket.on('qa-upvote', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { question, error } = toggleUpvote(sender.room, sender.participant, data.questionId);
+    if (error) return reply(ack, { error });
+    emitQuestion(sender.room, question);
+    reply(ack, { ok: true });
+  });
+
+  // data carries any of answered, pinned and dismissed.
+  socket.on('qa-moderate', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { question, error: invalid } = moderateQuestion(room, data.questionId, data);
+    if (invalid) return reply(ack, { error: invalid });
+    emitQuestion(room, question);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('breakout-setup', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = setupBreakouts(room, data.count);
+    if (invalid) return reply(ack, { error: invalid });
+    notifyBreakouts(room);
+    reply(ack, { ok: true });
+  });
+
+  // While breakouts are open, a new assignment moves the participant straight away.
+  socket.on('breakout-assign', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { participant, error: invalid } = assignParticipant(room, data.userId, data.breakoutId || null);
+    if (invalid) return reply(ack, { error: invalid });
+    if (room.breakouts.status !== 'closed') moveToBreakout(room, participant, getAssignedBreakout(room, participant.id));
+    notifyBreakouts(room);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('breakout-shuffle', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = assignRandomly(room);
+    if (invalid) return reply(ack, { error: invalid });
+    if (room.breakouts.status !== 'closed') {
+      room.participants.forEach((participant) => {
+        if (!participant.isHost && !participant.isCoHost) moveToBreakout(room, participant, getAssignedBreakout(room, participant.id));
+      });
+    }
+    notifyBreakouts(room);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('breakout-open', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = openBreakouts(room);
+    if (invalid) return reply(ack, { error: invalid });
+    room.participants.forEach((participant) => moveToBreakout(room, participant, getAssignedBreakout(room, participant.id)));
+    logEvent(room, 'breakouts-opened', room.participants.get(socket.data.participantId), `${room.breakouts.rooms.length} rooms`);
+    notifyBreakouts(room);
+    reply(ack, { ok: true });
   });
 
-  socket.on('chat-message', (data) => {
-    console.log(`Chat message from ${socket.id} (${data.userName}) in room ${data.roomId}: ${data.message}`);
-    socket.to(data.roomId).emit('chat-message', {
-      message: data.message,
-      from: socket.id,
-      userName: data.userName
+  socket.on('breakout-close', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = scheduleBreakoutClose(room, data.countdownSeconds, () => {
+      room.participants.forEach((participant) => moveToBreakout(room, participant, null));
+      logEvent(room, 'breakouts-closed');
+      notifyBreakouts(room);
     });
+    if (invalid) return reply(ack, { error: invalid });
+    notifyBreakouts(room);
+    reply(ack, { ok: true });
   });
 
-  socket.on('toggle-media', (data) => {
+  socket.on('breakout-broadcast', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const message = typeof data.message === 'string' ? data.message.trim().slice(0, 500) : '';
+    if (!message) return reply(ack, { error: 'Message cannot be empty.' });
+    const room = getRoom(data.roomId);
+    const sender = room.participants.get(socket.data.participantId);
+    io.to(room.id).emit('breakout-broadcast', { message, userName: sender.userName });
+    reply(ack, { ok: true });
+  });
+
+  // The host and co-hosts can drop into any open breakout, or back to the main room with a null breakoutId.
+  socket.on('breakout-visit', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    if (room.breakouts.status === 'closed') return reply(ack, { error: 'Breakout rooms are not open.' });
+    if (data.breakoutId && !findBreakout(room, data.breakoutId)) return reply(ack, { error: 'Breakout room not found.' });
+    moveToBreakout(room, room.participants.get(socket.data.participantId), data.breakoutId || null);
+    reply(ack, { ok: true });
+  });
+
+  // The drawer adds the stored element from the ack; everyone else gets it as an event.
+  socket.on('wb-add', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { element, error } = addElement(sender.room, sender.participant, data.pageId, data.element);
+    if (error) return reply(ack, { error });
+    socket.to(sender.room.id).emit('wb-element-added', { pageId: data.pageId, element });
+    reply(ack, { ok: true, element });
+  });
+
+  socket.on('wb-erase', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { element, error } = eraseElement(sender.room, sender.participant, data.pageId, data.elementId);
+    if (error) return reply(ack, { error });
+    io.to(sender.room.id).emit('wb-element-removed', { pageId: data.pageId, elementId: element.id });
+    reply(ack, { ok: true });
+  });
+
+  socket.on('wb-undo', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { page, error } = undo(sender.room, sender.participant);
+    if (error) return reply(ack, { error });
+    io.to(sender.room.id).emit('wb-page-updated', { page });
+    reply(ack, { ok: true });
+  });
+
+  socket.on('wb-clear', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { page, error: invalid } = clearPage(room, room.participants.get(socket.data.participantId), data.pageId);
+    if (invalid) return reply(ack, { error: invalid });
+    io.to(room.id).emit('wb-page-updated', { page });
+    reply(ack, { ok: true });
+  });
+
+  socket.on('wb-add-page', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { page, error } = addPage(sender.room, sender.participant);
+    if (error) return reply(ack, { error });
+    io.to(sender.room.id).emit('whiteboard-state', serializeBoard(sender.room));
+    reply(ack, { ok: true, pageId: page.id });
+  });
+
+  socket.on('wb-delete-page', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = deletePage(room, data.pageId);
+    if (invalid) return reply(ack, { error: invalid });
+    io.to(room.id).emit('whiteboard-state', serializeBoard(room));
+    reply(ack, { ok: true });
+  });
+
+  socket.on('wb-lock', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const locked = setBoardLocked(room, data.locked);
+    logEvent(room, locked ? 'whiteboard-locked' : 'whiteboard-unlocked', room.participants.get(socket.data.participantId));
+    io.to(room.id).emit('whiteboard-state', serializeBoard(room));
+    reply(ack, { ok: true, locked });
+  });
+
+  // The editor learns its edit's revision from the ack; everyone else gets the edit, already transformed.
+  socket.on('codepad-edit', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { revision, operation, error } = applyEdit(sender.room, sender.participant, data.revision, data.operation);
+    if (error) return reply(ack, { error });
+    socket.to(sender.room.id).emit('codepad-operation', { revision, operation });
+    reply(ack, { ok: true, revision });
+  });
+
+  // A client whose edits were rejected reloads the whole pad.
+  socket.on('codepad-sync', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    reply(ack, { ok: true, ...serializeCodePad(sender.room) });
+  });
+
+  socket.on('codepad-language', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { language, error } = setLanguage(sender.room, data.language);
+    if (error) return reply(ack, { error });
+    io.to(sender.room.id).emit('codepad-language', { language });
+    reply(ack, { ok: true });
+  });
+
+  socket.on('codepad-history', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    reply(ack, { ok: true, ...getCodePadHistory(getRoom(data.roomId)) });
+  });
+
+  // durationSeconds, plus warnings in seconds before the end (five and one minute if left out).
+  socket.on('session-timer-start', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { timer, error: invalid } = startSessionTimer(room, data, {
+      onWarning: (secondsLeft) => io.to(room.id).emit('session-timer-warning', { secondsLeft }),
+      onExpire: () => finishSession(room),
+    });
+    if (invalid) return reply(ack, { error: invalid });
+    logEvent(room, 'session-timer-started', room.participants.get(socket.data.participantId), `${timer.durationSeconds} seconds`);
+    emitSessionTimer(room);
+    reply(ack, { ok: true, endsAt: timer.endsAt });
+  });
+
+  socket.on('session-timer-stop', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = stopSessionTimer(room);
+    if (invalid) return reply(ack, { error: invalid });
+    logEvent(room, 'session-timer-stopped', room.participants.get(socket.data.participantId));
+    emitSessionTimer(room);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('exam-load', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { exam, error: invalid } = loadExam(room, data.questionSet);
+    if (invalid) return reply(ack, { error: invalid });
+    cancelExamDeadline(room.id);
+    emitExam(room);
+    reply(ack, { ok: true, questions: exam.questions.length });
+  });
+
+  socket.on('exam-time-limit', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = setTimeLimit(room, data.questionId || null, data.seconds);
+    if (invalid) return reply(ack, { error: invalid });
+    emitExam(room, (participant) => participant.isHost || participant.isCoHost);
+    reply(ack, { ok: true });
+  });
+
+  // Pushes one question, or every pending one when no questionId is given.
+  socket.on('exam-push', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const starting = room.exam.status === 'idle';
+    const { opened, error: invalid } = pushQuestions(room, data.questionId || null);
+    if (invalid) return reply(ack, { error: invalid });
+    if (starting) logEvent(room, 'exam-started', room.participants.get(socket.data.participantId), room.exam.title);
+    updateExamDeadline(room);
+    emitExam(room);
+    room.participants.forEach((participant) => {
+      if (participant.connected && !participant.isHost && !participant.isCoHost) {
+        io.to(participant.socketId).emit('exam-questions-opened', { count: opened.length });
+      }
+    });
+    reply(ack, { ok: true, opened: opened.length });
+  });
+
+  socket.on('exam-close-question', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = closeQuestionEarly(room, data.questionId);
+    if (invalid) return reply(ack, { error: invalid });
+    updateExamDeadline(room);
+    emitExam(room);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('exam-end', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const room = getRoom(data.roomId);
+    const { error: invalid } = endExam(room);
+    if (invalid) return reply(ack, { error: invalid });
+    cancelExamDeadline(room.id);
+    logEvent(room, 'exam-ended', room.participants.get(socket.data.participantId));
+    emitExam(room);
+    reply(ack, { ok: true });
+  });
+
+  // Only the candidate and the moderators need to see a new answer.
+  socket.on('exam-submit', (data = {}, ack) => {
+    const sender = getSender(data);
+    if (!sender) return reply(ack, { error: 'You are not in this meeting.' });
+    const { error } = submitAnswer(sender.room, sender.participant, data.questionId, data.answer);
+    if (error) return reply(ack, { error });
+    emitExam(sender.room, (participant) =>
+      participant.id === sender.participant.id || participant.isHost || participant.isCoHost);
+    reply(ack, { ok: true });
+  });
+
+  socket.on('exam-report', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) return reply(ack, { error });
+    const report = examReport(getRoom(data.roomId), data.format);
+    if (!report) return reply(ack, { error: 'Format must be one of: json, csv' });
+    reply(ack, { ok: true, ...report });
+  });
+
+  socket.on('toggle-media', (data = {}, ack) => {
+    // Participants may report their own media state; changing someone else's is host-only.
+    const error = isSelf(socket, data.roomId, data.userId) ? null : checkHost(socket, data.roomId);
+    if (error) {
+      console.log(`Rejected toggle-media from ${socket.id} for ${data.userId} in room ${data.roomId}: ${error}`);
+      return reply(ack, { error });
+    }
     console.log(`Toggle media for ${data.userId} in room ${data.roomId}: video=${data.video}, audio=${data.audio}`);
-    socket.to(data.roomId).to(data.userId).emit('toggle-media', {
+    socket.to(data.roomId).emit('toggle-media', {
       userId: data.userId,
       video: data.video,
       audio: data.audio
     });
+    broadcastParticipant(data.roomId, updateParticipant(getRoom(data.roomId), data.userId, { video: data.video, audio: data.audio }));
+    reply(ack, { ok: true });
   });
 
-  socket.on('toggle-proctor', (data) => {
+  socket.on('toggle-proctor', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) {
+      console.log(`Rejected toggle-proctor from ${socket.id} for ${data.userId} in room ${data.roomId}: ${error}`);
+      return reply(ack, { error });
+    }
     console.log(`Toggle proctor for ${data.userId} in room ${data.roomId}: proctor=${data.proctor}`);
-    socket.to(data.roomId).to(data.userId).emit('toggle-proctor', {
+    socket.to(data.roomId).emit('toggle-proctor', {
       userId: data.userId,
       proctor: data.proctor
     });
+    broadcastParticipant(data.roomId, updateParticipant(getRoom(data.roomId), data.userId, { proctor: data.proctor }));
+    reply(ack, { ok: true });
   });
 
-  socket.on('face-detection-alert', (data) => {
+  socket.on('face-detection-alert', (data = {}, ack) => {
+    const error = checkHost(socket, data.roomId);
+    if (error) {
+      console.log(`Rejected face-detection-alert from ${socket.id} for ${data.userId} in room ${data.roomId}: ${error}`);
+      return reply(ack, { error });
+    }
     console.log(`Face detection alert for ${data.userId} in room ${data.roomId}: ${data.message}`);
-    socket.to(data.roomId).to(data.userId).emit('face-detection-alert', {
+    const room = getRoom(data.roomId);
+    const subject = room.participants.get(data.userId);
+    if (subject) logAlert(room, 'face-detection', subject, data.message);
+    socket.to(data.roomId).emit('face-detection-alert', {
       userId: data.userId,
       message: data.message
     });
+    reply(ack, { ok: true });
   });
 
-  socket.on('tab-switch-alert', (data) => {
-    console.log(`Tab switch alert from ${data.userId} (${data.userName}) in room ${data.roomId}: ${data.message}`);
-
-    if (roomHosts[data.roomId]) {
-      socket.to(roomHosts[data.roomId]).emit('tab-switch-alert', {
-        userId: data.userId,
-        userName: data.userName,
+  socket.on('tab-switch-alert', (data = {}) => {
+    const sender = getSender(data);
+    if (!sender) return;
+    const { room, participant } = sender;
+    console.log(`Tab switch alert from ${participant.id} (${participant.userName}) in room ${room.id}: ${data.message}`);
+    logAlert(room, 'tab-switch', participant, data.message);
+    const moderators = getModeratorSocketIds(room).filter((socketId) => socketId !== socket.id);
+    if (moderators.length) {
+      io.to(moderators).emit('tab-switch-alert', {
+        userId: participant.id,
+        userName: participant.userName,
         message: data.message
       });
     }
   });
 
-  socket.on('screen-share-status', (data) => {
-    console.log(`Screen share status from ${socket.id} (${data.userName}) in room ${data.roomId}: ${data.isScreenSharing}`);
-    socket.to(data.roomId).emit('screen-share-status', {
-      userId: socket.id,
-      userName: data.userName,
+  socket.on('screen-share-status', (data = {}) => {
+    const sender = getSender(data);
+    if (!sender) return;
+    const { room, participant } = sender;
+    console.log(`Screen share status from ${participant.id} (${participant.userName}) in room ${room.id}: ${data.isScreenSharing}`);
+    socket.to(room.id).emit('screen-share-status', {
+      userId: participant.id,
+      userName: participant.userName,
       isScreenSharing: data.isScreenSharing,
     });
+    broadcastParticipant(room.id, updateParticipant(room, participant.id, { isScreenSharing: data.isScreenSharing }));
   });
 
-  socket.on('disconnect', () => {
-    socket.broadcast.emit('user-left', socket.id);
-    
-    for (const roomId in roomHosts) {
-      if (roomHosts[roomId] === socket.id) {
-        delete roomHosts[roomId];
-      }
+  socket.on('disconnecting', () => {
+    if (socket.data.lobbyEntryId) {
+      const lobbyRoom = getRoom(socket.data.lobbyRoomId);
+      if (removeFromLobby(lobbyRoom, socket.data.lobbyEntryId)) notifyLobby(lobbyRoom);
     }
+
+    const { roomId, participantId } = socket.data;
+    const room = getRoom(roomId);
+    const participant = room?.participants.get(participantId);
+    // A participant who already resumed on a newer socket is not affected by the old one closing.
+    if (!participant || participant.socketId !== socket.id) return;
+
+    participant.connected = false;
+    logEvent(room, 'disconnected', participant);
+    recordLeave(room, participant);
+    notifyAttendance(room);
+    socket.to(roomId).emit('participant-updated', serializeParticipant(participant));
+    scheduleRemoval(room, participantId, () => {
+      logEvent(room, 'left', participant);
+      io.to(roomId).emit('user-left', participantId);
+      console.log(`Participant ${participantId} (${participant.userName}) left room ${roomId}`);
+      if (room.hostId === participantId) handleHostDeparture(room);
+    });
+  });
+
+  socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
   });
 });
 
 const PORT =  5200;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Tests require this file and listen on a port of their own.
+if (require.main === module) {
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+module.exports = { app, server, io };
\ No newline at end of file
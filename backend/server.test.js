@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { io: connectClient } = require('socket.io-client');
+const { server, io } = require('./server');
+
+let base;
+const clients = [];
+
+const connect = (auth) => {
+  const socket = connectClient(base, { auth, transports: ['websocket'] });
+  clients.push(socket);
+  return socket;
+};
+
+const emit = (socket, event, data) => new Promise((resolve) => socket.emit(event, data, resolve));
+
+const createRoom = async (body = {}) => {
+  const res = await fetch(`${base}/api/rooms`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return res.json();
+};
+
+// Ending the room cancels its resume and host-less timers, so the test process can exit.
+const endRoom = (room) =>
+  fetch(`${base}/api/rooms/${room.id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${room.hostKey}` } });
+
+test.before(() => new Promise((resolve) => {
+  server.listen(0, () => {
+    base = `http://localhost:${server.address().port}`;
+    resolve();
+  });
+}));
+
+test.after(() => {
+  clients.forEach((socket) => socket.disconnect());
+  io.close();
+});
+
+test('a reloaded host tab resumes as host, even in an invitation-only meeting', async () => {
+  const room = await createRoom({ title: 'Reload', settings: { requireToken: true } });
+  const host = connect();
+  const joined = await emit(host, 'join-room', { roomId: room.id, userName: 'Host', hostKey: room.hostKey });
+  assert.strictEqual(joined.isHost, true);
+
+  // A reload drops the socket; the new page presents what it kept in sessionStorage.
+  host.disconnect();
+  const reloaded = await emit(connect(), 'join-room', {
+    roomId: room.id,
+    userName: 'Host',
+    hostKey: room.hostKey,
+    resumeToken: joined.resumeToken,
+  });
+  assert.strictEqual(reloaded.resumed, true);
+  assert.strictEqual(reloaded.isHost, true);
+  assert.strictEqual(reloaded.participantId, joined.participantId);
+
+  // Past the resume grace period only the host key is left, and it still gets the host in.
+  const fresh = await emit(connect(), 'join-room', { roomId: room.id, userName: 'Host', hostKey: room.hostKey });
+  assert.strictEqual(fresh.error, undefined);
+  assert.strictEqual(fresh.isHost, true);
+  await endRoom(room);
+});
+
+const joinMeeting = async (title = 'Moderation') => {
+  const room = await createRoom({ title });
+  const host = connect();
+  const hostJoin = await emit(host, 'join-room', { roomId: room.id, userName: 'Host', hostKey: room.hostKey });
+  const candidate = connect();
+  const candidateJoin = await emit(candidate, 'join-room', { roomId: room.id, userName: 'Cand' });
+  return { room, host, hostJoin, candidate, candidateJoin };
+};
+
+test('participants cannot moderate, and co-hosts cannot take host-only actions', async () => {
+  const { room, host, hostJoin, candidate, candidateJoin } = await joinMeeting();
+  const attempts = [
+    ['remove-participant', { roomId: room.id, userId: hostJoin.participantId, ban: true }],
+    ['mute-all', { roomId: room.id }],
+    ['lock-room', { roomId: room.id, locked: true }],
+    ['set-cohost', { roomId: room.id, userId: candidateJoin.participantId, coHost: true }],
+    ['end-meeting', { roomId: room.id }],
+  ];
+  for (const [event, data] of attempts) {
+    const res = await emit(candidate, event, data);
+    assert.match(res.error, /^Only the host/, event);
+  }
+
+  assert.deepStrictEqual(await emit(host, 'set-cohost', { roomId: room.id, userId: candidateJoin.participantId, coHost: true }), { ok: true });
+  assert.strictEqual((await emit(candidate, 'mute-all', { roomId: room.id })).error, undefined);
+  assert.strictEqual((await emit(candidate, 'end-meeting', { roomId: room.id })).error, 'Only the host can do that.');
+
+  // Moderating from another room is refused even for that room's host.
+  const outsider = await createRoom({ title: 'Elsewhere' });
+  const outsiderHost = connect();
+  await emit(outsiderHost, 'join-room', { roomId: outsider.id, userName: 'Other host', hostKey: outsider.hostKey });
+  assert.strictEqual((await emit(outsiderHost, 'end-meeting', { roomId: room.id })).error, 'You are not in this meeting.');
+  await endRoom(room);
+  await endRoom(outsider);
+});
+
+test('signals are only relayed within a room and carry the real sender', async () => {
+  const { room, host, hostJoin, candidate, candidateJoin } = await joinMeeting('Signals');
+  const other = await createRoom({ title: 'Other' });
+  const outsider = connect();
+  await emit(outsider, 'join-room', { roomId: other.id, userName: 'Outsider', hostKey: other.hostKey });
+
+  const received = [];
+  const delivered = new Promise((resolve) => host.on('offer', (data) => {
+    received.push(data);
+    if (data.signal === 'hello') resolve();
+  }));
+  outsider.emit('offer', { to: hostJoin.participantId, signal: 'from another room' });
+  // The server handles the outsider's offer before this round trip, so anything it relayed would arrive first.
+  await emit(outsider, 'mute-all', { roomId: other.id });
+  candidate.emit('offer', { to: hostJoin.participantId, from: 'forged', signal: 'hello' });
+  await delivered;
+
+  assert.deepStrictEqual(received, [{ signal: 'hello', from: candidateJoin.participantId }]);
+  await endRoom(room);
+  await endRoom(other);
+});
@@ -0,0 +1,114 @@
+const { getAttendance } = require('./attendance');
+
+const MIN_DURATION_SECONDS = 60;
+const MAX_DURATION_SECONDS = 12 * 60 * 60;
+const MAX_WARNINGS = 10;
+// Used when the host does not pick warning times: five minutes and one minute before the end.
+const DEFAULT_WARNINGS = [300, 60];
+
+// A host-set countdown for the whole session. Clients only display it; the timers here decide when
+// warnings go out and when the session ends.
+
+// roomId -> pending timeouts for the warnings and the end
+const timers = new Map();
+
+const isModerator = (participant) => !!participant && (participant.isHost || participant.isCoHost);
+
+const createSessionTimer = () => ({
+  status: 'idle',
+  durationSeconds: null,
+  // Seconds before the end at which everyone is warned, largest first.
+  warnings: [],
+  startedAt: null,
+  endsAt: null,
+  endedAt: null,
+  // When each candidate's session ended: the moment time ran out, or when they left if that was earlier.
+  endTimes: [],
+});
+
+const cancelSessionTimer = (roomId) => {
+  (timers.get(roomId) || []).forEach(clearTimeout);
+  timers.delete(roomId);
+};
+
+// Starts the timer, replacing any earlier one. Returns { timer } or { error }.
+// onWarning(secondsLeft) runs at each warning and onExpire() when time is up.
+const startSessionTimer = (room, { durationSeconds, warnings } = {}, { onWarning, onExpire }) => {
+  const duration = Number(durationSeconds);
+  if (!Number.isInteger(duration) || duration < MIN_DURATION_SECONDS || duration > MAX_DURATION_SECONDS) {
+    return { error: `Set a duration between ${MIN_DURATION_SECONDS / 60} minute and ${MAX_DURATION_SECONDS / 3600} hours.` };
+  }
+  const requested = Array.isArray(warnings) ? warnings.map(Number) : DEFAULT_WARNINGS;
+  if (!requested.every((seconds) => Number.isInteger(seconds) && seconds > 0) || requested.length > MAX_WARNINGS) {
+    return { error: `Warnings must be up to ${MAX_WARNINGS} whole numbers of seconds before the end.` };
+  }
+
+  cancelSessionTimer(room.id);
+  const now = Date.now();
+  const endsAt = now + duration * 1000;
+  Object.assign(room.sessionTimer, {
+    status: 'running',
+    durationSeconds: duration,
+    warnings: [...new Set(requested)].filter((seconds) => seconds < duration).sort((a, b) => b - a),
+    startedAt: new Date(now).toISOString(),
+    endsAt: new Date(endsAt).toISOString(),
+    endedAt: null,
+    endTimes: [],
+  });
+  const pending = room.sessionTimer.warnings.map((seconds) =>
+    setTimeout(() => {
+      if (room.status !== 'ended') onWarning(seconds);
+    }, endsAt - seconds * 1000 - now)
+  );
+  pending.push(setTimeout(() => {
+    timers.delete(room.id);
+    if (room.status !== 'ended') onExpire();
+  }, endsAt - now));
+  timers.set(room.id, pending);
+  return { timer: room.sessionTimer };
+};
+
+const stopSessionTimer = (room) => {
+  if (room.sessionTimer.status !== 'running') return { error: 'The session timer is not running.' };
+  cancelSessionTimer(room.id);
+  room.sessionTimer = createSessionTimer();
+  return {};
+};
+
+// Marks the session as over and records every candidate's end time. Returns the end time.
+const endSession = (room) => {
+  const timer = room.sessionTimer;
+  // Timeouts can fire a little late; the session ends when it was scheduled to.
+  const endedAt = timer.endsAt && Date.parse(timer.endsAt) <= Date.now() ? timer.endsAt : new Date().toISOString();
+  timer.status = 'ended';
+  timer.endedAt = endedAt;
+  timer.endTimes = getAttendance(room)
+    .filter((row) => row.role === 'participant')
+    .map((row) => ({
+      userName: row.userName,
+      endedAt: row.present ? endedAt : row.lastLeftAt,
+      present: row.present,
+    }));
+  return endedAt;
+};
+
+// serverNow lets clients count down against the server clock rather than their own.
+const serializeSessionTimer = (room, viewer) => ({
+  status: room.sessionTimer.status,
+  durationSeconds: room.sessionTimer.durationSeconds,
+  warnings: room.sessionTimer.warnings,
+  startedAt: room.sessionTimer.startedAt,
+  endsAt: room.sessionTimer.endsAt,
+  endedAt: room.sessionTimer.endedAt,
+  endTimes: isModerator(viewer) ? room.sessionTimer.endTimes : null,
+  serverNow: new Date().toISOString(),
+});
+
+module.exports = {
+  createSessionTimer,
+  startSessionTimer,
+  stopSessionTimer,
+  cancelSessionTimer,
+  endSession,
+  serializeSessionTimer,
+};
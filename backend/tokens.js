@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Join tokens are `<base64url payload>.<base64url HMAC-SHA256>`, signed with a server secret.
+const SECRET = process.env.JOIN_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JOIN_TOKEN_SECRET) {
+  console.warn('JOIN_TOKEN_SECRET is not set; join tokens will stop working after a restart.');
+}
+
+const ROLES = ['host', 'candidate'];
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const sign = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+const createJoinToken = ({ roomId, name, role, expiresIn }) => {
+  const ttl = Number.isInteger(expiresIn) && expiresIn > 0 ? Math.min(expiresIn, MAX_TTL_SECONDS) : DEFAULT_TTL_SECONDS;
+  const payload = {
+    roomId,
+    name,
+    role: ROLES.includes(role) ? role : 'candidate',
+    exp: Math.floor(Date.now() / 1000) + ttl,
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${encoded}.${sign(encoded)}`, payload };
+};
+
+// Returns the token's claims, or null if it is malformed, tampered with or expired.
+const verifyJoinToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || !ROLES.includes(payload.role) || !payload.exp || payload.exp * 1000 < Date.now()) {
+    return null;
+  }
+  return payload;
+};
+
+const hashPasscode = (passcode) => crypto.createHash('sha256').update(String(passcode)).digest();
+
+const checkPasscode = (passcodeHash, passcode) => {
+  if (!passcodeHash || typeof passcode !== 'string' || !passcode) return false;
+  return crypto.timingSafeEqual(passcodeHash, hashPasscode(passcode));
+};
+
+module.exports = {
+  ROLES,
+  createJoinToken,
+  verifyJoinToken,
+  hashPasscode,
+  checkPasscode,
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJoinToken, verifyJoinToken, hashPasscode, checkPasscode } = require('./tokens');
+const { createRoom, authorizeJoin } = require('./rooms');
+
+test('a signed token verifies and carries its claims', () => {
+  const { token } = createJoinToken({ roomId: 'room-1', name: 'Cand', role: 'candidate' });
+  const claims = verifyJoinToken(token);
+  assert.strictEqual(claims.roomId, 'room-1');
+  assert.strictEqual(claims.name, 'Cand');
+  assert.strictEqual(claims.role, 'candidate');
+});
+
+test('tampered tokens are rejected', () => {
+  const { token } = createJoinToken({ roomId: 'room-1', name: 'Cand', role: 'candidate' });
+  const [encoded, signature] = token.split('.');
+  const promoted = Buffer.from(JSON.stringify({ ...verifyJoinToken(token), role: 'host' })).toString('base64url');
+  assert.strictEqual(verifyJoinToken(`${promoted}.${signature}`), null);
+  assert.strictEqual(verifyJoinToken(`${encoded}.${signature.slice(0, -2)}AA`), null);
+  assert.strictEqual(verifyJoinToken(encoded), null);
+  assert.strictEqual(verifyJoinToken(undefined), null);
+});
+
+test('expired tokens are rejected', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const { token } = createJoinToken({ roomId: 'room-1', name: 'Cand', expiresIn: 60 });
+  assert.ok(verifyJoinToken(token));
+  t.mock.timers.tick(61 * 1000);
+  assert.strictEqual(verifyJoinToken(token), null);
+});
+
+test('a token only admits to the room it was issued for', () => {
+  const room = createRoom({ title: 'Tokens' });
+  const other = createRoom({ title: 'Other' });
+  const { token } = createJoinToken({ roomId: other.id, name: 'Cand' });
+  assert.strictEqual(authorizeJoin(room, { joinToken: token }).error, 'This invitation link is invalid or has expired.');
+  assert.deepStrictEqual(authorizeJoin(other, { joinToken: token }), { isHost: false, name: 'Cand' });
+});
+
+test('passcodes are checked against their hash', () => {
+  const hash = hashPasscode('open sesame');
+  assert.strictEqual(checkPasscode(hash, 'open sesame'), true);
+  assert.strictEqual(checkPasscode(hash, 'open sesame '), false);
+  assert.strictEqual(checkPasscode(hash, ''), false);
+  assert.strictEqual(checkPasscode(hash, undefined), false);
+
+  const room = createRoom({ title: 'Passcode', passcode: 'open sesame' });
+  assert.strictEqual(authorizeJoin(room, { passcode: 'wrong' }).error, 'Incorrect passcode.');
+  assert.strictEqual(authorizeJoin(room, {}).error, 'This meeting requires a passcode.');
+  assert.deepStrictEqual(authorizeJoin(room, { passcode: 'open sesame' }), { isHost: false });
+});
@@ -0,0 +1,161 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Element coordinates are in a fixed 16:9 board space; clients scale it to whatever size they draw at.
+// Must match BOARD_WIDTH / BOARD_HEIGHT in frontend/src/components/Whiteboard.js.
+const BOARD_WIDTH = 1600;
+const BOARD_HEIGHT = 900;
+const MAX_PAGES = 20;
+const MAX_ELEMENTS_PER_PAGE = 5000;
+const MAX_STROKE_POINTS = 4000;
+const MAX_TEXT_LENGTH = 500;
+// Undo steps kept for the whole board, across everyone.
+const MAX_HISTORY = 1000;
+const SHAPES = ['line', 'rect', 'ellipse'];
+
+const isModerator = (participant) => !!participant && (participant.isHost || participant.isCoHost);
+
+const createPage = () => ({ id: uuidv4(), elements: [] });
+
+const inBoard = (x, y) =>
+  Number.isFinite(x) && Number.isFinite(y) && x >= 0 && x <= BOARD_WIDTH && y >= 0 && y <= BOARD_HEIGHT;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Returns { element } with only known fields, or { error }.
+const sanitizeElement = (element) => {
+  if (!element || typeof element !== 'object') return { error: 'Invalid drawing.' };
+  const color = typeof element.color === 'string' && /^#[0-9a-f]{6}$/i.test(element.color) ? element.color.toLowerCase() : '#000000';
+  const width = Math.min(40, Math.max(1, Math.round(Number(element.width) || 2)));
+  const base = { id: uuidv4(), type: element.type, color, width };
+
+  if (element.type === 'pen') {
+    const points = Array.isArray(element.points) ? element.points.map(Number) : [];
+    if (points.length < 2 || points.length % 2 || points.length > MAX_STROKE_POINTS * 2) return { error: 'Invalid stroke.' };
+    for (let i = 0; i < points.length; i += 2) {
+      if (!inBoard(points[i], points[i + 1])) return { error: 'Invalid stroke.' };
+    }
+    return { element: { ...base, points: points.map(round) } };
+  }
+  if (SHAPES.includes(element.type)) {
+    const [x1, y1, x2, y2] = ['x1', 'y1', 'x2', 'y2'].map((key) => Number(element[key]));
+    if (!inBoard(x1, y1) || !inBoard(x2, y2)) return { error: 'Invalid shape.' };
+    return { element: { ...base, x1: round(x1), y1: round(y1), x2: round(x2), y2: round(y2) } };
+  }
+  if (element.type === 'text') {
+    const x = Number(element.x);
+    const y = Number(element.y);
+    const text = typeof element.text === 'string' ? element.text.trim().slice(0, MAX_TEXT_LENGTH) : '';
+    if (!text || !inBoard(x, y)) return { error: 'Invalid text.' };
+    const size = Math.min(96, Math.max(10, Math.round(Number(element.size) || 24)));
+    return { element: { ...base, x: round(x), y: round(y), text, size } };
+  }
+  return { error: 'Unsupported drawing tool.' };
+};
+
+// While the host has locked the board, only moderators may change it.
+const checkCanDraw = (room, participant) =>
+  room.whiteboard.locked && !isModerator(participant) ? 'The whiteboard is view-only.' : null;
+
+const findPage = (room, pageId) => room.whiteboard.pages.find((page) => page.id === pageId) || null;
+
+const remember = (room, entry) => {
+  const { history } = room.whiteboard;
+  history.push(entry);
+  if (history.length > MAX_HISTORY) history.splice(0, history.length - MAX_HISTORY);
+};
+
+// Returns { page, element } or { error }.
+const addElement = (room, participant, pageId, input) => {
+  const error = checkCanDraw(room, participant);
+  if (error) return { error };
+  const page = findPage(room, pageId);
+  if (!page) return { error: 'Page not found.' };
+  if (page.elements.length >= MAX_ELEMENTS_PER_PAGE) return { error: 'This page is full. Add a new page.' };
+  const { element, error: invalid } = sanitizeElement(input);
+  if (invalid) return { error: invalid };
+  page.elements.push(element);
+  remember(room, { participantId: participant.id, action: 'add', pageId, elements: [element] });
+  return { page, element };
+};
+
+const eraseElement = (room, participant, pageId, elementId) => {
+  const error = checkCanDraw(room, participant);
+  if (error) return { error };
+  const page = findPage(room, pageId);
+  const index = page ? page.elements.findIndex((element) => element.id === elementId) : -1;
+  if (index === -1) return { error: 'That drawing is already gone.' };
+  const [element] = page.elements.splice(index, 1);
+  remember(room, { participantId: participant.id, action: 'erase', pageId, elements: [element] });
+  return { page, element };
+};
+
+const clearPage = (room, participant, pageId) => {
+  const page = findPage(room, pageId);
+  if (!page) return { error: 'Page not found.' };
+  remember(room, { participantId: participant.id, action: 'clear', pageId, elements: page.elements });
+  page.elements = [];
+  return { page };
+};
+
+// Reverts the participant's own most recent change. Returns { page } or { error }.
+const undo = (room, participant) => {
+  const error = checkCanDraw(room, participant);
+  if (error) return { error };
+  const { history } = room.whiteboard;
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    const entry = history[i];
+    if (entry.participantId !== participant.id) continue;
+    history.splice(i, 1);
+    const page = findPage(room, entry.pageId);
+    if (!page) continue;
+    if (entry.action === 'add') {
+      const ids = entry.elements.map((element) => element.id);
+      page.elements = page.elements.filter((element) => !ids.includes(element.id));
+    } else {
+      page.elements.push(...entry.elements.slice(0, MAX_ELEMENTS_PER_PAGE - page.elements.length));
+    }
+    return { page };
+  }
+  return { error: 'Nothing to undo.' };
+};
+
+const addPage = (room, participant) => {
+  const error = checkCanDraw(room, participant);
+  if (error) return { error };
+  if (room.whiteboard.pages.length >= MAX_PAGES) return { error: `The whiteboard can have at most ${MAX_PAGES} pages.` };
+  const page = createPage();
+  room.whiteboard.pages.push(page);
+  return { page };
+};
+
+const deletePage = (room, pageId) => {
+  const { whiteboard } = room;
+  if (whiteboard.pages.length <= 1) return { error: 'The whiteboard needs at least one page.' };
+  const index = whiteboard.pages.findIndex((page) => page.id === pageId);
+  if (index === -1) return { error: 'Page not found.' };
+  whiteboard.pages.splice(index, 1);
+  whiteboard.history = whiteboard.history.filter((entry) => entry.pageId !== pageId);
+  return {};
+};
+
+const setBoardLocked = (room, locked) => {
+  room.whiteboard.locked = !!locked;
+  return room.whiteboard.locked;
+};
+
+const serializeBoard = (room) => ({
+  locked: room.whiteboard.locked,
+  pages: room.whiteboard.pages,
+});
+
+module.exports = {
+  createPage,
+  addElement,
+  eraseElement,
+  clearPage,
+  undo,
+  addPage,
+  deletePage,
+  setBoardLocked,
+  serializeBoard,
+};
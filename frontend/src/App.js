@@ -1,10 +1,21 @@
 import React from 'react';
 import VideoRoom from '../src/components/Video';
 
+// Meeting links look like /room/<id>?name=<display name>&token=<join token>.
+const parseMeetingUrl = () => {
+  const match = window.location.pathname.match(/^\/room\/([^/]+)\/?$/);
+  const params = new URLSearchParams(window.location.search);
+  return {
+    roomId: match ? decodeURIComponent(match[1]) : '',
+    userName: params.get('name') || '',
+  };
+};
+
 function App() {
+  const { roomId, userName } = parseMeetingUrl();
   return (
     <div>
-      <VideoRoom roomId="demo-room" />
+      <VideoRoom roomId={roomId} userName={userName} />
     </div>
   );
 }
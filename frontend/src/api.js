@@ -0,0 +1,60 @@
+export const SIGNALING_SERVER_URL = 'https://livemeetpro.onrender.com' || 'https://localhost:3000';
+
+const request = async (path, { method = 'GET', body, hostKey } = {}) => {
+  const headers = {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (hostKey) headers.Authorization = `Bearer ${hostKey}`;
+
+  const res = await fetch(`${SIGNALING_SERVER_URL}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || `Request failed with status ${res.status}`);
+  }
+  return data;
+};
+
+export const createRoom = ({ title, hostName, passcode, settings }) =>
+  request('/api/rooms', { method: 'POST', body: { title, hostName, passcode, settings } });
+
+export const fetchRoom = (roomId) => request(`/api/rooms/${encodeURIComponent(roomId)}`);
+
+export const endRoom = (roomId, hostKey) =>
+  request(`/api/rooms/${encodeURIComponent(roomId)}`, { method: 'DELETE', hostKey });
+
+export const createJoinToken = (roomId, hostKey, { name, role, expiresIn }) =>
+  request(`/api/rooms/${encodeURIComponent(roomId)}/tokens`, {
+    method: 'POST',
+    body: { name, role, expiresIn },
+    hostKey,
+  });
+
+export const fileUrl = (roomId, fileId) =>
+  `${SIGNALING_SERVER_URL}/api/rooms/${encodeURIComponent(roomId)}/files/${encodeURIComponent(fileId)}`;
+
+// Uses XMLHttpRequest rather than fetch so the chat can show upload progress.
+export const uploadFile = (roomId, fileId, uploadToken, file, onProgress) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('PUT', fileUrl(roomId, fileId));
+    xhr.setRequestHeader('Authorization', `Bearer ${uploadToken}`);
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+    xhr.upload.onprogress = (e) => {
+      if (onProgress && e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      let data = {};
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (err) {
+        // Non-JSON error pages fall through to the status message below.
+      }
+      if (xhr.status >= 200 && xhr.status < 300) resolve(data);
+      else reject(new Error(data.error || `Upload failed with status ${xhr.status}`));
+    };
+    xhr.onerror = () => reject(new Error('Upload failed'));
+    xhr.send(file);
+  });
@@ -0,0 +1,386 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { apply } from '../textOperation';
+import { diffRange } from '../textDiff';
+
+const TOKENS = {
+  lineComment: /\/\/[^\n]*/.source,
+  blockComment: /\/\*[\s\S]*?(?:\*\/|$)/.source,
+  hashComment: /#[^\n]*/.source,
+  dashComment: /--[^\n]*/.source,
+  tripleString: /"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)/.source,
+  doubleString: /"(?:\\.|[^"\\\n])*"?/.source,
+  singleString: /'(?:\\.|[^'\\\n])*'?/.source,
+  templateString: /`(?:\\[\s\S]|[^`\\])*`?/.source,
+};
+
+// Must match LANGUAGES in backend/codepad.js.
+const LANGUAGES = {
+  plaintext: { label: 'Plain text' },
+  javascript: {
+    label: 'JavaScript',
+    comments: [TOKENS.lineComment, TOKENS.blockComment],
+    strings: [TOKENS.doubleString, TOKENS.singleString, TOKENS.templateString],
+    keywords: 'async await break case catch class const continue debugger default delete do else export extends false finally for function if import in instanceof let new null of return super switch this throw true try typeof undefined var void while yield',
+  },
+  python: {
+    label: 'Python',
+    comments: [TOKENS.hashComment],
+    strings: [TOKENS.tripleString, TOKENS.doubleString, TOKENS.singleString],
+    keywords: 'False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return self try while with yield',
+  },
+  java: {
+    label: 'Java',
+    comments: [TOKENS.lineComment, TOKENS.blockComment],
+    strings: [TOKENS.doubleString, TOKENS.singleString],
+    keywords: 'abstract boolean break byte case catch char class continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try var void while',
+  },
+  cpp: {
+    label: 'C++',
+    comments: [TOKENS.lineComment, TOKENS.blockComment],
+    strings: [TOKENS.doubleString, TOKENS.singleString],
+    keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum false float for if inline int long namespace new nullptr private protected public return short signed sizeof static std struct switch template this throw true try typedef typename unsigned using virtual void while',
+  },
+  go: {
+    label: 'Go',
+    comments: [TOKENS.lineComment, TOKENS.blockComment],
+    strings: [TOKENS.doubleString, TOKENS.singleString, TOKENS.templateString],
+    keywords: 'bool break case chan const continue default defer else error fallthrough false for func go goto if import int interface map nil package range return select string struct switch true type var',
+  },
+  sql: {
+    label: 'SQL',
+    comments: [TOKENS.dashComment, TOKENS.blockComment],
+    strings: [TOKENS.doubleString, TOKENS.singleString],
+    keywords: 'all alter and as asc between by case create default delete desc distinct drop else end exists foreign from group having in index inner insert into is join key left like limit not null offset on or order outer primary references right select set table then union update values when where',
+    ignoreCase: true,
+  },
+};
+
+// Token kinds, in the order of the capture groups in each pattern.
+const TOKEN_KINDS = ['comment', 'string', 'keyword', 'number'];
+
+const PATTERNS = Object.fromEntries(
+  Object.entries(LANGUAGES)
+    .filter(([, language]) => language.keywords)
+    .map(([id, language]) => [
+      id,
+      new RegExp(
+        [
+          `(${language.comments.join('|')})`,
+          `(${language.strings.join('|')})`,
+          `\\b(${language.keywords.split(' ').join('|')})\\b`,
+          /\b(\d+(?:\.\d+)?)\b/.source,
+        ].join('|'),
+        language.ignoreCase ? 'gi' : 'g'
+      ),
+    ])
+);
+
+const highlight = (text, language) => {
+  const pattern = PATTERNS[language];
+  if (!pattern) return text;
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) nodes.push(text.slice(last, match.index));
+    const kind = TOKEN_KINDS[match.slice(1).findIndex((group) => group !== undefined)];
+    nodes.push(<span key={match.index} className={`code-${kind}`}>{match[0]}</span>);
+    last = match.index + match[0].length;
+  }
+  nodes.push(text.slice(last));
+  return nodes;
+};
+
+const INDENT = '  ';
+const REPLAY_SPEEDS = [1, 2, 5, 10];
+// Long pauses between keystrokes are cut to this during replay.
+const MAX_REPLAY_PAUSE_MS = 2000;
+// A copy of the text is kept every this many edits so the replay can jump around without starting over.
+const SNAPSHOT_EVERY = 200;
+
+// Rebuilds the pad as it was after the first `index` edits.
+const textAt = (replay, index) => {
+  const snapshot = Math.floor(index / SNAPSHOT_EVERY);
+  let text = replay.snapshots[snapshot];
+  for (let i = snapshot * SNAPSHOT_EVERY; i < index; i += 1) text = apply(text, replay.history[i].operation);
+  return text;
+};
+
+// Shared code editor. The text lives in Video.js, which keeps it in step with the server; onChange gets the
+// full new text after every local edit.
+const CodePad = ({ pad, canModerate, onChange, onLanguageChange, onLoadHistory, onClose }) => {
+  const textareaRef = useRef(null);
+  const highlightRef = useRef(null);
+  // The text and selection as this user last saw them, to keep the caret in place when others type.
+  const lastTextRef = useRef(pad.text);
+  const selectionRef = useRef({ start: 0, end: 0 });
+  const [replay, setReplay] = useState(null);
+
+  const highlighted = useMemo(() => highlight(pad.text, pad.language), [pad.text, pad.language]);
+
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    const previous = lastTextRef.current;
+    lastTextRef.current = pad.text;
+    if (!textarea || previous === pad.text || document.activeElement !== textarea) return;
+    const { start, oldEnd, newEnd } = diffRange(previous, pad.text);
+    const shift = (index) => (index <= start ? index : index >= oldEnd ? index + newEnd - oldEnd : newEnd);
+    const selection = { start: shift(selectionRef.current.start), end: shift(selectionRef.current.end) };
+    textarea.setSelectionRange(selection.start, selection.end);
+    selectionRef.current = selection;
+  }, [pad.text]);
+
+  const rememberSelection = () => {
+    const textarea = textareaRef.current;
+    selectionRef.current = { start: textarea.selectionStart, end: textarea.selectionEnd };
+  };
+
+  const handleChange = (event) => {
+    lastTextRef.current = event.target.value;
+    rememberSelection();
+    onChange(event.target.value);
+  };
+
+  // Tab indents instead of leaving the editor.
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Tab' || event.shiftKey) return;
+    event.preventDefault();
+    const textarea = event.target;
+    const { selectionStart, selectionEnd, value } = textarea;
+    const text = value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd);
+    const caret = selectionStart + INDENT.length;
+    lastTextRef.current = text;
+    selectionRef.current = { start: caret, end: caret };
+    onChange(text);
+    requestAnimationFrame(() => textarea.setSelectionRange(caret, caret));
+  };
+
+  const syncScroll = () => {
+    highlightRef.current.scrollTop = textareaRef.current.scrollTop;
+    highlightRef.current.scrollLeft = textareaRef.current.scrollLeft;
+  };
+
+  const startReplay = () => {
+    onLoadHistory(({ baseText, history }) => {
+      const snapshots = [baseText];
+      let text = baseText;
+      history.forEach((entry, i) => {
+        text = apply(text, entry.operation);
+        if ((i + 1) % SNAPSHOT_EVERY === 0) snapshots.push(text);
+      });
+      setReplay({ history, snapshots, index: 0, playing: false, speed: 1 });
+    });
+  };
+
+  const replayText = useMemo(() => (replay ? textAt(replay, replay.index) : ''), [replay]);
+
+  useEffect(() => {
+    if (!replay?.playing) return;
+    const { history, index, speed } = replay;
+    if (index >= history.length) {
+      setReplay((prev) => ({ ...prev, playing: false }));
+      return;
+    }
+    const gap = index ? Date.parse(history[index].at) - Date.parse(history[index - 1].at) : 0;
+    const timer = setTimeout(
+      () => setReplay((prev) => (prev ? { ...prev, index: prev.index + 1 } : prev)),
+      Math.min(MAX_REPLAY_PAUSE_MS, gap) / speed
+    );
+    return () => clearTimeout(timer);
+  }, [replay]);
+
+  const replayEntry = replay && replay.index > 0 ? replay.history[replay.index - 1] : null;
+
+  return (
+    <div className="code-pad">
+      <div className="code-pad-toolbar">
+        <select
+          value={pad.language}
+          onChange={(e) => onLanguageChange(e.target.value)}
+          disabled={!!replay}
+          title="Language for highlighting"
+        >
+          {Object.entries(LANGUAGES).map(([id, language]) => (
+            <option key={id} value={id}>{language.label}</option>
+          ))}
+        </select>
+        {replay ? (
+          <>
+            <button
+              onClick={() =>
+                setReplay((prev) => ({
+                  ...prev,
+                  playing: !prev.playing,
+                  index: prev.index >= prev.history.length ? 0 : prev.index,
+                }))
+              }
+              title={replay.playing ? 'Pause' : 'Play'}
+            >
+              <i className={replay.playing ? 'fas fa-pause' : 'fas fa-play'}></i>
+            </button>
+            <input
+              type="range"
+              min="0"
+              max={replay.history.length}
+              value={replay.index}
+              onChange={(e) => setReplay((prev) => ({ ...prev, index: Number(e.target.value) }))}
+            />
+            <select
+              value={replay.speed}
+              onChange={(e) => setReplay((prev) => ({ ...prev, speed: Number(e.target.value) }))}
+              title="Replay speed"
+            >
+              {REPLAY_SPEEDS.map((speed) => (
+                <option key={speed} value={speed}>{speed}x</option>
+              ))}
+            </select>
+            <span className="code-pad-note">
+              Edit {replay.index} of {replay.history.length}
+              {replayEntry && ` - ${replayEntry.userName}, ${new Date(replayEntry.at).toLocaleTimeString()}`}
+            </span>
+            <button onClick={() => setReplay(null)}>Back to live</button>
+          </>
+        ) : (
+          canModerate && (
+            <button onClick={startReplay} title="Replay every edit made so far">
+              <i className="fas fa-history"></i> Replay
+            </button>
+          )
+        )}
+        <button className="code-pad-close" onClick={onClose} title="Close code pad">
+          <i className="fas fa-times"></i>
+        </button>
+      </div>
+      <div className="code-pad-editor">
+        {replay ? (
+          <pre className="code-pad-highlight replay">{highlight(replayText, pad.language)}{'\n'}</pre>
+        ) : (
+          <>
+            <pre ref={highlightRef} className="code-pad-highlight" aria-hidden="true">
+              {highlighted}
+              {'\n'}
+            </pre>
+            <textarea
+              ref={textareaRef}
+              value={pad.text}
+              onChange={handleChange}
+              onKeyDown={handleKeyDown}
+              onSelect={rememberSelection}
+              onScroll={syncScroll}
+              spellCheck={false}
+              autoCapitalize="off"
+              autoComplete="off"
+              placeholder="Start typing. Everyone in the meeting sees changes as they happen."
+            />
+          </>
+        )}
+      </div>
+      <style>
+        {`.code-pad {
+            max-width: 1400px;
+            margin: 0 auto 12px;
+            padding: 8px;
+            background: var(--secondary-bg);
+            border: 1px solid var(--border);
+            border-radius: 8px;
+          }
+
+          .code-pad-toolbar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 8px;
+          }
+
+          .code-pad-toolbar button,
+          .code-pad-toolbar select {
+            height: 30px;
+            padding: 0 8px;
+            background: rgba(255,255,255,0.1);
+            border: 1px solid var(--border);
+            border-radius: 4px;
+            color: var(--text-color);
+            cursor: pointer;
+            font-size: 12px;
+          }
+
+          .code-pad-toolbar select option {
+            color: #000;
+          }
+
+          .code-pad-toolbar input[type="range"] {
+            flex: 1;
+            min-width: 120px;
+          }
+
+          .code-pad-note {
+            font-size: 12px;
+            opacity: 0.8;
+          }
+
+          .code-pad-toolbar .code-pad-close {
+            margin-left: auto;
+          }
+
+          .code-pad-editor {
+            position: relative;
+            height: 420px;
+            border-radius: 4px;
+            overflow: hidden;
+            background: #1e1e1e;
+            font-family: Consolas, 'Courier New', monospace;
+            font-size: 14px;
+            line-height: 1.5;
+          }
+
+          .code-pad-editor pre,
+          .code-pad-editor textarea {
+            position: absolute;
+            inset: 0;
+            margin: 0;
+            padding: 12px;
+            border: 0;
+            box-sizing: border-box;
+            font: inherit;
+            line-height: inherit;
+            white-space: pre;
+            tab-size: 2;
+          }
+
+          .code-pad-highlight {
+            color: #d4d4d4;
+            overflow: hidden;
+            pointer-events: none;
+          }
+
+          .code-pad-highlight.replay {
+            overflow: auto;
+            pointer-events: auto;
+          }
+
+          .code-pad-editor textarea {
+            width: 100%;
+            height: 100%;
+            color: transparent;
+            background: transparent;
+            caret-color: #ffffff;
+            overflow: auto;
+            resize: none;
+            outline: none;
+          }
+
+          .code-pad-editor textarea::placeholder {
+            color: #777;
+          }
+
+          .code-keyword { color: #569cd6; }
+          .code-string { color: #ce9178; }
+          .code-comment { color: #6a9955; }
+          .code-number { color: #b5cea8; }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default CodePad;
@@ -0,0 +1,345 @@
+import React, { useEffect, useState } from 'react';
+
+const SAMPLE_SET = '{ "title": "...", "timeLimitSeconds": 1800, "questions": [{ "text": "...", "options": ["...", "..."], "timeLimitSeconds": 120 }] }';
+
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const formatTime = (at) => new Date(at).toLocaleTimeString();
+
+// Host view: load a question set, push questions and watch answers come in.
+// Candidate view: answer the questions pushed so far before they close.
+// All exam state lives on the server; onAction sends a change and passes the reply to its callback.
+const ExamPanel = ({ exam, canModerate, onAction, onDownload, onError, onClose }) => {
+  const [now, setNow] = useState(Date.now());
+  // questionId -> the candidate's answer so far
+  const [drafts, setDrafts] = useState({});
+
+  useEffect(() => {
+    if (exam.status !== 'running') return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [exam.status]);
+
+  const loadFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      let questionSet;
+      try {
+        questionSet = JSON.parse(text);
+      } catch (err) {
+        onError(`${file.name} is not valid JSON.`);
+        return;
+      }
+      onAction('exam-load', { questionSet });
+    });
+  };
+
+  const submitAnswer = (question) => {
+    onAction('exam-submit', { questionId: question.id, answer: drafts[question.id] }, (res) => {
+      if (res.ok) setDrafts((prev) => ({ ...prev, [question.id]: undefined }));
+    });
+  };
+
+  const setLimit = (questionId, value) => {
+    onAction('exam-time-limit', { questionId, seconds: value ? Number(value) : null });
+  };
+
+  const renderCountdown = (question) => {
+    if (question.status === 'open' && question.closesAt) {
+      return <span className="exam-countdown">{formatRemaining(Date.parse(question.closesAt) - now)} left</span>;
+    }
+    if (question.status === 'closed') return <span className="exam-status">Closed</span>;
+    if (question.status === 'pending') return <span className="exam-status">Not pushed</span>;
+    return <span className="exam-status">Open</span>;
+  };
+
+  const renderSubmissions = (question) => (
+    <details className="exam-submissions">
+      <summary>{question.submissions.length} answer(s)</summary>
+      {question.submissions.map((submission) => (
+        <div key={submission.participantId} className="exam-submission">
+          <div>
+            <strong>{submission.userName}</strong> at {formatTime(submission.submittedAt)}
+            {submission.alerts.length > 0 && (
+              <span className="exam-alerts" title={submission.alerts.map((alert) => `${formatTime(alert.at)} ${alert.details || alert.type}`).join('\n')}>
+                <i className="fas fa-exclamation-triangle"></i> {submission.alerts.length} alert(s)
+              </span>
+            )}
+          </div>
+          <div className="exam-answer">
+            {question.type === 'choice'
+              ? question.options.find((option) => option.id === submission.answer)?.text
+              : submission.answer}
+          </div>
+        </div>
+      ))}
+    </details>
+  );
+
+  const renderCandidateAnswer = (question) => {
+    if (question.yourAnswer) {
+      return <div className="exam-note">Answer submitted at {formatTime(question.yourAnswer.submittedAt)}.</div>;
+    }
+    if (question.status !== 'open') return <div className="exam-note">Time is up for this question.</div>;
+    const draft = drafts[question.id];
+    return (
+      <div className="exam-answer-form">
+        {question.type === 'choice' ? (
+          question.options.map((option) => (
+            <label key={option.id}>
+              <input
+                type="radio"
+                name={`exam-${question.id}`}
+                checked={draft === option.id}
+                onChange={() => setDrafts((prev) => ({ ...prev, [question.id]: option.id }))}
+              />
+              {option.text}
+            </label>
+          ))
+        ) : (
+          <textarea
+            value={draft || ''}
+            onChange={(e) => setDrafts((prev) => ({ ...prev, [question.id]: e.target.value }))}
+            placeholder="Your answer"
+            rows={4}
+          />
+        )}
+        <button onClick={() => submitAnswer(question)} disabled={!draft || (question.type === 'text' && !draft.trim())}>
+          Submit answer
+        </button>
+      </div>
+    );
+  };
+
+  const pendingCount = exam.questions.filter((question) => question.status === 'pending').length;
+
+  return (
+    <div className="exam-panel">
+      <div className="exam-header">
+        <span>
+          <i className="fas fa-clipboard-list"></i> {exam.title || 'Exam'}
+          {exam.status === 'running' && exam.endsAt && (
+            <span className="exam-countdown"> {formatRemaining(Date.parse(exam.endsAt) - now)} left overall</span>
+          )}
+          {exam.status === 'ended' && <span className="exam-status"> Ended</span>}
+        </span>
+        <button onClick={onClose} title="Close exam panel">
+          <i className="fas fa-times"></i>
+        </button>
+      </div>
+      {canModerate && (
+        <div className="exam-controls">
+          {exam.status !== 'running' && (
+            <label className="exam-file" title={`Question set format: ${SAMPLE_SET}`}>
+              <i className="fas fa-file-upload"></i> Load question set
+              <input type="file" accept=".json,application/json" onChange={loadFile} />
+            </label>
+          )}
+          {exam.status === 'idle' && exam.questions.length > 0 && (
+            <label>
+              Overall limit (s)
+              <input
+                type="number"
+                min="0"
+                key={`overall-${exam.timeLimitSeconds}`}
+                defaultValue={exam.timeLimitSeconds || ''}
+                placeholder="none"
+                onBlur={(e) => setLimit(null, e.target.value)}
+              />
+            </label>
+          )}
+          {exam.status !== 'ended' && pendingCount > 0 && (
+            <button onClick={() => onAction('exam-push', {})}>Push all ({pendingCount})</button>
+          )}
+          {exam.status === 'running' && (
+            <button onClick={() => window.confirm('End the exam for every candidate?') && onAction('exam-end', {})}>
+              End exam
+            </button>
+          )}
+          {exam.status !== 'idle' && (
+            <>
+              <button onClick={() => onDownload('csv')}>Results (CSV)</button>
+              <button onClick={() => onDownload('json')}>Results (JSON)</button>
+            </>
+          )}
+        </div>
+      )}
+      {!exam.questions.length && (
+        <div className="exam-note">
+          {canModerate ? `No questions loaded. Expected format: ${SAMPLE_SET}` : 'No exam questions yet.'}
+        </div>
+      )}
+      {exam.questions.map((question, index) => (
+        <div key={question.id} className={`exam-question ${question.status}`}>
+          <div className="exam-question-header">
+            <strong>Question {index + 1}</strong>
+            {renderCountdown(question)}
+          </div>
+          <div className="exam-question-text">{question.text}</div>
+          {canModerate ? (
+            <>
+              {question.type === 'choice' && (
+                <ol className="exam-options">
+                  {question.options.map((option) => <li key={option.id}>{option.text}</li>)}
+                </ol>
+              )}
+              <div className="exam-controls">
+                {question.status === 'pending' && exam.status !== 'ended' && (
+                  <>
+                    <label>
+                      Limit (s)
+                      <input
+                        type="number"
+                        min="0"
+                        key={`${question.id}-${question.timeLimitSeconds}`}
+                        defaultValue={question.timeLimitSeconds || ''}
+                        placeholder="none"
+                        onBlur={(e) => setLimit(question.id, e.target.value)}
+                      />
+                    </label>
+                    <button onClick={() => onAction('exam-push', { questionId: question.id })}>Push</button>
+                  </>
+                )}
+                {question.status === 'open' && (
+                  <button onClick={() => onAction('exam-close-question', { questionId: question.id })}>Close now</button>
+                )}
+              </div>
+              {question.status !== 'pending' && renderSubmissions(question)}
+            </>
+          ) : (
+            renderCandidateAnswer(question)
+          )}
+        </div>
+      ))}
+      <style>
+        {`.exam-panel {
+            max-width: 900px;
+            margin: 0 auto 12px;
+            padding: 10px;
+            background: var(--secondary-bg);
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            font-size: 13px;
+          }
+
+          .exam-header,
+          .exam-question-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 8px;
+          }
+
+          .exam-header {
+            margin-bottom: 8px;
+            font-weight: bold;
+          }
+
+          .exam-panel button,
+          .exam-file {
+            padding: 4px 10px;
+            background: rgba(255,255,255,0.1);
+            border: 1px solid var(--border);
+            border-radius: 4px;
+            color: var(--text-color);
+            cursor: pointer;
+            font-size: 12px;
+          }
+
+          .exam-panel button:disabled {
+            opacity: 0.5;
+            cursor: default;
+          }
+
+          .exam-file input {
+            display: none;
+          }
+
+          .exam-controls {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            margin: 6px 0;
+          }
+
+          .exam-controls input[type="number"] {
+            width: 80px;
+            margin-left: 6px;
+          }
+
+          .exam-question {
+            padding: 8px;
+            margin-top: 8px;
+            border: 1px solid var(--border);
+            border-left: 3px solid var(--border);
+            border-radius: 4px;
+          }
+
+          .exam-question.open {
+            border-left-color: var(--success);
+          }
+
+          .exam-question.closed {
+            opacity: 0.8;
+          }
+
+          .exam-question-text {
+            margin: 6px 0;
+            white-space: pre-wrap;
+          }
+
+          .exam-options {
+            margin: 4px 0;
+            padding-left: 20px;
+          }
+
+          .exam-countdown {
+            color: var(--warning);
+            font-weight: normal;
+          }
+
+          .exam-status,
+          .exam-note {
+            opacity: 0.75;
+            font-weight: normal;
+          }
+
+          .exam-answer-form {
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 6px;
+          }
+
+          .exam-answer-form textarea {
+            width: 100%;
+            box-sizing: border-box;
+          }
+
+          .exam-submission {
+            padding: 6px 0;
+            border-top: 1px solid var(--border);
+          }
+
+          .exam-alerts {
+            margin-left: 8px;
+            color: var(--error);
+          }
+
+          .exam-answer {
+            white-space: pre-wrap;
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default ExamPanel;
@@ -2,9 +2,22 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import io from 'socket.io-client';
 import SimplePeer from 'simple-peer';
 import * as faceapi from 'face-api.js';
-import { v4 as uuidv4 } from 'uuid';
-
-const SIGNALING_SERVER_URL = 'https://livemeetpro.onrender.com' || 'https://localhost:3000';
+import * as api from '../api';
+import { SIGNALING_SERVER_URL } from '../api';
+import {
+  MAX_FILE_SIZE,
+  canSendData,
+  decodeFrame,
+  formatFileSize,
+  isPreviewableImage,
+  sendFileToPeer,
+} from '../fileTransfer';
+import Whiteboard from './Whiteboard';
+import CodePad from './CodePad';
+import ExamPanel from './ExamPanel';
+import { apply, isNoop, transform } from '../textOperation';
+import { fromDiff } from '../textDiff';
+import { loadRoomSession, saveRoomSession, clearRoomSession } from '../roomSession';
 
 class ErrorBoundary extends React.Component {
   state = { hasError: false };
@@ -35,8 +48,63 @@ const Alert = ({ message, type, onClose }) => {
   );
 };
 
-const Video = () => {
-  const [roomId, setRoomId] = useState('');
+// Reads the (unverified) claims of a join token so the form can be prefilled; the server checks the signature.
+const decodeJoinToken = (token) => {
+  try {
+    const encoded = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(encoded), (c) => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    return null;
+  }
+};
+
+const getUrlJoinToken = () => {
+  const token = new URLSearchParams(window.location.search).get('token');
+  const claims = token ? decodeJoinToken(token) : null;
+  return claims ? { token, claims } : null;
+};
+
+const buildMeetingUrl = (roomId, token) =>
+  `${window.location.origin}/room/${encodeURIComponent(roomId)}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+
+// Chat messages and polls carry server-assigned IDs, so an item seen twice (ack and history replay) is stored once.
+const mergeById = (items, item) =>
+  items.some((existing) => existing.id === item.id)
+    ? items.map((existing) => (existing.id === item.id ? item : existing))
+    : [...items, item];
+
+const formatChatTime = (sentAt) => new Date(sentAt).toLocaleTimeString();
+
+const emptyPollDraft = () => ({ question: '', options: ['', ''], multiple: false, quiz: false, correct: [] });
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+// Must match the reactions the server accepts.
+const CHAT_REACTIONS = ['👍', '❤️', '😂', '😮', '👏', '🎉'];
+const TYPING_THROTTLE_MS = 2000;
+// Drop a typing indicator if its "stopped typing" event never arrives.
+const TYPING_TIMEOUT_MS = 5000;
+// How long a reaction floats over the sender's tile.
+const REACTION_DISPLAY_MS = 3000;
+// The server-issued device ID that bans are tied to; kept across visits so a ban outlasts a new name.
+const DEVICE_ID_KEY = 'livemeet-device-id';
+
+const Video = ({ roomId: linkedRoomId = '', userName: linkedUserName = '' }) => {
+  const [joinInvite] = useState(getUrlJoinToken);
+  const [roomId, setRoomId] = useState(joinInvite?.claims.roomId || linkedRoomId);
+  const [roomInfo, setRoomInfo] = useState(null);
+  const [meetingTitle, setMeetingTitle] = useState('');
+  const [passcode, setPasscode] = useState('');
+  const [inviteOnly, setInviteOnly] = useState(false);
+  const [waitingRoomEnabled, setWaitingRoomEnabled] = useState(false);
+  const [isWaiting, setIsWaiting] = useState(false);
+  const [lobby, setLobby] = useState([]);
   const [localStream, setLocalStream] = useState(null); 
   const [screenStream, setScreenStream] = useState(null); 
   const [inRoom, setInRoom] = useState(false);
@@ -48,10 +116,68 @@ const Video = () => {
   const [connectionStatus, setConnectionStatus] = useState({});
   const [messages, setMessages] = useState([]);
   const [chatInput, setChatInput] = useState('');
+  // 'everyone' for the room chat, otherwise the participant ID of a private thread.
+  const [chatThread, setChatThread] = useState('everyone');
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [typingUsers, setTypingUsers] = useState({});
+  const [lastReadAt, setLastReadAt] = useState(null);
+  // Draft of the chat policy while a moderator edits it; null when the settings form is closed.
+  const [chatSettingsDraft, setChatSettingsDraft] = useState(null);
+  // fileId -> { url, from } for files we sent or fully received over a data channel
+  const [receivedFiles, setReceivedFiles] = useState({});
+  // fileId -> { progress (percent), direction: 'send' | 'receive' | 'upload' }
+  const [fileTransfers, setFileTransfers] = useState({});
   const [showDebug, setShowDebug] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showAttendance, setShowAttendance] = useState(false);
+  const [showPolls, setShowPolls] = useState(false);
+  const [polls, setPolls] = useState([]);
+  // New poll form for moderators; null while closed.
+  const [pollDraft, setPollDraft] = useState(null);
+  // pollId -> option IDs picked but not yet submitted
+  const [pollSelections, setPollSelections] = useState({});
+  const [showQa, setShowQa] = useState(false);
+  const [questions, setQuestions] = useState([]);
+  const [qaInput, setQaInput] = useState('');
+  const [qaAnonymous, setQaAnonymous] = useState(false);
+  // 'votes' or 'recent'; pinned questions always come first.
+  const [qaSort, setQaSort] = useState('votes');
+  // Rows from the server plus when they arrived, so time attended can keep counting between updates.
+  const [attendance, setAttendance] = useState({ rows: [], syncedAt: 0 });
+  // Ticks once a second while something on screen counts down or up.
+  const [clockNow, setClockNow] = useState(Date.now());
+  const [breakouts, setBreakouts] = useState({ status: 'closed', rooms: [], assignments: {}, closesAt: null });
+  // The breakout room we are in; null for the main room.
+  const [myBreakoutId, setMyBreakoutId] = useState(null);
+  const [showBreakouts, setShowBreakouts] = useState(false);
+  const [breakoutCount, setBreakoutCount] = useState(2);
+  const [breakoutCountdown, setBreakoutCountdown] = useState(30);
+  const [breakoutMessage, setBreakoutMessage] = useState('');
+  const [whiteboard, setWhiteboard] = useState({ locked: false, pages: [] });
+  const [showWhiteboard, setShowWhiteboard] = useState(false);
+  const [codePad, setCodePad] = useState({ language: 'plaintext', text: '' });
+  const [showCodePad, setShowCodePad] = useState(false);
+  const [exam, setExam] = useState({ title: '', status: 'idle', questions: [] });
+  const [showExam, setShowExam] = useState(false);
+  // clockOffset is the server clock minus ours, so the countdown follows the server.
+  const [sessionTimer, setSessionTimer] = useState({ status: 'idle', endsAt: null, endTimes: null, clockOffset: 0 });
+  const [showTimerMenu, setShowTimerMenu] = useState(false);
+  const [timerMinutes, setTimerMinutes] = useState(60);
+  // Minutes before the end, comma separated.
+  const [timerWarnings, setTimerWarnings] = useState('5, 1');
   const [showChat, setShowChat] = useState(false);
-  const [userName, setUserName] = useState('');
+  const [userName, setUserName] = useState(
+    () => joinInvite?.claims.name || linkedUserName || loadRoomSession(linkedRoomId).userName || ''
+  );
   const [isHost, setIsHost] = useState(false);
+  const [isCoHost, setIsCoHost] = useState(false);
+  const [isChatMuted, setIsChatMuted] = useState(false);
+  const [handRaisedAt, setHandRaisedAt] = useState(null);
+  const [showReactionPicker, setShowReactionPicker] = useState(false);
+  // userId -> [{ id, emoji }] currently floating over that participant's tile
+  const [floatingReactions, setFloatingReactions] = useState({});
+  const [roomHostId, setRoomHostId] = useState(null);
   const [participantControls, setParticipantControls] = useState({});
   const [alerts, setAlerts] = useState([]);
   
@@ -65,12 +191,26 @@ const Video = () => {
   const pendingCandidates = useRef({});
   const peersRef = useRef({});
   const chatRef = useRef();
+  const typingTimeouts = useRef({});
+  const lastTypingSentRef = useRef(0);
+  const reactionCounter = useRef(0);
+  // Our copy of the code pad as of the server's `revision`, plus local edits not yet confirmed (queue[0] is in flight).
+  const codePadSync = useRef({ revision: 0, text: '', queue: [] });
+  const incomingFiles = useRef({});
+  const objectUrlsRef = useRef([]);
+  const fileInputRef = useRef();
   const detectionIntervals = useRef({});
+  const hostKeyRef = useRef(null);
+  const autoJoinRef = useRef(false);
+  const participantIdRef = useRef(null);
+  const resumeTokenRef = useRef(null);
   
 
   const screenShareTrackRef = useRef(null);
   const screenShareCleanupRef = useRef(null);
   const screenShareActiveRef = useRef(false);
+  // The latest stopScreenShare, for socket handlers bound before the current screen stream existed.
+  const stopScreenShareRef = useRef(null);
 
   const addAlert = useCallback((message, type = 'error') => {
     const id = Date.now();
@@ -88,6 +228,14 @@ const Video = () => {
 
   const shortId = (id) => id.slice(0, 8);
 
+  // Moderation events are acknowledged by the server; rejected ones come back with an error.
+  const moderationAck = useCallback((action, onRejected) => (res) => {
+    if (res?.error) {
+      logDebug(`Server rejected ${action}: ${res.error}`);
+      if (onRejected) onRejected(res.error);
+    }
+  }, [logDebug]);
+
   
   const cleanupScreenSharing = useCallback(async () => {
     logDebug('Starting comprehensive screen sharing cleanup...');
@@ -108,6 +256,7 @@ const Video = () => {
     
     if (screenShareTrackRef.current) {
       screenShareTrackRef.current.onended = null;
+      if (screenShareTrackRef.current.readyState === 'live') screenShareTrackRef.current.stop();
       screenShareTrackRef.current = null;
     }
 
@@ -183,13 +332,13 @@ const Video = () => {
 
   useEffect(() => {
     const handleVisibilityChange = () => {
-      if (document.hidden && !isScreenSharing && participantControls[socketRef.current.id]?.proctor) {
+      if (document.hidden && !isScreenSharing && participantControls[participantIdRef.current]?.proctor) {
         logDebug('Tab switch detected during proctor mode and screen sharing');
         addAlert('Tab switching detected. Please remain on the current tab during proctor mode.', 'warning');
         
         socketRef.current.emit('tab-switch-alert', {
           roomId,
-          userId: socketRef.current.id,
+          userId: participantIdRef.current,
           userName,
           message: `${userName} switched tabs during proctor mode.`,
         });
@@ -224,6 +373,7 @@ const Video = () => {
     loadFaceApiModels();
   }, [logDebug, addAlert]);	
   
+  // One socket per mount; a real network drop reconnects it and resumes the session.
   useEffect(() => {
     socketRef.current = io(SIGNALING_SERVER_URL, {
       transports: ['websocket', 'polling'],
@@ -232,56 +382,175 @@ const Video = () => {
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
       randomizationFactor: 0.5,
+      auth: (cb) => cb({ deviceId: localStorage.getItem(DEVICE_ID_KEY) }),
     });
+    socketRef.current.on('device-id', (deviceId) => localStorage.setItem(DEVICE_ID_KEY, deviceId));
+
+    const testIceServers = async () => {
+      const pc = new RTCPeerConnection({
+        iceServers: [
+          { urls: 'stun:stun.l.google.com:19302' },
+          { urls: 'stun:stun1.l.google.com:19302' },
+          { urls: 'stun:stun2.l.google.com:19302' },
+          {
+            urls: 'turn:openrelay.metered.ca:80',
+            username: 'openrelayproject',
+            credential: 'openrelayproject',
+          },
+          {
+            urls: 'turn:openrelay.metered.ca:443?transport=tcp',
+            username: 'openrelayproject',
+            credential: 'openrelayproject',
+          },
+        ],
+      });
+      pc.onicecandidate = (e) => {
+        if (e.candidate) {
+          logDebug(`ICE candidate generated: ${JSON.stringify(e.candidate)}`);
+        }
+      };
+      pc.createDataChannel('test');
+      await pc.createOffer().then((offer) => pc.setLocalDescription(offer));
+      setTimeout(() => pc.close(), 5000);
+    };
+    testIceServers();
+
+    return () => {
+      socketRef.current.disconnect();
+    };
+  }, [logDebug]);
 
-    socketRef.current.on('connect', () => {
+  // Listeners are rebound when the values they read change, without touching the connection.
+  useEffect(() => {
+    const socket = socketRef.current;
+    const bound = [];
+    const listen = (event, handler) => {
+      socket.on(event, handler);
+      bound.push([event, handler]);
+    };
+
+    listen('connect', () => {
       logDebug('Connected to signaling server');
       addAlert('Connected to server.', 'success');
       if (inRoom) {
         logDebug('Rejoining room after reconnect');
-        socketRef.current.emit('join-room', roomId, socketRef.current.id, userName, isHost);
+        emitJoinRoom(roomId).then((res) => {
+          if (res?.error) {
+            logDebug(`Failed to rejoin room ${roomId}: ${res.error}`);
+            addAlert(res.error, 'error');
+            resetRoom();
+          } else if (res.resumed) {
+            logDebug(`Resumed session as ${res.participantId}`);
+            Object.keys(peersRef.current).forEach((userId) => {
+              if (isDeadPeer(peersRef.current[userId])) restartPeer(userId, true);
+            });
+          } else {
+            // The grace period expired, so the server treated this as a fresh join.
+            logDebug(`Session could not be resumed; rejoined as ${res.participantId}`);
+            addAlert('Rejoined the meeting as a new participant.', 'warning');
+            teardownPeers();
+            setIsHost(res.isHost);
+          }
+        });
       }
     });
-    socketRef.current.on('connect_error', (err) => {
+    listen('connect_error', (err) => {
       logDebug(`Socket connection error: ${err.message}`);
       addAlert('Connection error. Retrying...', 'error');
       setTimeout(() => socketRef.current.connect(), 2000);
     });
-    socketRef.current.on('reconnect', (attempt) => {
+    listen('reconnect', (attempt) => {
       logDebug(`Reconnected after attempt ${attempt}`);
       addAlert(`Reconnected to server after ${attempt} attempts.`, 'success');
     });
-    socketRef.current.on('reconnect_failed', () => {
+    listen('reconnect_failed', () => {
       logDebug('Reconnection failed. Retrying manually...');
       addAlert('Reconnection failed. Retrying...', 'error');
       socketRef.current.connect();
     });
 
-    socketRef.current.on('user-joined', handleUserJoined);
-    socketRef.current.on('offer', handleOffer);
-    socketRef.current.on('answer', handleAnswer);
-    socketRef.current.on('ice-candidate', handleIceCandidate);
-    socketRef.current.on('user-left', handleUserLeft);
-    socketRef.current.on('chat-message', handleChatMessage);
-    socketRef.current.on('toggle-media', handleToggleMedia);
-    socketRef.current.on('face-detection-alert', (data) => {
-      if (data.userId === socketRef.current.id) {
+    listen('room-state', handleRoomState);
+    listen('room-updated', (room) => setRoomInfo(room));
+    listen('lobby-updated', (queue) => {
+      logDebug(`Lobby updated: ${queue.length} waiting`);
+      setLobby(queue);
+      if (queue.length) addAlert(`${queue.length} participant(s) waiting in the lobby.`, 'info');
+    });
+    listen('attendance-updated', (rows) => setAttendance({ rows, syncedAt: Date.now() }));
+    listen('lobby-admitted', handleLobbyAdmitted);
+    listen('lobby-denied', handleLobbyDenied);
+    listen('participant-updated', applyParticipantState);
+    listen('user-joined', handleUserJoined);
+    listen('offer', handleOffer);
+    listen('answer', handleAnswer);
+    listen('ice-candidate', handleIceCandidate);
+    listen('user-left', handleUserLeft);
+    listen('peer-joined', handlePeerJoined);
+    listen('peer-left', ({ userId }) => removePeer(userId));
+    listen('breakout-moved', handleBreakoutMoved);
+    listen('breakouts-updated', (state) => setBreakouts(state));
+    listen('breakout-broadcast', ({ message, userName: sender }) => {
+      addAlert(`Message to all rooms from ${sender}: ${message}`, 'info');
+    });
+    listen('whiteboard-state', (board) => setWhiteboard(board));
+    listen('wb-element-added', ({ pageId, element }) => addWhiteboardElement(pageId, element));
+    listen('wb-element-removed', ({ pageId, elementId }) => {
+      updateWhiteboardPage(pageId, (page) => ({
+        ...page,
+        elements: page.elements.filter((element) => element.id !== elementId),
+      }));
+    });
+    listen('wb-page-updated', ({ page }) => updateWhiteboardPage(page.id, () => page));
+    listen('codepad-state', applyCodePadState);
+    listen('codepad-operation', handleCodePadOperation);
+    listen('codepad-language', ({ language }) => setCodePad((prev) => ({ ...prev, language })));
+    listen('exam-state', (state) => setExam(state));
+    listen('exam-questions-opened', ({ count }) => {
+      setShowExam(true);
+      addAlert(`${count} new exam question(s).`, 'info');
+    });
+    listen('session-timer', (state) => {
+      setSessionTimer({ ...state, clockOffset: Date.parse(state.serverNow) - Date.now() });
+    });
+    listen('session-timer-warning', ({ secondsLeft }) => {
+      addAlert(`${formatDuration(secondsLeft)} left in this session.`, 'warning');
+    });
+    listen('session-time-up', handleSessionTimeUp);
+    listen('chat-message', handleChatMessage);
+    listen('chat-history', (history) => {
+      logDebug(`Received ${history.messages.length} chat message(s) from history`);
+      setMessages(history.messages);
+      setLastReadAt(history.lastReadAt);
+    });
+    listen('chat-message-updated', (message) => {
+      setMessages((prev) => mergeById(prev, message));
+    });
+    listen('chat-typing', handleChatTyping);
+    listen('poll-history', (list) => setPolls(list));
+    listen('poll-updated', (poll) => setPolls((prev) => mergeById(prev, poll)));
+    listen('question-history', (list) => setQuestions(list));
+    listen('question-updated', (question) => setQuestions((prev) => mergeById(prev, question)));
+    listen('question-removed', ({ id }) => setQuestions((prev) => prev.filter((question) => question.id !== id)));
+    listen('reaction', handleReaction);
+    listen('toggle-media', handleToggleMedia);
+    listen('face-detection-alert', (data) => {
+      if (data.userId === participantIdRef.current) {
         logDebug(`Received face detection alert: ${data.message}`);
         addAlert(data.message, 'warning');
       }
     });
-    socketRef.current.on('tab-switch-alert', (data) => {
-      if (isHost) {
-        logDebug(`Tab switch alert from ${data.userId} (${data.userName}): ${data.message}`);
-        addAlert(data.message, 'warning');
-      }
+    // The server only routes these to the host and co-hosts.
+    listen('tab-switch-alert', (data) => {
+      logDebug(`Tab switch alert from ${data.userId} (${data.userName}): ${data.message}`);
+      addAlert(data.message, 'warning');
     });
-    socketRef.current.on('toggle-proctor', (data) => {
-      if (data.userId === socketRef.current.id) {
+    listen('host-changed', handleHostChanged);
+    listen('toggle-proctor', (data) => {
+      if (data.userId === participantIdRef.current) {
         setParticipantControls((prev) => ({
           ...prev,
-          [socketRef.current.id]: {
-            ...prev[socketRef.current.id],
+          [participantIdRef.current]: {
+            ...prev[participantIdRef.current],
             proctor: data.proctor,
           },
         }));
@@ -289,7 +558,22 @@ const Video = () => {
         addAlert(`Proctor mode ${data.proctor ? 'enabled' : 'disabled'} by host.`, 'info');
       }
     });
-    socketRef.current.on('screen-share-status', (data) => {
+    listen('room-ended', (data) => {
+      logDebug(`Room ${data.roomId} was ended by the host`);
+      addAlert('The host has ended this meeting.', 'info');
+      resetRoom();
+    });
+    listen('removed-from-room', (data) => {
+      logDebug(`Removed from room ${data.roomId}${data.banned ? ' and banned' : ''}`);
+      addAlert(
+        data.banned
+          ? 'You were removed from this meeting and cannot rejoin.'
+          : 'You were removed from this meeting by the host.',
+        'error'
+      );
+      resetRoom();
+    });
+    listen('screen-share-status', (data) => {
       logDebug(`Received screen share status from ${data.userId} (${data.userName}): isScreenSharing=${data.isScreenSharing}`);
       setConnectionStatus((prev) => ({
         ...prev,
@@ -304,37 +588,8 @@ const Video = () => {
       addAlert(`${data.userName} ${data.isScreenSharing ? 'started' : 'stopped'} screen sharing.`, 'info');
     });
 
-    const testIceServers = async () => {
-      const pc = new RTCPeerConnection({
-        iceServers: [
-          { urls: 'stun:stun.l.google.com:19302' },
-          { urls: 'stun:stun1.l.google.com:19302' },
-          { urls: 'stun:stun2.l.google.com:19302' },
-          {
-            urls: 'turn:openrelay.metered.ca:80',
-            username: 'openrelayproject',
-            credential: 'openrelayproject',
-          },
-          {
-            urls: 'turn:openrelay.metered.ca:443?transport=tcp',
-            username: 'openrelayproject',
-            credential: 'openrelayproject',
-          },
-        ],
-      });
-      pc.onicecandidate = (e) => {
-        if (e.candidate) {
-          logDebug(`ICE candidate generated: ${JSON.stringify(e.candidate)}`);
-        }
-      };
-      pc.createDataChannel('test');
-      await pc.createOffer().then((offer) => pc.setLocalDescription(offer));
-      setTimeout(() => pc.close(), 5000);
-    };
-    testIceServers();
-
     return () => {
-      socketRef.current.disconnect();
+      bound.forEach(([event, handler]) => socket.off(event, handler));
     };
   }, [logDebug, roomId, inRoom, userName, isHost, addAlert]);
 
@@ -366,7 +621,25 @@ const Video = () => {
     if (chatRef.current) {
       chatRef.current.scrollTop = chatRef.current.scrollHeight;
     }
-  }, [messages]);
+  }, [messages, chatThread]);
+
+  // Opening the chat panel marks everything up to the newest message as read.
+  useEffect(() => {
+    if (!showChat || !inRoom || !messages.length) return;
+    const latest = messages[messages.length - 1].sentAt;
+    if (lastReadAt && latest <= lastReadAt) return;
+    setLastReadAt(latest);
+    socketRef.current?.emit('chat-read', { roomId, readAt: latest });
+  }, [showChat, inRoom, messages, lastReadAt, roomId]);
+
+  const breakoutsClosing = breakouts.status === 'closing';
+  const sessionRunning = sessionTimer.status === 'running';
+  useEffect(() => {
+    if (!showAttendance && !breakoutsClosing && !sessionRunning) return;
+    setClockNow(Date.now());
+    const timer = setInterval(() => setClockNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [showAttendance, breakoutsClosing, sessionRunning]);
 
   useEffect(() => {
     if (!isHost) return;
@@ -391,7 +664,7 @@ const Video = () => {
                   roomId,
                   userId,
                   message: participantMessage,
-                });
+                }, moderationAck('face-detection-alert'));
                 logDebug(`Sent face detection alert to ${userId}`);
               }
               else if(detections.length >= 2){
@@ -403,7 +676,7 @@ const Video = () => {
                   roomId,
                   userId,
                   message: participantMessage,
-                });
+                }, moderationAck('face-detection-alert'));
               }
             } 
             catch (err) {
@@ -416,7 +689,7 @@ const Video = () => {
                 roomId,
                 userId,
                 message: participantMessage,
-              });
+              }, moderationAck('face-detection-alert'));
             }
           }, 5000);
           detectionIntervals.current[userId] = interval;
@@ -435,7 +708,7 @@ const Video = () => {
       Object.values(detectionIntervals.current).forEach((interval) => clearInterval(interval));
       detectionIntervals.current = {};
     };
-  }, [participantControls, connectionStatus, logDebug, isHost, addAlert]);
+  }, [participantControls, connectionStatus, logDebug, isHost, addAlert, moderationAck]);
 
   
   useEffect(() => {
@@ -474,14 +747,31 @@ const Video = () => {
       return;
     }
 
-    const newRoomId = uuidv4();
+    let newRoom;
+    try {
+      newRoom = await api.createRoom({
+        title: meetingTitle,
+        hostName: userName,
+        passcode: passcode || undefined,
+        settings: { waitingRoom: waitingRoomEnabled, requireToken: inviteOnly },
+      });
+    } catch (err) {
+      logDebug(`Error creating room: ${err.message}`);
+      addAlert(`Failed to create meeting: ${err.message}`, 'error');
+      return;
+    }
+    const newRoomId = newRoom.id;
+    hostKeyRef.current = newRoom.hostKey;
+    resumeTokenRef.current = null;
+    saveRoomSession(newRoomId, { hostKey: newRoom.hostKey, userName });
     setRoomId(newRoomId);
     setIsHost(true);
     logDebug(`Created room: ${newRoomId} as host (${userName})`);
     addAlert(`Room created: ${newRoomId}`, 'success');
 
+    let stream;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ 
+      stream = await navigator.mediaDevices.getUserMedia({ 
         video: { width: { ideal: 1280 }, height: { ideal: 720 } },
         audio: { echoCancellation: true, noiseSuppression: true } 
       });
@@ -503,12 +793,21 @@ const Video = () => {
       return;
     }
 
+    const res = await emitJoinRoom(newRoomId);
+    if (res?.error) {
+      logDebug(`Failed to join created room ${newRoomId}: ${res.error}`);
+      addAlert(res.error, 'error');
+      stream.getTracks().forEach((track) => track.stop());
+      setLocalStream(null);
+      return;
+    }
+
+    setRoomInfo(res.room);
     setParticipantControls((prev) => ({
       ...prev,
-      [socketRef.current.id]: { video: true, audio: true, proctor: false },
+      [participantIdRef.current]: { video: true, audio: true, proctor: false },
     }));
-
-    socketRef.current.emit('join-room', newRoomId, socketRef.current.id, userName, true);
+    showMeetingUrl(newRoomId);
     setInRoom(true);
   };
 
@@ -524,14 +823,34 @@ const Video = () => {
       return;
     }
 
+    // After a reload this tab may still hold the host key or a resume token, which get past these checks.
+    const saved = loadRoomSession(roomId.trim());
+    try {
+      const room = await api.fetchRoom(roomId.trim());
+      if (saved.hostKey || saved.resumeToken) {
+        logDebug(`Rejoining room ${roomId} with the ${saved.hostKey ? 'host key' : 'resume token'} saved in this tab`);
+      } else if (!joinInvite && room.settings.requireToken) {
+        throw new Error('This meeting requires an invitation link.');
+      } else if (!joinInvite && room.requiresPasscode && !passcode) {
+        throw new Error('This meeting requires a passcode.');
+      }
+    } catch (err) {
+      logDebug(`Cannot join room ${roomId}: ${err.message}`);
+      addAlert(err.message, 'error');
+      return;
+    }
+
     if (!(await checkPermissions())) {
       logDebug('Camera/microphone permissions denied.');
       return;
     }
 
     logDebug(`Joining room: ${roomId} as ${userName}`);
+    hostKeyRef.current = saved.hostKey || null;
+    resumeTokenRef.current = saved.resumeToken || null;
+    let stream;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ 
+      stream = await navigator.mediaDevices.getUserMedia({ 
         video: { width: { ideal: 1280 }, height: { ideal: 720 } },
         audio: { echoCancellation: true, noiseSuppression: true } 
       });
@@ -547,138 +866,732 @@ const Video = () => {
       setIsAudioOn(true);
       logDebug('Local camera stream acquired successfully.');
       logDebug(`Local camera stream tracks: ${stream.getTracks().map((t) => `${t.kind}:${t.enabled}`).join(', ')}`);
-      addAlert(`Joined room: ${roomId}`, 'success');
     } catch (err) {
       logDebug(`Error accessing media: ${err.name} - ${err.message}`);
       addAlert('Failed to access camera/microphone. Check permissions.', 'error');
       return;
     }
 
+    const res = await emitJoinRoom(roomId.trim());
+    if (res?.error) {
+      logDebug(`Failed to join room ${roomId}: ${res.error}`);
+      addAlert(res.error, 'error');
+      stream.getTracks().forEach((track) => track.stop());
+      setLocalStream(null);
+      return;
+    }
+
+    if (res.waiting) {
+      logDebug(`Waiting in the lobby of room ${roomId}`);
+      addAlert('Waiting for the host to let you in.', 'info');
+      setRoomInfo(res.room);
+      setIsWaiting(true);
+      return;
+    }
+
+    addAlert(`Joined room: ${roomId}`, 'success');
+    setRoomInfo(res.room);
+    setIsHost(res.isHost);
+    showMeetingUrl(roomId.trim());
     setParticipantControls((prev) => ({
       ...prev,
-      [socketRef.current.id]: { video: true, audio: true, proctor: false },
+      [participantIdRef.current]: { video: true, audio: true, proctor: false },
     }));
-
-    socketRef.current.emit('join-room', roomId, socketRef.current.id, userName, false);
     setInRoom(true);
   };
 
-  const toggleVideo = async () => {
-    if (localStream) {
-      const videoTrack = localStream.getVideoTracks()[0];
-      if (videoTrack) {
-        videoTrack.enabled = !videoTrack.enabled;
-        setIsVideoOn(videoTrack.enabled);
-        logDebug(`Camera track ${videoTrack.enabled ? 'enabled' : 'disabled'}`);
-        addAlert(`Camera ${videoTrack.enabled ? 'enabled' : 'disabled'}`, 'info');
+  // Meeting links that already carry a name (via ?name=, a join token or a reload of this tab) join straight away.
+  // Only the first render decides; a name typed in later goes through the join button.
+  useEffect(() => {
+    if (autoJoinRef.current) return;
+    autoJoinRef.current = true;
+    if (!roomId || !userName.trim() || (!linkedRoomId && !joinInvite)) return;
+    logDebug(`Auto-joining room ${roomId} from meeting link`);
+    joinRoom();
+  });
+
+  // Keeps the address bar on /room/:id so a refresh or a shared URL lands back in this meeting.
+  const showMeetingUrl = (targetRoomId) => {
+    const path = targetRoomId ? `/room/${encodeURIComponent(targetRoomId)}${window.location.search}` : '/';
+    if (window.location.pathname + window.location.search !== path) {
+      window.history.replaceState(null, '', path);
+    }
+  };
 
-        Object.values(peersRef.current).forEach((peer) => {
-          const sender = peer._pc.getSenders().find((s) => s.track?.kind === 'video' && !s.track.label?.includes('screen'));
-          if (sender) {
-            if (videoTrack.enabled) {
-              sender.replaceTrack(videoTrack).catch((err) => {
-                logDebug(`Error replacing camera track for peer ${peer._id || 'unknown'}: ${err.message}`);
-                addAlert('Failed to update camera stream.', 'error');
-              });
-            } else {
-              sender.replaceTrack(null).catch((err) => {
-                logDebug(`Error removing camera track for peer ${peer._id || 'unknown'}: ${err.message}`);
-                addAlert('Failed to stop camera stream.', 'error');
-              });
-            }
-            logDebug(`Updated camera track for peer ${peer._id || 'unknown'}: enabled=${videoTrack.enabled}`);
-            renegotiatePeer(peer, peer._id);
-          }
-        });
+  const copyToClipboard = async (text, successMessage) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      addAlert(successMessage, 'success');
+    } catch (err) {
+      logDebug(`Clipboard write failed: ${err.message}`);
+      window.prompt('Copy this link:', text);
+    }
+  };
 
-        if (!isHost && socketRef.current?.connected) {
-          socketRef.current.emit('toggle-media', {
-            roomId,
-            userId: socketRef.current.id,
-            video: videoTrack.enabled,
-            audio: isAudioOn,
-          });
-        }
-      } else {
-        try {
-          const newStream = await navigator.mediaDevices.getUserMedia({ 
-            video: { width: { ideal: 1280 }, height: { ideal: 720 } },
-            audio: false 
-          });
-          const newVideoTrack = newStream.getVideoTracks()[0];
-          newVideoTrack._type = 'camera';
-          setLocalStream(newStream);
-          setIsVideoOn(true);
-          logDebug('Reacquired camera stream successfully.');
-          addAlert('Camera stream reacquired.', 'success');
+  const downloadFile = (filename, contentType, content) => {
+    const url = URL.createObjectURL(new Blob([content], { type: contentType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
 
-          Object.values(peersRef.current).forEach((peer) => {
-            const sender = peer._pc.getSenders().find((s) => s.track?.kind === 'video' && !s.track.label?.includes('screen'));
-            if (sender) {
-              sender.replaceTrack(newVideoTrack).catch((err) => {
-                logDebug(`Error replacing new camera track for peer ${peer._id || 'unknown'}: ${err.message}`);
-                addAlert('Failed to update camera stream.', 'error');
-              });
-              renegotiatePeer(peer, peer._id);
-            }
-          });
+  // The record is built on the server from its own chat history, timeline and alert log.
+  const exportMeetingRecord = (format) => {
+    setShowExportMenu(false);
+    socketRef.current.emit('export-record', { roomId, format }, (res) => {
+      if (res?.error) {
+        logDebug(`Export failed: ${res.error}`);
+        addAlert(`Failed to export meeting record: ${res.error}`, 'error');
+        return;
+      }
+      downloadFile(res.filename, res.contentType, res.content);
+      logDebug(`Exported meeting record as ${res.filename}`);
+    });
+  };
 
-          if (userVideoRef.current?.camera) {
-            userVideoRef.current.camera.srcObject = newStream;
-            userVideoRef.current.camera.play().catch((err) => {
-              logDebug(`Error playing reacquired camera stream: ${err.message}`);
-              addAlert('Failed to play reacquired camera stream.', 'error');
-            });
-          }
+  const updatePollDraft = (changes) => setPollDraft((prev) => ({ ...prev, ...changes }));
 
-          if (!isHost && socketRef.current?.connected) {
-            socketRef.current.emit('toggle-media', {
-              roomId,
-              userId: socketRef.current.id,
-              video: true,
-              audio: isAudioOn,
-            });
-          }
-        } catch (err) {
-          logDebug(`Error reacquiring camera stream: ${err.message}`);
-          addAlert('Failed to reacquire camera stream.', 'error');
-        }
-      }
+  const setPollDraftOption = (index, text) =>
+    setPollDraft((prev) => ({ ...prev, options: prev.options.map((option, i) => (i === index ? text : option)) }));
+
+  const removePollDraftOption = (index) =>
+    setPollDraft((prev) => ({
+      ...prev,
+      options: prev.options.filter((_, i) => i !== index),
+      correct: prev.correct.filter((i) => i !== index).map((i) => (i > index ? i - 1 : i)),
+    }));
+
+  const togglePollDraftCorrect = (index) =>
+    setPollDraft((prev) => {
+      if (prev.correct.includes(index)) return { ...prev, correct: prev.correct.filter((i) => i !== index) };
+      return { ...prev, correct: prev.multiple ? [...prev.correct, index] : [index] };
+    });
+
+  const createPoll = () => {
+    // Blank options are dropped, so correct answers are re-indexed against what is actually sent.
+    const kept = pollDraft.options.map((option, index) => ({ text: option.trim(), index })).filter((option) => option.text);
+    const payload = {
+      roomId,
+      question: pollDraft.question,
+      options: kept.map((option) => option.text),
+      multiple: pollDraft.multiple,
+      correctOptions: pollDraft.quiz
+        ? kept.map((option, i) => (pollDraft.correct.includes(option.index) ? i : -1)).filter((i) => i >= 0)
+        : [],
+    };
+    if (pollDraft.quiz && !payload.correctOptions.length) {
+      addAlert('Mark at least one correct answer for a quiz.', 'warning');
+      return;
     }
+    socketRef.current.emit('poll-create', payload, (res) => {
+      if (res?.error) {
+        logDebug(`Server rejected poll-create: ${res.error}`);
+        addAlert(res.error, 'error');
+        return;
+      }
+      setPolls((prev) => mergeById(prev, res.poll));
+      setPollDraft(null);
+    });
   };
 
-  const toggleAudio = () => {
-    if (localStream) {
-      const audioTrack = localStream.getAudioTracks()[0];
-      if (audioTrack) {
-        audioTrack.enabled = !audioTrack.enabled;
-        setIsAudioOn(audioTrack.enabled);
-        logDebug(`Audio track ${audioTrack.enabled ? 'enabled' : 'disabled'}`);
-        addAlert(`Audio ${audioTrack.enabled ? 'enabled' : 'disabled'}`, 'info');
+  const updatePoll = (action, pollId, extra = {}) => {
+    socketRef.current.emit(action, { roomId, pollId, ...extra }, moderationAck(action, (error) => addAlert(error, 'error')));
+  };
 
-        if (!isHost && socketRef.current?.connected) {
-          socketRef.current.emit('toggle-media', {
-            roomId,
-            userId: socketRef.current.id,
-            video: isVideoOn,
-            audio: audioTrack.enabled,
-          });
-        }
+  const togglePollChoice = (poll, optionId) =>
+    setPollSelections((prev) => {
+      const current = prev[poll.id] || [];
+      if (!poll.multiple) return { ...prev, [poll.id]: [optionId] };
+      return {
+        ...prev,
+        [poll.id]: current.includes(optionId) ? current.filter((id) => id !== optionId) : [...current, optionId],
+      };
+    });
+
+  const submitVote = (poll) => {
+    const optionIds = pollSelections[poll.id] || [];
+    if (!optionIds.length) return;
+    socketRef.current.emit('poll-vote', { roomId, pollId: poll.id, optionIds }, (res) => {
+      if (res?.error) {
+        logDebug(`Server rejected poll-vote: ${res.error}`);
+        addAlert(res.error, 'error');
+        return;
       }
-    }
+      setPolls((prev) => mergeById(prev, res.poll));
+      setPollSelections((prev) => {
+        const next = { ...prev };
+        delete next[poll.id];
+        return next;
+      });
+    });
   };
 
-  // FIXED: Enhanced screen sharing with proper cleanup and track management
-  const toggleScreenShare = async () => {
-    if (!isScreenSharing) {
-      try {
-        // Wait for any ongoing cleanup to complete
+  const exportPollResponses = (format) => {
+    socketRef.current.emit('poll-export', { roomId, format }, (res) => {
+      if (res?.error) {
+        logDebug(`Poll export failed: ${res.error}`);
+        addAlert(`Failed to export poll responses: ${res.error}`, 'error');
+        return;
+      }
+      downloadFile(res.filename, res.contentType, res.content);
+      logDebug(`Exported poll responses as ${res.filename}`);
+    });
+  };
+
+  // The server has already locked the meeting and switched proctoring off; candidates also stop sharing.
+  const handleSessionTimeUp = ({ stopScreenShare: stopSharing }) => {
+    logDebug('Session time is up');
+    addAlert('Time is up. The session has ended and the meeting is locked.', 'warning');
+    if (stopSharing && screenShareActiveRef.current) stopScreenShareRef.current();
+  };
+
+  const startSessionTimer = () => {
+    const warnings = timerWarnings
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map((value) => Math.round(Number(value) * 60));
+    socketRef.current.emit(
+      'session-timer-start',
+      { roomId, durationSeconds: Math.round(Number(timerMinutes) * 60), warnings },
+      (res) => {
+        moderationAck('session-timer-start', (error) => addAlert(error, 'error'))(res);
+        if (res?.ok) setShowTimerMenu(false);
+      }
+    );
+  };
+
+  const stopSessionTimer = () => {
+    socketRef.current.emit('session-timer-stop', { roomId }, moderationAck('session-timer-stop', (error) => addAlert(error, 'error')));
+  };
+
+  const examAction = (action, payload, onReply) => {
+    socketRef.current.emit(action, { roomId, ...payload }, (res) => {
+      moderationAck(action, (error) => addAlert(error, 'error'))(res);
+      if (onReply) onReply(res || {});
+    });
+  };
+
+  const exportExamResults = (format) => {
+    socketRef.current.emit('exam-report', { roomId, format }, (res) => {
+      if (res?.error) {
+        logDebug(`Exam export failed: ${res.error}`);
+        addAlert(`Failed to export exam results: ${res.error}`, 'error');
+        return;
+      }
+      downloadFile(res.filename, res.contentType, res.content);
+      logDebug(`Exported exam results as ${res.filename}`);
+    });
+  };
+
+  const renderPoll = (poll) => {
+    const canVote = poll.status === 'open' && !poll.yourVote;
+    const selected = pollSelections[poll.id] || [];
+    return (
+      <div className="poll-card" key={poll.id}>
+        <div className="poll-card-header">
+          <span className="poll-question">{poll.question}</span>
+          <span className={`poll-status ${poll.status}`}>{poll.status}</span>
+        </div>
+        <div className="poll-meta">
+          {poll.multiple ? 'Choose any' : 'Choose one'}
+          {poll.quiz ? ' · Quiz' : ''}
+          {poll.tally ? ` · ${poll.tally.voters} vote(s)` : ''}
+        </div>
+        {poll.options.map((option) => {
+          const count = poll.tally?.counts[option.id] || 0;
+          const percent = poll.tally?.voters ? Math.round((count / poll.tally.voters) * 100) : 0;
+          const correct = poll.correctOptionIds?.includes(option.id);
+          const voted = poll.yourVote?.includes(option.id);
+          return (
+            <label className={`poll-option ${correct ? 'correct' : ''} ${voted ? 'voted' : ''}`} key={option.id}>
+              {canVote && (
+                <input
+                  type={poll.multiple ? 'checkbox' : 'radio'}
+                  name={`poll-${poll.id}`}
+                  checked={selected.includes(option.id)}
+                  onChange={() => togglePollChoice(poll, option.id)}
+                />
+              )}
+              <span className="poll-option-text">
+                {option.text}
+                {correct && <i className="fas fa-check" title="Correct answer"></i>}
+              </span>
+              {poll.tally && (
+                <>
+                  <span className="poll-option-count">{count} ({percent}%)</span>
+                  <span className="poll-bar" style={{ width: `${percent}%` }}></span>
+                </>
+              )}
+            </label>
+          );
+        })}
+        {canVote && (
+          <button className="poll-vote" onClick={() => submitVote(poll)} disabled={!selected.length}>
+            Vote
+          </button>
+        )}
+        {poll.yourVote && <div className="poll-meta">Your vote has been recorded.</div>}
+        {canModerate && (
+          <div className="poll-actions">
+            {poll.status === 'draft' && <button onClick={() => updatePoll('poll-launch', poll.id)}>Launch</button>}
+            {poll.status === 'open' && <button onClick={() => updatePoll('poll-close', poll.id)}>Close</button>}
+            {poll.status !== 'draft' && (
+              <button onClick={() => updatePoll('poll-results', poll.id, { visible: !poll.resultsVisible })}>
+                {poll.resultsVisible ? 'Hide results' : 'Reveal results'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const askQuestion = () => {
+    const text = qaInput.trim();
+    if (!text) return;
+    socketRef.current.emit('qa-ask', { roomId, text, anonymous: qaAnonymous }, (res) => {
+      if (res?.error) {
+        logDebug(`Server rejected qa-ask: ${res.error}`);
+        addAlert(res.error, 'error');
+        return;
+      }
+      setQuestions((prev) => mergeById(prev, res.question));
+      setQaInput('');
+    });
+  };
+
+  const upvoteQuestion = (questionId) => {
+    socketRef.current.emit('qa-upvote', { roomId, questionId }, moderationAck('qa-upvote', (error) => addAlert(error, 'error')));
+  };
+
+  const moderateQuestion = (questionId, changes) => {
+    socketRef.current.emit(
+      'qa-moderate',
+      { roomId, questionId, ...changes },
+      moderationAck('qa-moderate', (error) => addAlert(error, 'error'))
+    );
+  };
+
+  const renderQuestion = (question) => (
+    <div
+      className={`qa-question ${question.pinned ? 'pinned' : ''} ${question.answered ? 'answered' : ''} ${question.dismissed ? 'dismissed' : ''}`}
+      key={question.id}
+    >
+      <button
+        className={`qa-upvote ${question.upvoted ? 'upvoted' : ''}`}
+        onClick={() => upvoteQuestion(question.id)}
+        disabled={question.mine || question.dismissed}
+        title={question.mine ? 'You asked this question' : question.upvoted ? 'Remove upvote' : 'Upvote'}
+      >
+        <i className="fas fa-arrow-up"></i>
+        <span>{question.upvotes}</span>
+      </button>
+      <div className="qa-body">
+        <div className="qa-text">{question.text}</div>
+        <div className="qa-meta">
+          {question.anonymous ? 'Anonymous' : question.userName}
+          {question.mine ? ' (you)' : ''} · {formatChatTime(question.createdAt)}
+          {question.pinned && <span className="qa-badge">Pinned</span>}
+          {question.answered && <span className="qa-badge answered">Answered</span>}
+          {question.dismissed && <span className="qa-badge dismissed">Dismissed</span>}
+        </div>
+        {canModerate && (
+          <div className="qa-actions">
+            <button
+              onClick={() => moderateQuestion(question.id, { answered: !question.answered })}
+              title={question.answered ? 'Mark unanswered' : 'Mark answered'}
+            >
+              <i className="fas fa-check"></i>
+            </button>
+            <button onClick={() => moderateQuestion(question.id, { pinned: !question.pinned })} title={question.pinned ? 'Unpin' : 'Pin'}>
+              <i className="fas fa-thumbtack"></i>
+            </button>
+            <button
+              onClick={() => moderateQuestion(question.id, { dismissed: !question.dismissed })}
+              title={question.dismissed ? 'Restore' : 'Dismiss'}
+            >
+              <i className={question.dismissed ? 'fas fa-eye' : 'fas fa-eye-slash'}></i>
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const toggleAttendance = () => {
+    if (showAttendance) {
+      setShowAttendance(false);
+      return;
+    }
+    socketRef.current.emit('attendance-report', { roomId, format: 'json' }, (res) => {
+      if (res?.error) {
+        logDebug(`Attendance request failed: ${res.error}`);
+        addAlert(`Failed to load attendance: ${res.error}`, 'error');
+        return;
+      }
+      setAttendance({ rows: res.attendance, syncedAt: Date.now() });
+      setClockNow(Date.now());
+      setShowAttendance(true);
+    });
+  };
+
+  const downloadAttendance = () => {
+    socketRef.current.emit('attendance-report', { roomId, format: 'csv' }, (res) => {
+      if (res?.error) {
+        logDebug(`Attendance export failed: ${res.error}`);
+        addAlert(`Failed to download attendance: ${res.error}`, 'error');
+        return;
+      }
+      downloadFile(res.filename, res.contentType, res.content);
+      logDebug(`Downloaded attendance as ${res.filename}`);
+    });
+  };
+
+  const copyInviteLink = () => {
+    copyToClipboard(buildMeetingUrl(roomId), 'Invite link copied.');
+  };
+
+  // Creates a signed, named link so the candidate joins without typing a name or passcode.
+  const copyCandidateLink = async () => {
+    const name = window.prompt('Candidate name for this invitation:');
+    if (!name || !name.trim()) return;
+    try {
+      const { token } = await api.createJoinToken(roomId, hostKeyRef.current, { name: name.trim(), role: 'candidate' });
+      copyToClipboard(buildMeetingUrl(roomId, token), `Invitation for ${name.trim()} copied.`);
+    } catch (err) {
+      logDebug(`Error creating invitation: ${err.message}`);
+      addAlert(`Failed to create invitation: ${err.message}`, 'error');
+    }
+  };
+
+  // Joins (or resumes, when a resume token is held) and records the server-issued identity.
+  const emitJoinRoom = (targetRoomId) =>
+    new Promise((resolve) => {
+      socketRef.current.emit(
+        'join-room',
+        {
+          roomId: targetRoomId,
+          userName,
+          hostKey: hostKeyRef.current,
+          joinToken: joinInvite?.claims.roomId === targetRoomId ? joinInvite.token : undefined,
+          passcode: passcode || undefined,
+          resumeToken: resumeTokenRef.current,
+        },
+        (res) => {
+          if (res?.participantId) {
+            participantIdRef.current = res.participantId;
+            resumeTokenRef.current = res.resumeToken;
+            saveRoomSession(targetRoomId, { resumeToken: res.resumeToken, userName });
+          }
+          resolve(res);
+        }
+      );
+    });
+
+  const handleLobbyAdmitted = (data) => {
+    logDebug(`Admitted to room ${data.room.id} as ${data.participantId}`);
+    participantIdRef.current = data.participantId;
+    resumeTokenRef.current = data.resumeToken;
+    saveRoomSession(data.room.id, { resumeToken: data.resumeToken, userName });
+    addAlert(`Joined room: ${data.room.id}`, 'success');
+    setRoomInfo(data.room);
+    setIsWaiting(false);
+    showMeetingUrl(data.room.id);
+    setParticipantControls((prev) => ({
+      ...prev,
+      [data.participantId]: { video: true, audio: true, proctor: false },
+    }));
+    setInRoom(true);
+  };
+
+  const handleLobbyDenied = () => {
+    logDebug('Host denied entry to the meeting');
+    addAlert('The host did not let you in to this meeting.', 'error');
+    leaveLobby(false);
+  };
+
+  const leaveLobby = (notifyServer = true) => {
+    if (notifyServer) socketRef.current.emit('lobby-leave');
+    setLocalStream((prev) => {
+      prev?.getTracks().forEach((track) => track.stop());
+      return null;
+    });
+    setRoomInfo(null);
+    setIsWaiting(false);
+  };
+
+  const admitFromLobby = (entryId) => {
+    socketRef.current.emit('lobby-admit', { roomId, entryId }, moderationAck('lobby-admit', (error) => addAlert(error, 'error')));
+  };
+
+  const admitAllFromLobby = () => {
+    socketRef.current.emit('lobby-admit-all', { roomId }, moderationAck('lobby-admit-all', (error) => addAlert(error, 'error')));
+  };
+
+  const denyFromLobby = (entryId) => {
+    socketRef.current.emit('lobby-deny', { roomId, entryId }, moderationAck('lobby-deny', (error) => addAlert(error, 'error')));
+  };
+
+  const toggleRoomSetting = (setting, label) => {
+    const enabled = !roomInfo?.settings?.[setting];
+    socketRef.current.emit(
+      'update-settings',
+      { roomId, settings: { [setting]: enabled } },
+      moderationAck('update-settings', (error) => addAlert(error, 'error'))
+    );
+    addAlert(`${label} ${enabled ? 'enabled' : 'disabled'}.`, 'info');
+  };
+
+  const teardownPeers = () => {
+    Object.values(peersRef.current).forEach((peer) => {
+      peer.removeAllListeners?.('close');
+      peer.destroy?.();
+    });
+    peersRef.current = {};
+    pendingCandidates.current = {};
+    pendingRemoteStreams.current = {};
+    videoStreamCount.current = {};
+    Object.values(detectionIntervals.current).forEach((interval) => clearInterval(interval));
+    detectionIntervals.current = {};
+    setPeers({});
+  };
+
+  const resetRoom = () => {
+    teardownPeers();
+    screenShareActiveRef.current = false;
+    screenShareTrackRef.current = null;
+    hostKeyRef.current = null;
+    participantIdRef.current = null;
+    resumeTokenRef.current = null;
+    clearRoomSession(roomId);
+
+    setLocalStream((prev) => {
+      prev?.getTracks().forEach((track) => track.stop());
+      return null;
+    });
+    setScreenStream((prev) => {
+      prev?.getTracks().forEach((track) => track.stop());
+      return null;
+    });
+    setIsScreenSharing(false);
+    setConnectionStatus({});
+    setParticipantControls({});
+    setMessages([]);
+    setChatThread('everyone');
+    setEditingMessageId(null);
+    setTypingUsers({});
+    setLastReadAt(null);
+    objectUrlsRef.current.forEach((url) => URL.revokeObjectURL(url));
+    objectUrlsRef.current = [];
+    incomingFiles.current = {};
+    setReceivedFiles({});
+    setFileTransfers({});
+    setRoomInfo(null);
+    setLobby([]);
+    setIsHost(false);
+    setIsCoHost(false);
+    setIsChatMuted(false);
+    setChatSettingsDraft(null);
+    setHandRaisedAt(null);
+    setShowReactionPicker(false);
+    setFloatingReactions({});
+    setShowAttendance(false);
+    setAttendance({ rows: [], syncedAt: 0 });
+    setShowPolls(false);
+    setPolls([]);
+    setPollDraft(null);
+    setPollSelections({});
+    setShowQa(false);
+    setQuestions([]);
+    setQaInput('');
+    setBreakouts({ status: 'closed', rooms: [], assignments: {}, closesAt: null });
+    setMyBreakoutId(null);
+    setShowBreakouts(false);
+    setWhiteboard({ locked: false, pages: [] });
+    setShowWhiteboard(false);
+    codePadSync.current = { revision: 0, text: '', queue: [] };
+    setCodePad({ language: 'plaintext', text: '' });
+    setShowCodePad(false);
+    setExam({ title: '', status: 'idle', questions: [] });
+    setShowExam(false);
+    setSessionTimer({ status: 'idle', endsAt: null, endTimes: null, clockOffset: 0 });
+    setShowTimerMenu(false);
+    setRoomHostId(null);
+    setInRoom(false);
+    showMeetingUrl(null);
+  };
+
+  const endMeeting = () => {
+    if (!isHost) return;
+    if (!window.confirm('End this meeting for everyone?')) return;
+    const end = () =>
+      socketRef.current.emit('end-meeting', { roomId }, moderationAck('end-meeting', (error) => addAlert(`Failed to end meeting: ${error}`, 'error')));
+    // Once the meeting is over the app can no longer fetch the report, so this is the host's last chance.
+    if (!window.confirm('Download the attendance report before ending? (Cancel ends without it.)')) {
+      end();
+      return;
+    }
+    socketRef.current.emit('attendance-report', { roomId, format: 'csv' }, (res) => {
+      if (res?.error) {
+        logDebug(`Attendance export failed: ${res.error}`);
+        if (!window.confirm(`The attendance report could not be downloaded (${res.error}). End the meeting anyway?`)) return;
+      } else {
+        downloadFile(res.filename, res.contentType, res.content);
+        logDebug(`Downloaded attendance as ${res.filename} before ending the meeting`);
+      }
+      end();
+    });
+  };
+
+  const removeParticipant = (userId, ban = false) => {
+    const name = connectionStatus[userId]?.userName || shortId(userId);
+    const question = ban
+      ? `Remove ${name} and block their device and invitation link from rejoining this meeting? Someone determined can still get back in from another browser, so use per-person invitations where it matters.`
+      : `Remove ${name} from this meeting?`;
+    if (!window.confirm(question)) return;
+    socketRef.current.emit(
+      'remove-participant',
+      { roomId, userId, ban },
+      moderationAck('remove-participant', (error) => addAlert(error, 'error'))
+    );
+    logDebug(`Requested ${ban ? 'ban' : 'removal'} of ${userId}`);
+  };
+
+  const muteAll = () => {
+    socketRef.current.emit('mute-all', { roomId }, moderationAck('mute-all', (error) => addAlert(error, 'error')));
+    addAlert('Muted all participants.', 'info');
+  };
+
+  const stopAllVideo = () => {
+    socketRef.current.emit('stop-all-video', { roomId }, moderationAck('stop-all-video', (error) => addAlert(error, 'error')));
+    addAlert("Stopped all participants' video.", 'info');
+  };
+
+  const toggleRoomLock = () => {
+    const locked = !roomInfo?.locked;
+    socketRef.current.emit('lock-room', { roomId, locked }, moderationAck('lock-room', (error) => addAlert(error, 'error')));
+    addAlert(`Meeting ${locked ? 'locked' : 'unlocked'}.`, 'info');
+  };
+
+  const toggleVideo = async () => {
+    if (localStream) {
+      const videoTrack = localStream.getVideoTracks()[0];
+      if (videoTrack) {
+        videoTrack.enabled = !videoTrack.enabled;
+        setIsVideoOn(videoTrack.enabled);
+        logDebug(`Camera track ${videoTrack.enabled ? 'enabled' : 'disabled'}`);
+        addAlert(`Camera ${videoTrack.enabled ? 'enabled' : 'disabled'}`, 'info');
+
+        Object.values(peersRef.current).forEach((peer) => {
+          const sender = peer._pc.getSenders().find((s) => s.track?.kind === 'video' && !s.track.label?.includes('screen'));
+          if (sender) {
+            if (videoTrack.enabled) {
+              sender.replaceTrack(videoTrack).catch((err) => {
+                logDebug(`Error replacing camera track for peer ${peer._id || 'unknown'}: ${err.message}`);
+                addAlert('Failed to update camera stream.', 'error');
+              });
+            } else {
+              sender.replaceTrack(null).catch((err) => {
+                logDebug(`Error removing camera track for peer ${peer._id || 'unknown'}: ${err.message}`);
+                addAlert('Failed to stop camera stream.', 'error');
+              });
+            }
+            logDebug(`Updated camera track for peer ${peer._id || 'unknown'}: enabled=${videoTrack.enabled}`);
+            renegotiatePeer(peer, peer._id);
+          }
+        });
+
+        if (!isHost && socketRef.current?.connected) {
+          socketRef.current.emit('toggle-media', {
+            roomId,
+            userId: participantIdRef.current,
+            video: videoTrack.enabled,
+            audio: isAudioOn,
+          });
+        }
+      } else {
+        try {
+          const newStream = await navigator.mediaDevices.getUserMedia({ 
+            video: { width: { ideal: 1280 }, height: { ideal: 720 } },
+            audio: false 
+          });
+          const newVideoTrack = newStream.getVideoTracks()[0];
+          newVideoTrack._type = 'camera';
+          setLocalStream(newStream);
+          setIsVideoOn(true);
+          logDebug('Reacquired camera stream successfully.');
+          addAlert('Camera stream reacquired.', 'success');
+
+          Object.values(peersRef.current).forEach((peer) => {
+            const sender = peer._pc.getSenders().find((s) => s.track?.kind === 'video' && !s.track.label?.includes('screen'));
+            if (sender) {
+              sender.replaceTrack(newVideoTrack).catch((err) => {
+                logDebug(`Error replacing new camera track for peer ${peer._id || 'unknown'}: ${err.message}`);
+                addAlert('Failed to update camera stream.', 'error');
+              });
+              renegotiatePeer(peer, peer._id);
+            }
+          });
+
+          if (userVideoRef.current?.camera) {
+            userVideoRef.current.camera.srcObject = newStream;
+            userVideoRef.current.camera.play().catch((err) => {
+              logDebug(`Error playing reacquired camera stream: ${err.message}`);
+              addAlert('Failed to play reacquired camera stream.', 'error');
+            });
+          }
+
+          if (!isHost && socketRef.current?.connected) {
+            socketRef.current.emit('toggle-media', {
+              roomId,
+              userId: participantIdRef.current,
+              video: true,
+              audio: isAudioOn,
+            });
+          }
+        } catch (err) {
+          logDebug(`Error reacquiring camera stream: ${err.message}`);
+          addAlert('Failed to reacquire camera stream.', 'error');
+        }
+      }
+    }
+  };
+
+  const toggleAudio = () => {
+    if (localStream) {
+      const audioTrack = localStream.getAudioTracks()[0];
+      if (audioTrack) {
+        audioTrack.enabled = !audioTrack.enabled;
+        setIsAudioOn(audioTrack.enabled);
+        logDebug(`Audio track ${audioTrack.enabled ? 'enabled' : 'disabled'}`);
+        addAlert(`Audio ${audioTrack.enabled ? 'enabled' : 'disabled'}`, 'info');
+
+        if (!isHost && socketRef.current?.connected) {
+          socketRef.current.emit('toggle-media', {
+            roomId,
+            userId: participantIdRef.current,
+            video: isVideoOn,
+            audio: audioTrack.enabled,
+          });
+        }
+      }
+    }
+  };
+
+  // FIXED: Enhanced screen sharing with proper cleanup and track management
+  const toggleScreenShare = async () => {
+    if (!isScreenSharing) {
+      try {
+        // Wait for any ongoing cleanup to complete
         if (screenShareActiveRef.current) {
           await cleanupScreenSharing();
           await new Promise(resolve => setTimeout(resolve, 500));
         }
 
-        const isProctorEnabled = participantControls[socketRef.current?.id]?.proctor || false;
+        const isProctorEnabled = participantControls[participantIdRef.current]?.proctor || false;
         addAlert(
           isProctorEnabled
             ? 'Proctor mode requires sharing your entire screen. Tab or window sharing is not allowed.'
@@ -817,6 +1730,7 @@ const Video = () => {
     
     logDebug('Screen share stopped completely');
   };
+  stopScreenShareRef.current = stopScreenShare;
 
   
   const renegotiationPeer = async (peer, userId, retryCount = 0, isCleanup = false) => {
@@ -1130,6 +2044,7 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
       }, 1000);
     });
 
+    peer.on('data', (data) => handlePeerData(userId, data));
     peer.on('connect', () => {
       logDebug(`Peer connection established with ${userId}`);
       setConnectionStatus((prev) => ({ ...prev, [userId]: { ...prev[userId], status: 'connected' } }));
@@ -1176,30 +2091,113 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
     const peer = createPeer(userId, true);
     setPeers((prev) => ({ ...prev, [userId]: peer }));
     addAlert(`${userName} joined the meeting.`, 'info');
+  };
 
-    // Notify new user about current screen sharing status
-    if (isScreenSharing) {
-      setTimeout(() => {
-        socketRef.current.emit('screen-share-status', {
-          roomId,
-          userName,
-          isScreenSharing: true,
-        });
-      }, 1000);
+  // Merges one participant record from the server into the local status and control maps.
+  const applyParticipantState = (participant) => {
+    if (participant.id === participantIdRef.current) {
+      setIsHost(participant.isHost);
+      setIsCoHost(participant.isCoHost);
+      setIsChatMuted(participant.chatMuted);
+      setHandRaisedAt(participant.handRaisedAt);
+      setMyBreakoutId(participant.breakoutId);
+    } else {
+      setConnectionStatus((prev) => ({
+        ...prev,
+        [participant.id]: {
+          ...prev[participant.id],
+          status: prev[participant.id]?.status || 'connecting',
+          userName: participant.userName,
+          isHost: participant.isHost,
+          isCoHost: participant.isCoHost,
+          chatMuted: participant.chatMuted,
+          handRaisedAt: participant.handRaisedAt,
+          breakoutId: participant.breakoutId,
+          online: participant.connected,
+          streams: {
+            camera: false,
+            audio: false,
+            ...prev[participant.id]?.streams,
+            screen: participant.isScreenSharing,
+          },
+        },
+      }));
+    }
+    setParticipantControls((prev) => ({
+      ...prev,
+      [participant.id]: { video: participant.video, audio: participant.audio, proctor: participant.proctor },
+    }));
+  };
+
+  const handleRoomState = (state) => {
+    logDebug(`Received room state for ${state.room.id}: ${state.participants.length} participant(s), host ${state.hostId || 'none'}`);
+    setRoomInfo(state.room);
+    setRoomHostId(state.hostId);
+    state.participants.forEach(applyParticipantState);
+  };
+
+  const handleHostChanged = ({ hostId, reason }) => {
+    logDebug(`Host changed to ${hostId || 'nobody'} (${reason})`);
+    setRoomHostId(hostId);
+    if (!hostId) {
+      addAlert('The host has left. The meeting continues without a host for now.', 'warning');
+    } else if (hostId === participantIdRef.current) {
+      if (reason !== 'host-joined') addAlert('You are now the host.', 'success');
+    } else if (reason !== 'host-joined') {
+      addAlert(`${connectionStatus[hostId]?.userName || 'Another participant'} is now the host.`, 'info');
     }
   };
 
+  const setParticipantCoHost = (userId, coHost) => {
+    socketRef.current.emit(
+      'set-cohost',
+      { roomId, userId, coHost },
+      moderationAck('set-cohost', (error) => addAlert(error, 'error'))
+    );
+    logDebug(`Host set co-host=${coHost} for ${userId}`);
+  };
+
+  const transferHost = (userId) => {
+    const name = connectionStatus[userId]?.userName || shortId(userId);
+    if (!window.confirm(`Make ${name} the host? You will become a co-host.`)) return;
+    socketRef.current.emit(
+      'transfer-host',
+      { roomId, userId },
+      moderationAck('transfer-host', (error) => addAlert(error, 'error'))
+    );
+  };
+
   const handleOffer = (data) => {
     logDebug(`Received offer from ${data.from}: ${JSON.stringify(data.signal).slice(0, 100)}...`);
     let peer = peersRef.current[data.from];
-    if (!peer) {
-      peer = createPeer(data.from, false);
-      peersRef.current[data.from] = peer;
-      setPeers((prev) => ({ ...prev, [data.from]: peer }));
+    if (isDeadPeer(peer)) {
+      peer = restartPeer(data.from, false);
     }
     peer.signal(data.signal);
   };
 
+  const isDeadPeer = (peer) =>
+    !peer || peer.destroyed || ['failed', 'closed'].includes(peer._pc?.connectionState);
+
+  // Replaces a peer connection that did not survive a participant's reconnect.
+  const restartPeer = (userId, initiator) => {
+    const oldPeer = peersRef.current[userId];
+    if (oldPeer) {
+      logDebug(`Restarting peer connection with ${userId}`);
+      oldPeer.removeAllListeners?.('close');
+      oldPeer.destroy?.();
+    }
+    delete pendingRemoteStreams.current[userId];
+    videoStreamCount.current[userId] = 0;
+    if (peerVideoRefs.current[userId]) {
+      if (peerVideoRefs.current[userId].camera) peerVideoRefs.current[userId].camera.srcObject = null;
+      if (peerVideoRefs.current[userId].screen) peerVideoRefs.current[userId].screen.srcObject = null;
+    }
+    const peer = createPeer(userId, initiator);
+    setPeers((prev) => ({ ...prev, [userId]: peer }));
+    return peer;
+  };
+
   const handleAnswer = (data) => {
     logDebug(`Received answer from ${data.from}`);
     const peer = peersRef.current[data.from];
@@ -1228,19 +2226,8 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
     }
   };
 
-  const handleUserLeft = (userId) => {
-    logDebug(`User left: ${userId}`);
-    const userName = connectionStatus[userId]?.userName || shortId(userId);
-    setConnectionStatus((prev) => {
-      const newStatus = { ...prev };
-      delete newStatus[userId];
-      return newStatus;
-    });
-    setParticipantControls((prev) => {
-      const newControls = { ...prev };
-      delete newControls[userId];
-      return newControls;
-    });
+  // Drops the connection to one participant; used when they leave and when they move to another breakout room.
+  const removePeer = (userId) => {
     if (detectionIntervals.current[userId]) {
       clearInterval(detectionIntervals.current[userId]);
       delete detectionIntervals.current[userId];
@@ -1262,26 +2249,213 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
         delete peerVideoRefs.current[userId];
       }
     }
+  };
+
+  const handleUserLeft = (userId) => {
+    logDebug(`User left: ${userId}`);
+    const userName = connectionStatus[userId]?.userName || shortId(userId);
+    setConnectionStatus((prev) => {
+      const newStatus = { ...prev };
+      delete newStatus[userId];
+      return newStatus;
+    });
+    setParticipantControls((prev) => {
+      const newControls = { ...prev };
+      delete newControls[userId];
+      return newControls;
+    });
+    removePeer(userId);
     addAlert(`${userName} left the meeting.`, 'info');
   };
 
+  // Someone moved into our breakout room (or back to the main room with us); we start the connection.
+  const handlePeerJoined = ({ userId }) => {
+    logDebug(`Peer joined our media channel: ${userId}`);
+    setConnectionStatus((prev) => ({ ...prev, [userId]: { ...prev[userId], status: 'connecting' } }));
+    restartPeer(userId, true);
+  };
+
+  // We moved; the people in the new room open connections to us, so all we do is drop the old ones.
+  const handleBreakoutMoved = ({ breakoutId, name }) => {
+    logDebug(`Moved to ${breakoutId ? `breakout ${breakoutId}` : 'the main room'}`);
+    teardownPeers();
+    setMyBreakoutId(breakoutId);
+    addAlert(breakoutId ? `You joined ${name}.` : 'You are back in the main room.', 'info');
+  };
+
+  const breakoutAction = (action, payload = {}) => {
+    socketRef.current.emit(action, { roomId, ...payload }, moderationAck(action, (error) => addAlert(error, 'error')));
+  };
+
+  const sendBreakoutBroadcast = () => {
+    const message = breakoutMessage.trim();
+    if (!message) return;
+    breakoutAction('breakout-broadcast', { message });
+    setBreakoutMessage('');
+  };
+
+  const updateWhiteboardPage = (pageId, update) => {
+    setWhiteboard((prev) => ({
+      ...prev,
+      pages: prev.pages.map((page) => (page.id === pageId ? update(page) : page)),
+    }));
+  };
+
+  const addWhiteboardElement = (pageId, element) => {
+    updateWhiteboardPage(pageId, (page) => ({ ...page, elements: mergeById(page.elements, element) }));
+  };
+
+  // onReply runs for every answer, including rejections, so the board can drop strokes it was holding.
+  const whiteboardAction = (action, payload, onReply) => {
+    socketRef.current.emit(action, { roomId, ...payload }, (res) => {
+      moderationAck(action, (error) => addAlert(error, 'error'))(res);
+      // The server does not echo our own drawings back to us.
+      if (action === 'wb-add' && res?.ok) addWhiteboardElement(payload.pageId, res.element);
+      if (onReply) onReply(res || {});
+    });
+  };
+
+  const applyCodePadState = ({ language, text, revision }) => {
+    codePadSync.current = { revision, text, queue: [] };
+    setCodePad({ language, text });
+  };
+
+  // Unsent local edits are dropped; the server's copy wins.
+  const resyncCodePad = () => {
+    socketRef.current.emit('codepad-sync', { roomId }, (res) => {
+      if (res?.ok) applyCodePadState(res);
+    });
+  };
+
+  const sendCodePadEdit = () => {
+    const sync = codePadSync.current;
+    socketRef.current.emit('codepad-edit', { roomId, revision: sync.revision, operation: sync.queue[0] }, (res) => {
+      // The pad was reloaded while this edit was on its way.
+      if (codePadSync.current !== sync) return;
+      if (res?.error) {
+        logDebug(`Server rejected codepad-edit: ${res.error}`);
+        addAlert(res.error, 'warning');
+        resyncCodePad();
+        return;
+      }
+      sync.revision = res.revision;
+      sync.queue.shift();
+      if (sync.queue.length) sendCodePadEdit();
+    });
+  };
+
+  const editCodePad = (text) => {
+    const sync = codePadSync.current;
+    const operation = fromDiff(sync.text, text);
+    if (isNoop(operation)) return;
+    sync.text = text;
+    sync.queue.push(operation);
+    setCodePad((prev) => ({ ...prev, text }));
+    if (sync.queue.length === 1) sendCodePadEdit();
+  };
+
+  // Someone else's edit arrives on top of the server's copy, so it is moved past our unconfirmed edits first.
+  const handleCodePadOperation = ({ revision, operation }) => {
+    const sync = codePadSync.current;
+    try {
+      let incoming = operation;
+      sync.queue = sync.queue.map((pending) => {
+        const [incomingPrime, pendingPrime] = transform(incoming, pending);
+        incoming = incomingPrime;
+        return pendingPrime;
+      });
+      sync.text = apply(sync.text, incoming);
+    } catch (err) {
+      logDebug(`Code pad out of step: ${err.message}`);
+      resyncCodePad();
+      return;
+    }
+    sync.revision = revision;
+    setCodePad((prev) => ({ ...prev, text: sync.text }));
+  };
+
+  const loadCodePadHistory = (onLoaded) => {
+    socketRef.current.emit('codepad-history', { roomId }, (res) => {
+      if (res?.error) {
+        addAlert(`Could not load the code pad history: ${res.error}`, 'error');
+        return;
+      }
+      onLoaded(res);
+    });
+  };
+
   const handleChatMessage = (data) => {
-    logDebug(`Received chat message from ${data.from} (${data.userName}): ${data.message}`);
-    setMessages((prev) => {
-      const exists = prev.some(
-        (msg) => msg.from === data.from && msg.message === data.message && msg.time === new Date().toLocaleTimeString()
-      );
-      if (exists) return prev;
-      return [
-        ...prev,
-        { from: data.from, userName: data.userName || 'Unknown', message: data.message, time: new Date().toLocaleTimeString() },
-      ];
+    logDebug(`Received chat message ${data.id} from ${data.from} (${data.userName}): ${data.message}`);
+    setMessages((prev) => mergeById(prev, data));
+    handleChatTyping({ userId: data.from, typing: false });
+    if (data.to) addAlert(`Private message from ${data.userName || 'Unknown'}.`, 'info');
+  };
+
+  const handleChatTyping = ({ userId, userName, to, typing }) => {
+    clearTimeout(typingTimeouts.current[userId]);
+    delete typingTimeouts.current[userId];
+    if (typing) {
+      typingTimeouts.current[userId] = setTimeout(() => handleChatTyping({ userId, typing: false }), TYPING_TIMEOUT_MS);
+    }
+    setTypingUsers((prev) => {
+      if (!typing && !prev[userId]) return prev;
+      const next = { ...prev };
+      if (typing) next[userId] = { userName, to };
+      else delete next[userId];
+      return next;
+    });
+  };
+
+  const handleReaction = ({ userId, emoji }) => {
+    const id = ++reactionCounter.current;
+    setFloatingReactions((prev) => ({ ...prev, [userId]: [...(prev[userId] || []), { id, emoji }] }));
+    setTimeout(() => {
+      setFloatingReactions((prev) => {
+        const remaining = (prev[userId] || []).filter((reaction) => reaction.id !== id);
+        const next = { ...prev };
+        if (remaining.length) next[userId] = remaining;
+        else delete next[userId];
+        return next;
+      });
+    }, REACTION_DISPLAY_MS);
+  };
+
+  const sendReaction = (emoji) => {
+    setShowReactionPicker(false);
+    socketRef.current.emit('send-reaction', { roomId, emoji }, moderationAck('send-reaction', (error) => addAlert(error, 'warning')));
+  };
+
+  const toggleHand = () => {
+    socketRef.current.emit('raise-hand', { roomId, raised: !handRaisedAt }, (res) => {
+      if (res?.error) {
+        logDebug(`Server rejected raise-hand: ${res.error}`);
+        addAlert(res.error, 'error');
+        return;
+      }
+      setHandRaisedAt(res.handRaisedAt);
     });
   };
 
+  const lowerHand = (userId) => {
+    socketRef.current.emit('lower-hand', { roomId, userId }, moderationAck('lower-hand', (error) => addAlert(error, 'error')));
+  };
+
+  const lowerAllHands = () => {
+    socketRef.current.emit('lower-all-hands', { roomId }, moderationAck('lower-all-hands', (error) => addAlert(error, 'error')));
+  };
+
+  const renderFloatingReactions = (userId) =>
+    floatingReactions[userId]?.length ? (
+      <div className="floating-reactions">
+        {floatingReactions[userId].map((reaction) => (
+          <span key={reaction.id}>{reaction.emoji}</span>
+        ))}
+      </div>
+    ) : null;
+
   const handleToggleMedia = (data) => {
     logDebug(`Received toggle-media from host for ${data.userId}: video=${data.video}, audio=${data.audio}`);
-    if (data.userId === socketRef.current.id) {
+    if (data.userId === participantIdRef.current) {
       if (localStream) {
         if (data.video !== undefined) {
           const videoTrack = localStream.getVideoTracks()[0];
@@ -1352,19 +2526,234 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
     }
   };
 
+  // Ack handler for chat actions: the server returns the stored message or a reason it was rejected.
+  const chatAck = (action) => (res) => {
+    if (res?.error) {
+      logDebug(`${action} rejected: ${res.error}`);
+      addAlert(res.error, 'error');
+      return;
+    }
+    setMessages((prev) => mergeById(prev, res.message));
+  };
+
+  const emitTyping = (typing) => {
+    const to = chatThread === 'everyone' ? undefined : chatThread;
+    socketRef.current.emit('chat-typing', { roomId, to, typing });
+  };
+
+  const handleChatInputChange = (value) => {
+    setChatInput(value);
+    if (editingMessageId || !value.trim()) return;
+    const now = Date.now();
+    if (now - lastTypingSentRef.current > TYPING_THROTTLE_MS) {
+      lastTypingSentRef.current = now;
+      emitTyping(true);
+    }
+  };
+
   const sendChatMessage = () => {
     if (chatInput.trim()) {
-      socketRef.current.emit('chat-message', { roomId, message: chatInput, userName });
-      setMessages((prev) => [
-        ...prev,
-        { from: socketRef.current.id, userName, message: chatInput, time: new Date().toLocaleTimeString() },
-      ]);
+      if (editingMessageId) {
+        socketRef.current.emit('chat-edit', { roomId, messageId: editingMessageId, message: chatInput }, chatAck('chat-edit'));
+        setEditingMessageId(null);
+      } else {
+        const to = chatThread === 'everyone' ? undefined : chatThread;
+        socketRef.current.emit('chat-message', { roomId, message: chatInput, to }, chatAck('chat-message'));
+        if (lastTypingSentRef.current) {
+          lastTypingSentRef.current = 0;
+          emitTyping(false);
+        }
+      }
       setChatInput('');
     }
   };
 
+  // Progress is kept in whole percent so a large transfer does not re-render on every chunk.
+  const updateFileTransfer = (fileId, progress, direction) => {
+    setFileTransfers((prev) => {
+      if (progress === null) {
+        if (!prev[fileId]) return prev;
+        const next = { ...prev };
+        delete next[fileId];
+        return next;
+      }
+      const percent = Math.round(progress * 100);
+      if (prev[fileId]?.progress === percent && prev[fileId]?.direction === direction) return prev;
+      return { ...prev, [fileId]: { progress: percent, direction } };
+    });
+  };
+
+  const addReceivedFile = (fileId, blob, from) => {
+    const url = URL.createObjectURL(blob);
+    objectUrlsRef.current.push(url);
+    setReceivedFiles((prev) => ({ ...prev, [fileId]: { url, from } }));
+  };
+
+  const handlePeerData = (userId, data) => {
+    const frame = decodeFrame(data);
+    if (!frame) return;
+    if (frame.type === 'chunk') {
+      const incoming = incomingFiles.current[frame.fileId];
+      if (!incoming || incoming.from !== userId) return;
+      incoming.received += frame.chunk.length;
+      if (incoming.received > incoming.size) {
+        logDebug(`Discarded file ${frame.fileId} from ${userId}: more data than announced`);
+        delete incomingFiles.current[frame.fileId];
+        updateFileTransfer(frame.fileId, null);
+        return;
+      }
+      incoming.chunks.push(frame.chunk);
+      updateFileTransfer(frame.fileId, incoming.received / incoming.size, 'receive');
+      return;
+    }
+
+    const { message } = frame;
+    if (message.type === 'file-start') {
+      if (typeof message.fileId !== 'string' || !(message.size > 0 && message.size <= MAX_FILE_SIZE)) return;
+      incomingFiles.current[message.fileId] = {
+        from: userId,
+        mimeType: message.mimeType,
+        size: message.size,
+        chunks: [],
+        received: 0,
+      };
+      updateFileTransfer(message.fileId, 0, 'receive');
+    } else if (message.type === 'file-end') {
+      const incoming = incomingFiles.current[message.fileId];
+      if (!incoming || incoming.from !== userId) return;
+      delete incomingFiles.current[message.fileId];
+      updateFileTransfer(message.fileId, null);
+      if (incoming.received !== incoming.size) {
+        logDebug(`Discarded incomplete file ${message.fileId} from ${userId}`);
+        return;
+      }
+      // Only known image types keep their MIME type; anything else is treated as an opaque download.
+      const type = isPreviewableImage(incoming.mimeType) ? incoming.mimeType : 'application/octet-stream';
+      addReceivedFile(message.fileId, new Blob(incoming.chunks, { type }), userId);
+      logDebug(`Received file ${message.fileId} from ${userId} (${incoming.size} bytes)`);
+    }
+  };
+
+  // Sends a shared file straight to each connected recipient over the data channel, one peer at a time.
+  // Room-wide files are also uploaded to the server for people who join later or sit in another
+  // breakout room; a direct message is uploaded only when its recipient cannot be reached directly.
+  const deliverFile = async (fileId, file, to, uploadToken) => {
+    const recipients = to ? [to] : Object.keys(peersRef.current);
+    let needsUpload = !to || !canSendData(peersRef.current[to]);
+    let delivered = 0;
+    for (const userId of recipients) {
+      const peer = peersRef.current[userId];
+      if (!canSendData(peer)) continue;
+      const done = delivered;
+      try {
+        await sendFileToPeer(peer, fileId, file, (progress) =>
+          updateFileTransfer(fileId, (done + progress) / recipients.length, 'send')
+        );
+        delivered++;
+      } catch (err) {
+        logDebug(`Error sending file ${fileId} to ${userId}: ${err.message}`);
+        needsUpload = true;
+      }
+    }
+    if (needsUpload) {
+      try {
+        await api.uploadFile(roomId, fileId, uploadToken, file, (progress) => updateFileTransfer(fileId, progress, 'upload'));
+        logDebug(`Uploaded file ${fileId} to the server`);
+      } catch (err) {
+        logDebug(`Error uploading file ${fileId}: ${err.message}`);
+        addAlert(`Some participants could not receive ${file.name}: ${err.message}`, 'error');
+      }
+    }
+    updateFileTransfer(fileId, null);
+  };
+
+  const shareFile = (file) => {
+    if (!file) return;
+    if (!roomInfo?.settings?.fileSharing) {
+      addAlert('File sharing is disabled in this meeting.', 'error');
+      return;
+    }
+    if (!file.size || file.size > MAX_FILE_SIZE) {
+      addAlert(`Files must be between 1 byte and ${formatFileSize(MAX_FILE_SIZE)}.`, 'error');
+      return;
+    }
+    const to = chatThread === 'everyone' ? undefined : chatThread;
+    socketRef.current.emit(
+      'chat-message',
+      { roomId, to, attachment: { name: file.name, size: file.size, type: file.type } },
+      (res) => {
+        if (res?.error) {
+          logDebug(`File share rejected: ${res.error}`);
+          addAlert(res.error, 'error');
+          return;
+        }
+        const fileId = res.message.attachment.id;
+        addReceivedFile(fileId, file, participantIdRef.current);
+        setMessages((prev) => mergeById(prev, res.message));
+        deliverFile(fileId, file, to, res.uploadToken);
+      }
+    );
+  };
+
+  const setParticipantChatMuted = (userId, muted) => {
+    socketRef.current.emit(
+      'set-chat-mute',
+      { roomId, userId, muted },
+      moderationAck('set-chat-mute', (error) => addAlert(error, 'error'))
+    );
+    addAlert(`${connectionStatus[userId]?.userName || shortId(userId)} ${muted ? 'muted' : 'unmuted'} in chat.`, 'info');
+  };
+
+  const openChatSettings = () => {
+    const settings = roomInfo?.settings || {};
+    setChatSettingsDraft({
+      chatMode: settings.chatMode || 'everyone',
+      slowModeSeconds: settings.slowModeSeconds || 0,
+      blockedWords: (settings.blockedWords || []).join(', '),
+    });
+  };
+
+  const saveChatSettings = () => {
+    socketRef.current.emit(
+      'update-settings',
+      { roomId, settings: chatSettingsDraft },
+      moderationAck('update-settings', (error) => addAlert(error, 'error'))
+    );
+    setChatSettingsDraft(null);
+    addAlert('Chat settings updated.', 'info');
+  };
+
+  const startEditing = (msg) => {
+    setEditingMessageId(msg.id);
+    setChatInput(msg.message);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setChatInput('');
+  };
+
+  const deleteChatMessage = (msg) => {
+    if (!window.confirm('Delete this message for everyone?')) return;
+    if (editingMessageId === msg.id) cancelEditing();
+    socketRef.current.emit('chat-delete', { roomId, messageId: msg.id }, chatAck('chat-delete'));
+  };
+
+  const reactToMessage = (messageId, emoji) => {
+    setReactionPickerFor(null);
+    socketRef.current.emit('chat-react', { roomId, messageId, emoji }, chatAck('chat-react'));
+  };
+
+  const revertParticipantControl = (userId, type, error) => {
+    addAlert(error, 'error');
+    setParticipantControls((prev) => ({
+      ...prev,
+      [userId]: { ...prev[userId], [type]: !prev[userId]?.[type] },
+    }));
+  };
+
   const toggleParticipantMedia = (userId, type) => {
-    if (!isHost) return;
+    if (!canModerate) return;
     setParticipantControls((prev) => {
       const newControls = { ...prev };
       newControls[userId] = {
@@ -1377,7 +2766,7 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
           userId,
           video: type === 'video' ? newControls[userId].video : undefined,
           audio: type === 'audio' ? newControls[userId].audio : undefined,
-        });
+        }, moderationAck('toggle-media', (error) => revertParticipantControl(userId, type, error)));
         logDebug(`Host toggled ${type} for ${userId} to ${newControls[userId][type]}`);
         addAlert(
           `${type.charAt(0).toUpperCase() + type.slice(1)} ${newControls[userId][type] ? 'enabled' : 'disabled'} for ${
@@ -1390,7 +2779,7 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
           roomId,
           userId,
           proctor: newControls[userId].proctor,
-        });
+        }, moderationAck('toggle-proctor', (error) => revertParticipantControl(userId, type, error)));
         logDebug(`Host toggled proctor for ${userId} to ${newControls[userId][type]}`);
         addAlert(
           `Proctor mode ${newControls[userId][type] ? 'enabled' : 'disabled'} for ${
@@ -1403,6 +2792,100 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
     });
   };
 
+  const canModerate = isHost || isCoHost;
+
+  // Raised hands in the order they went up, including our own.
+  const handQueue = [
+    ...(handRaisedAt ? [{ id: participantIdRef.current, userName: `${userName} (you)`, handRaisedAt }] : []),
+    ...Object.entries(connectionStatus)
+      .filter(([, status]) => status?.handRaisedAt)
+      .map(([userId, status]) => ({ id: userId, userName: status.userName || shortId(userId), handRaisedAt: status.handRaisedAt })),
+  ].sort((a, b) => a.handRaisedAt.localeCompare(b.handRaisedAt));
+
+  // Private threads: anyone we may message now, plus anyone we already have a conversation with.
+  const chatThreadNames = {};
+  messages.forEach((msg) => {
+    if (!msg.to) return;
+    if (msg.from === participantIdRef.current) chatThreadNames[msg.to] = msg.toUserName;
+    else chatThreadNames[msg.from] = msg.userName;
+  });
+  Object.entries(connectionStatus).forEach(([userId, status]) => {
+    if (canModerate || status?.isHost || status?.isCoHost) chatThreadNames[userId] = status?.userName;
+  });
+  const visibleMessages = messages.filter((msg) =>
+    chatThread === 'everyone' ? !msg.to : !!msg.to && (msg.from === chatThread || msg.to === chatThread)
+  );
+  const breakoutSecondsLeft = breakouts.closesAt
+    ? Math.max(0, Math.ceil((Date.parse(breakouts.closesAt) - clockNow) / 1000))
+    : null;
+  const sessionSecondsLeft = sessionRunning
+    ? Math.max(0, Math.ceil((Date.parse(sessionTimer.endsAt) - (clockNow + sessionTimer.clockOffset)) / 1000))
+    : null;
+  // Matches the server's last warning, or the final minute when there are none.
+  const sessionUrgent = sessionRunning && sessionSecondsLeft <= (sessionTimer.warnings?.slice(-1)[0] || 60);
+  const sortedQuestions = [...questions].sort((a, b) => {
+    if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+    if (a.dismissed !== b.dismissed) return a.dismissed ? 1 : -1;
+    if (a.answered !== b.answered) return a.answered ? 1 : -1;
+    if (qaSort === 'votes' && a.upvotes !== b.upvotes) return b.upvotes - a.upvotes;
+    return b.createdAt.localeCompare(a.createdAt);
+  });
+  const pendingPolls = polls.filter((poll) => poll.status === 'open' && !poll.yourVote).length;
+  const unreadCount = messages.filter(
+    (msg) => msg.from !== participantIdRef.current && !msg.deleted && (!lastReadAt || msg.sentAt > lastReadAt)
+  ).length;
+  const renderAttachment = (msg) => {
+    const { id, name, size, type, uploaded } = msg.attachment;
+    const received = receivedFiles[id]?.from === msg.from ? receivedFiles[id].url : null;
+    const url = received || (uploaded ? api.fileUrl(roomId, id) : null);
+    const transfer = fileTransfers[id];
+    const transferLabel = { send: 'Sending', receive: 'Receiving', upload: 'Uploading' }[transfer?.direction];
+    return (
+      <div className="chat-attachment">
+        {url && isPreviewableImage(type) && (
+          <a href={url} target="_blank" rel="noopener noreferrer">
+            <img src={url} alt={name} />
+          </a>
+        )}
+        <div className="chat-attachment-info">
+          <i className="fas fa-file"></i>
+          {url ? <a href={url} download={name}>{name}</a> : <span>{name}</span>}
+          <span className="chat-attachment-size">{formatFileSize(size)}</span>
+        </div>
+        {transfer ? (
+          <div className="file-progress" title={`${transferLabel} ${transfer.progress}%`}>
+            <div style={{ width: `${transfer.progress}%` }}></div>
+          </div>
+        ) : (
+          !url && <span className="chat-attachment-note">Not received yet.</span>
+        )}
+      </div>
+    );
+  };
+
+  // Explains to participants why they cannot post in the current thread, mirroring the server's chat policy.
+  const chatSettings = roomInfo?.settings || {};
+  let chatNotice = null;
+  let chatLocked = false;
+  if (!canModerate) {
+    if (isChatMuted) {
+      chatNotice = 'You have been muted in chat by the host.';
+      chatLocked = true;
+    } else if (chatThread === 'everyone' && chatSettings.chatMode === 'disabled') {
+      chatNotice = 'Chat is disabled. You can still message the host privately.';
+      chatLocked = true;
+    } else if (chatThread === 'everyone' && chatSettings.chatMode === 'hosts') {
+      chatNotice = 'Only the host and co-hosts can post here. You can still message them privately.';
+      chatLocked = true;
+    } else if (chatSettings.slowModeSeconds) {
+      chatNotice = `Slow mode is on: one message every ${chatSettings.slowModeSeconds}s.`;
+    }
+  }
+
+  const typingNames = Object.entries(typingUsers)
+    .filter(([userId, typing]) => (chatThread === 'everyone' ? !typing.to : userId === chatThread && !!typing.to))
+    .map(([, typing]) => typing.userName || 'Someone');
+
   return (
     <ErrorBoundary>
       <div className="app-container">
@@ -1416,14 +2899,29 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
             />
           ))}
         </div>
-        {!inRoom ? (
+        {!inRoom && isWaiting ? (
+          <div className="join-room waiting-room">
+            <h2>Waiting to join</h2>
+            <p>{roomInfo?.title || roomId}</p>
+            <p>The host will let you in soon.</p>
+            <div className="join-buttons">
+              <button onClick={() => leaveLobby()}>Cancel</button>
+            </div>
+          </div>
+        ) : !inRoom ? (
           <div className="join-room">
             <h2>Start or Join a Meeting</h2>
+            {joinInvite && (
+              <p className="join-invite">
+                You have been invited as {joinInvite.claims.role === 'host' ? 'a host' : 'a candidate'}.
+              </p>
+            )}
             <input
               type="text"
               value={userName}
               onChange={(e) => setUserName(e.target.value)}
               placeholder="Enter your name"
+              readOnly={!!joinInvite}
             />
             <input
               type="text"
@@ -1431,6 +2929,36 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
               onChange={(e) => setRoomId(e.target.value)}
               placeholder="Enter meeting ID (optional)"
             />
+            <input
+              type="text"
+              value={meetingTitle}
+              onChange={(e) => setMeetingTitle(e.target.value)}
+              placeholder="Meeting title (when starting a meeting)"
+            />
+            {!joinInvite && (
+              <input
+                type="password"
+                value={passcode}
+                onChange={(e) => setPasscode(e.target.value)}
+                placeholder="Passcode (optional)"
+              />
+            )}
+            <label className="join-option">
+              <input
+                type="checkbox"
+                checked={waitingRoomEnabled}
+                onChange={(e) => setWaitingRoomEnabled(e.target.checked)}
+              />
+              Use a waiting room
+            </label>
+            <label className="join-option">
+              <input
+                type="checkbox"
+                checked={inviteOnly}
+                onChange={(e) => setInviteOnly(e.target.checked)}
+              />
+              Only allow invited participants
+            </label>
             <div className="join-buttons">
               <button onClick={joinRoom}>Join Meeting</button>
               <button onClick={createRoom}>Start Meeting</button>
@@ -1440,20 +2968,414 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
           <div className="conference-room">
             <header className="top-bar">
               <div className="meeting-info">
-                <h2>Meeting: {roomId} {isHost ? '(Host)' : ''}</h2>
-                <span>{Object.keys(peers).length + 1} participant(s)</span>
+                <h2>{roomInfo?.title || 'Meeting'}: {roomId} {isHost ? '(Host)' : isCoHost ? '(Co-host)' : ''}</h2>
+                <span>
+                  {Object.keys(peers).length + 1} participant(s)
+                  {inRoom && !roomHostId ? ' · No host present' : ''}
+                </span>
               </div>
+              {sessionTimer.status !== 'idle' && (
+                <div className={`session-timer ${sessionUrgent || !sessionRunning ? 'urgent' : ''}`} title="Session time left">
+                  <i className="fas fa-hourglass-half"></i>
+                  {sessionRunning ? formatDuration(sessionSecondsLeft) : 'Time is up'}
+                </div>
+              )}
               <div className="top-controls">
+                <button onClick={copyInviteLink} title="Copy invite link">
+                  <i className="fas fa-link"></i>
+                </button>
+                {isHost && hostKeyRef.current && (
+                  <button onClick={copyCandidateLink} title="Copy personal invitation for a candidate">
+                    <i className="fas fa-user-plus"></i>
+                  </button>
+                )}
                 <button onClick={() => setShowChat(!showChat)} title={showChat ? 'Hide Chat' : 'Show Chat'}>
                   <i className="fas fa-comment"></i>
+                  {!showChat && unreadCount > 0 && (
+                    <span className="unread-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                  )}
                 </button>
+                <button onClick={() => setShowPolls(!showPolls)} title={showPolls ? 'Hide polls' : 'Show polls'}>
+                  <i className="fas fa-poll"></i>
+                  {!showPolls && pendingPolls > 0 && <span className="unread-badge">{pendingPolls}</span>}
+                </button>
+                <button onClick={() => setShowQa(!showQa)} title={showQa ? 'Hide Q&A' : 'Show Q&A'}>
+                  <i className="fas fa-question-circle"></i>
+                </button>
+                <button
+                  onClick={() => setShowWhiteboard(!showWhiteboard)}
+                  className={showWhiteboard ? 'active' : ''}
+                  title={showWhiteboard ? 'Hide whiteboard' : 'Show whiteboard'}
+                >
+                  <i className="fas fa-chalkboard"></i>
+                </button>
+                <button
+                  onClick={() => setShowCodePad(!showCodePad)}
+                  className={showCodePad ? 'active' : ''}
+                  title={showCodePad ? 'Hide code pad' : 'Show code pad'}
+                >
+                  <i className="fas fa-code"></i>
+                </button>
+                {(canModerate || exam.questions.length > 0) && (
+                  <button
+                    onClick={() => setShowExam(!showExam)}
+                    className={showExam || exam.status === 'running' ? 'active' : ''}
+                    title={showExam ? 'Hide exam' : 'Show exam'}
+                  >
+                    <i className="fas fa-clipboard-list"></i>
+                  </button>
+                )}
                 <button onClick={() => setShowDebug(!showDebug)} title={showDebug ? 'Hide Debug' : 'Show Debug'}>
                   <i className="fas fa-bug"></i>
                 </button>
+                {canModerate && (
+                  <button
+                    onClick={() => toggleRoomSetting('waitingRoom', 'Waiting room')}
+                    className={roomInfo?.settings?.waitingRoom ? 'active' : ''}
+                    title={roomInfo?.settings?.waitingRoom ? 'Disable waiting room' : 'Enable waiting room'}
+                  >
+                    <i className={roomInfo?.settings?.waitingRoom ? 'fas fa-door-closed' : 'fas fa-door-open'}></i>
+                  </button>
+                )}
+                {canModerate && (
+                  <button
+                    onClick={() => toggleRoomSetting('fileSharing', 'File sharing')}
+                    className={roomInfo?.settings?.fileSharing ? 'active' : ''}
+                    title={roomInfo?.settings?.fileSharing ? 'Disable file sharing' : 'Enable file sharing'}
+                  >
+                    <i className="fas fa-paperclip"></i>
+                  </button>
+                )}
+                {canModerate && (
+                  <>
+                    <button onClick={muteAll} title="Mute everyone">
+                      <i className="fas fa-microphone-slash"></i>
+                    </button>
+                    <button onClick={stopAllVideo} title="Stop everyone's video">
+                      <i className="fas fa-video-slash"></i>
+                    </button>
+                    <button
+                      onClick={toggleRoomLock}
+                      className={roomInfo?.locked ? 'active' : ''}
+                      title={roomInfo?.locked ? 'Unlock meeting' : 'Lock meeting'}
+                    >
+                      <i className={roomInfo?.locked ? 'fas fa-lock' : 'fas fa-lock-open'}></i>
+                    </button>
+                    <button
+                      onClick={toggleAttendance}
+                      className={showAttendance ? 'active' : ''}
+                      title={showAttendance ? 'Hide attendance' : 'Show attendance'}
+                    >
+                      <i className="fas fa-user-clock"></i>
+                    </button>
+                    <button
+                      onClick={() => setShowBreakouts(!showBreakouts)}
+                      className={showBreakouts || breakouts.status !== 'closed' ? 'active' : ''}
+                      title={showBreakouts ? 'Hide breakout rooms' : 'Breakout rooms'}
+                    >
+                      <i className="fas fa-th-large"></i>
+                    </button>
+                  </>
+                )}
+                {canModerate && (
+                  <div className="export-control">
+                    <button
+                      onClick={() => setShowTimerMenu(!showTimerMenu)}
+                      className={sessionRunning ? 'active' : ''}
+                      title="Session timer"
+                    >
+                      <i className="fas fa-stopwatch"></i>
+                    </button>
+                    {showTimerMenu && (
+                      <div className="export-menu timer-menu">
+                        {sessionRunning ? (
+                          <button onClick={stopSessionTimer}>Stop timer</button>
+                        ) : (
+                          <>
+                            <label>
+                              Duration (minutes)
+                              <input type="number" min="1" value={timerMinutes} onChange={(e) => setTimerMinutes(e.target.value)} />
+                            </label>
+                            <label>
+                              Warn at (minutes left)
+                              <input type="text" value={timerWarnings} onChange={(e) => setTimerWarnings(e.target.value)} placeholder="5, 1" />
+                            </label>
+                            <button onClick={startSessionTimer}>
+                              {sessionTimer.status === 'ended' ? 'Start a new timer' : 'Start timer'}
+                            </button>
+                          </>
+                        )}
+                        {sessionTimer.status === 'ended' && sessionTimer.endTimes && (
+                          <div className="timer-end-times">
+                            <strong>Candidate end times</strong>
+                            {sessionTimer.endTimes.length === 0 && <div>No candidates attended.</div>}
+                            {sessionTimer.endTimes.map((entry, index) => (
+                              <div key={index}>
+                                {entry.userName}: {entry.endedAt ? new Date(entry.endedAt).toLocaleTimeString() : '-'}
+                                {!entry.present && ' (had left)'}
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+                {isHost && (
+                  <div className="export-control">
+                    <button onClick={() => setShowExportMenu(!showExportMenu)} title="Export meeting record">
+                      <i className="fas fa-file-export"></i>
+                    </button>
+                    {showExportMenu && (
+                      <div className="export-menu">
+                        <button onClick={() => exportMeetingRecord('html')}>Printable (HTML)</button>
+                        <button onClick={() => exportMeetingRecord('csv')}>Spreadsheet (CSV)</button>
+                        <button onClick={() => exportMeetingRecord('json')}>Data (JSON)</button>
+                      </div>
+                    )}
+                  </div>
+                )}
+                {isHost && (
+                  <button onClick={endMeeting} className="end-meeting" title="End meeting for everyone">
+                    <i className="fas fa-phone-slash"></i>
+                  </button>
+                )}
               </div>
             </header>
             <div className="main-content">
               <div className="video-container">
+                {canModerate && lobby.length > 0 && (
+                  <div className="lobby-panel">
+                    <div className="lobby-header">
+                      <span>{lobby.length} waiting to join</span>
+                      <button onClick={admitAllFromLobby}>Admit all</button>
+                    </div>
+                    {lobby.map((entry) => (
+                      <div className="lobby-entry" key={entry.id}>
+                        <span>{entry.userName || 'Guest'}</span>
+                        <div className="lobby-actions">
+                          <button onClick={() => admitFromLobby(entry.id)} title="Admit">
+                            <i className="fas fa-check"></i>
+                          </button>
+                          <button onClick={() => denyFromLobby(entry.id)} className="deny" title="Deny">
+                            <i className="fas fa-times"></i>
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {(myBreakoutId || breakoutsClosing) && (
+                  <div className="breakout-banner">
+                    <i className="fas fa-th-large"></i>
+                    <span>
+                      {myBreakoutId
+                        ? `You are in ${breakouts.rooms.find((breakout) => breakout.id === myBreakoutId)?.name || 'a breakout room'}.`
+                        : 'Breakout rooms are closing.'}
+                      {breakoutsClosing && breakoutSecondsLeft !== null && ` Returning to the main room in ${formatDuration(breakoutSecondsLeft)}.`}
+                    </span>
+                    {canModerate && myBreakoutId && (
+                      <button onClick={() => breakoutAction('breakout-visit', { breakoutId: null })}>Return to main room</button>
+                    )}
+                  </div>
+                )}
+                {canModerate && showBreakouts && (
+                  <div className="breakout-panel">
+                    <div className="breakout-header">
+                      <span>Breakout rooms{breakouts.status !== 'closed' ? ` (${breakouts.status})` : ''}</span>
+                    </div>
+                    <div className="breakout-controls">
+                      {breakouts.status === 'closed' && (
+                        <>
+                          <input
+                            type="number"
+                            min={1}
+                            max={50}
+                            value={breakoutCount}
+                            onChange={(e) => setBreakoutCount(e.target.value)}
+                            title="Number of rooms"
+                          />
+                          <button onClick={() => breakoutAction('breakout-setup', { count: Number(breakoutCount) })}>
+                            {breakouts.rooms.length ? 'Recreate rooms' : 'Create rooms'}
+                          </button>
+                        </>
+                      )}
+                      {breakouts.rooms.length > 0 && (
+                        <button onClick={() => breakoutAction('breakout-shuffle')}>Assign randomly</button>
+                      )}
+                      {breakouts.status === 'closed' && breakouts.rooms.length > 0 && (
+                        <button onClick={() => breakoutAction('breakout-open')}>Open rooms</button>
+                      )}
+                      {breakouts.status === 'open' && (
+                        <>
+                          <input
+                            type="number"
+                            min={0}
+                            max={300}
+                            value={breakoutCountdown}
+                            onChange={(e) => setBreakoutCountdown(e.target.value)}
+                            title="Countdown in seconds"
+                          />
+                          <button onClick={() => breakoutAction('breakout-close', { countdownSeconds: Number(breakoutCountdown) })}>
+                            Close rooms
+                          </button>
+                        </>
+                      )}
+                    </div>
+                    {breakouts.status !== 'closed' && (
+                      <div className="breakout-controls">
+                        <input
+                          type="text"
+                          value={breakoutMessage}
+                          maxLength={500}
+                          placeholder="Message to all rooms"
+                          onChange={(e) => setBreakoutMessage(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && sendBreakoutBroadcast()}
+                        />
+                        <button onClick={sendBreakoutBroadcast} disabled={!breakoutMessage.trim()}>Broadcast</button>
+                      </div>
+                    )}
+                    {breakouts.rooms.length > 0 && (
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Participant</th>
+                            <th>Assigned room</th>
+                            <th>Now in</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {Object.entries(connectionStatus).map(([userId, status]) => (
+                            <tr key={userId}>
+                              <td>
+                                {status?.userName || shortId(userId)}
+                                {status?.isHost ? ' (Host)' : status?.isCoHost ? ' (Co-host)' : ''}
+                              </td>
+                              <td>
+                                <select
+                                  value={breakouts.assignments[userId] || ''}
+                                  onChange={(e) => breakoutAction('breakout-assign', { userId, breakoutId: e.target.value || null })}
+                                >
+                                  <option value="">Main room</option>
+                                  {breakouts.rooms.map((breakout) => (
+                                    <option key={breakout.id} value={breakout.id}>{breakout.name}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td>{breakouts.rooms.find((breakout) => breakout.id === status?.breakoutId)?.name || 'Main room'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    {breakouts.status !== 'closed' && (
+                      <div className="breakout-visit">
+                        {breakouts.rooms.map((breakout) => (
+                          <button
+                            key={breakout.id}
+                            onClick={() => breakoutAction('breakout-visit', { breakoutId: breakout.id })}
+                            disabled={myBreakoutId === breakout.id}
+                          >
+                            Visit {breakout.name}
+                          </button>
+                        ))}
+                        {myBreakoutId && (
+                          <button onClick={() => breakoutAction('breakout-visit', { breakoutId: null })}>Main room</button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+                {canModerate && showAttendance && (
+                  <div className="attendance-panel">
+                    <div className="attendance-header">
+                      <span>Attendance ({attendance.rows.filter((row) => row.present).length} present)</span>
+                      <button onClick={downloadAttendance}>Download CSV</button>
+                    </div>
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Name</th>
+                          <th>First joined</th>
+                          <th>Last left</th>
+                          <th>Rejoins</th>
+                          <th>Time attended</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {attendance.rows.map((row) => {
+                          const live = row.present ? Math.max(0, Math.floor((clockNow - attendance.syncedAt) / 1000)) : 0;
+                          return (
+                            <tr key={row.id} className={row.present ? '' : 'absent'}>
+                              <td>
+                                {row.userName}
+                                {row.role !== 'participant' ? ` (${row.role})` : ''}
+                              </td>
+                              <td>{row.firstJoinedAt ? formatChatTime(row.firstJoinedAt) : '-'}</td>
+                              <td>{row.present ? 'Present' : row.lastLeftAt ? formatChatTime(row.lastLeftAt) : '-'}</td>
+                              <td>{row.rejoins}</td>
+                              <td>{formatDuration(row.totalSeconds + live)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                {showWhiteboard && whiteboard.pages.length > 0 && (
+                  <Whiteboard
+                    board={whiteboard}
+                    canModerate={canModerate}
+                    onAction={whiteboardAction}
+                    onClose={() => setShowWhiteboard(false)}
+                  />
+                )}
+                {showCodePad && (
+                  <CodePad
+                    pad={codePad}
+                    canModerate={canModerate}
+                    onChange={editCodePad}
+                    onLanguageChange={(language) =>
+                      socketRef.current.emit(
+                        'codepad-language',
+                        { roomId, language },
+                        moderationAck('codepad-language', (error) => addAlert(error, 'error'))
+                      )
+                    }
+                    onLoadHistory={loadCodePadHistory}
+                    onClose={() => setShowCodePad(false)}
+                  />
+                )}
+                {showExam && (
+                  <ExamPanel
+                    exam={exam}
+                    canModerate={canModerate}
+                    onAction={examAction}
+                    onDownload={exportExamResults}
+                    onError={(message) => addAlert(message, 'error')}
+                    onClose={() => setShowExam(false)}
+                  />
+                )}
+                {canModerate && handQueue.length > 0 && (
+                  <div className="hand-queue">
+                    <div className="hand-queue-header">
+                      <span>
+                        <i className="fas fa-hand-paper"></i> {handQueue.length} raised hand(s)
+                      </span>
+                      <button onClick={lowerAllHands}>Lower all</button>
+                    </div>
+                    {handQueue.map((entry, index) => (
+                      <div className="hand-queue-entry" key={entry.id}>
+                        <span>
+                          {index + 1}. {entry.userName} · {formatChatTime(entry.handRaisedAt)}
+                        </span>
+                        <button onClick={() => lowerHand(entry.id)} title="Lower hand">
+                          <i className="fas fa-hand-point-down"></i>
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
                 <div className="video-gallery">
                   <div className="video-item local-video">
                     <div className="video-wrapper">
@@ -1467,10 +3389,12 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
                         className="video-element"
                       />
                       <div className="video-overlay">
+                        {renderFloatingReactions(participantIdRef.current)}
                         <span className="video-name">You ({userName}) - Camera</span>
                         <div className="video-status">
                           {isVideoOn ? <i className="fas fa-video"></i> : <i className="fas fa-video-slash"></i>}
                           {isAudioOn ? <i className="fas fa-microphone"></i> : <i className="fas fa-microphone-slash"></i>}
+                          {handRaisedAt && <i className="fas fa-hand-paper raised-hand" title="Your hand is raised"></i>}
                         </div>
                       </div>
                     </div>
@@ -1520,12 +3444,14 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
                             className="video-element"
                           />
                           <div className="video-overlay">
+                            {renderFloatingReactions(userId)}
                             <span className="video-name">
                               {status?.userName || `Participant (${shortId(userId)})`} - Camera
                             </span>
                             <div className="video-status">
-                              <span>{status?.status || 'connecting'}</span>
-                              {isHost && (
+                              <span>{status?.online === false ? 'reconnecting' : status?.status || 'connecting'}</span>
+                              {status?.handRaisedAt && <i className="fas fa-hand-paper raised-hand" title="Hand raised"></i>}
+                              {canModerate && (
                                 <div className="proctor-controls">
                                   <button
                                     onClick={() => toggleParticipantMedia(userId, 'video')}
@@ -1548,6 +3474,39 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
                                   >
                                     <i className={controls?.proctor ? 'fas fa-user-check' : 'fas fa-user'}></i>
                                   </button>
+                                  {isHost && (
+                                    <>
+                                      <button
+                                        onClick={() => setParticipantCoHost(userId, !status?.isCoHost)}
+                                        className={status?.isCoHost ? 'proctor-enabled' : ''}
+                                        title={status?.isCoHost ? 'Remove co-host' : 'Make co-host'}
+                                      >
+                                        <i className="fas fa-user-shield"></i>
+                                      </button>
+                                      <button onClick={() => transferHost(userId)} title="Make host">
+                                        <i className="fas fa-crown"></i>
+                                      </button>
+                                    </>
+                                  )}
+                                  {!status?.isHost && !status?.isCoHost && (
+                                    <button
+                                      onClick={() => setParticipantChatMuted(userId, !status?.chatMuted)}
+                                      className={status?.chatMuted ? 'disabled' : ''}
+                                      title={status?.chatMuted ? 'Allow chat' : 'Mute in chat'}
+                                    >
+                                      <i className="fas fa-comment-slash"></i>
+                                    </button>
+                                  )}
+                                  {!status?.isHost && (isHost || !status?.isCoHost) && (
+                                    <>
+                                      <button onClick={() => removeParticipant(userId)} title="Remove from meeting">
+                                        <i className="fas fa-user-times"></i>
+                                      </button>
+                                      <button onClick={() => removeParticipant(userId, true)} className="danger" title="Remove and block this device and invitation from rejoining">
+                                        <i className="fas fa-ban"></i>
+                                      </button>
+                                    </>
+                                  )}
                                 </div>
                               )}
                             </div>
@@ -1591,46 +3550,316 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
                 <div className="chat-container">
                   <div className="chat-header">
                     <h3>Chat</h3>
-                    <button onClick={() => setShowChat(false)} title="Close chat"><i className="fas fa-times"></i></button>
+                    <div className="chat-header-actions">
+                      {canModerate && (
+                        <button
+                          onClick={() => (chatSettingsDraft ? setChatSettingsDraft(null) : openChatSettings())}
+                          title="Chat settings"
+                        >
+                          <i className="fas fa-cog"></i>
+                        </button>
+                      )}
+                      <button onClick={() => setShowChat(false)} title="Close chat"><i className="fas fa-times"></i></button>
+                    </div>
+                  </div>
+                  {chatSettingsDraft && (
+                    <div className="chat-settings">
+                      <label>
+                        Who can chat
+                        <select
+                          value={chatSettingsDraft.chatMode}
+                          onChange={(e) => setChatSettingsDraft((prev) => ({ ...prev, chatMode: e.target.value }))}
+                        >
+                          <option value="everyone">Everyone</option>
+                          <option value="hosts">Host and co-hosts only</option>
+                          <option value="disabled">Nobody (chat disabled)</option>
+                        </select>
+                      </label>
+                      <label>
+                        Slow mode (seconds, 0 for off)
+                        <input
+                          type="number"
+                          min="0"
+                          value={chatSettingsDraft.slowModeSeconds}
+                          onChange={(e) => setChatSettingsDraft((prev) => ({ ...prev, slowModeSeconds: e.target.value }))}
+                        />
+                      </label>
+                      <label>
+                        Blocked words (comma-separated)
+                        <textarea
+                          rows="2"
+                          value={chatSettingsDraft.blockedWords}
+                          onChange={(e) => setChatSettingsDraft((prev) => ({ ...prev, blockedWords: e.target.value }))}
+                        />
+                      </label>
+                      <div className="chat-settings-actions">
+                        <button onClick={() => setChatSettingsDraft(null)}>Cancel</button>
+                        <button onClick={saveChatSettings}>Save</button>
+                      </div>
+                    </div>
+                  )}
+                  <div className="chat-thread">
+                    <select value={chatThread} onChange={(e) => setChatThread(e.target.value)}>
+                      <option value="everyone">Everyone</option>
+                      {Object.entries(chatThreadNames).map(([userId, name]) => (
+                        <option key={userId} value={userId}>
+                          {name || shortId(userId)} (private)
+                        </option>
+                      ))}
+                    </select>
                   </div>
                   <div className="chat-messages" ref={chatRef}>
-                    {messages.map((msg, index) => (
-                      <div key={index} className={`chat-message ${msg.from === socketRef.current.id ? 'own-message' : ''}`}>
-                        <div className="chat-meta">
-                          <span className="chat-sender">{msg.from === socketRef.current.id ? 'You' : msg.userName}</span>
-                          <span className="chat-time">{msg.time}</span>
+                    {visibleMessages.map((msg) => {
+                      const isOwn = msg.from === participantIdRef.current;
+                      return (
+                        <div
+                          key={msg.id}
+                          className={`chat-message ${isOwn ? 'own-message' : ''} ${msg.deleted ? 'deleted' : ''}`}
+                        >
+                          <div className="chat-meta">
+                            <span className="chat-sender">{isOwn ? 'You' : msg.userName || 'Unknown'}</span>
+                            <span className="chat-time">
+                              {formatChatTime(msg.sentAt)}
+                              {msg.editedAt && !msg.deleted ? ' (edited)' : ''}
+                            </span>
+                          </div>
+                          {(msg.deleted || msg.message) && (
+                            <div className="chat-text">{msg.deleted ? 'This message was deleted.' : msg.message}</div>
+                          )}
+                          {!msg.deleted && msg.attachment && renderAttachment(msg)}
+                          {!msg.deleted && (
+                            <>
+                              {Object.keys(msg.reactions || {}).length > 0 && (
+                                <div className="chat-reactions">
+                                  {Object.entries(msg.reactions).map(([emoji, users]) => (
+                                    <button
+                                      key={emoji}
+                                      onClick={() => reactToMessage(msg.id, emoji)}
+                                      className={users.includes(participantIdRef.current) ? 'reacted' : ''}
+                                      title={users
+                                        .map((id) => (id === participantIdRef.current ? 'You' : connectionStatus[id]?.userName || shortId(id)))
+                                        .join(', ')}
+                                    >
+                                      {emoji} {users.length}
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
+                              <div className="chat-actions">
+                                <button
+                                  onClick={() => setReactionPickerFor(reactionPickerFor === msg.id ? null : msg.id)}
+                                  title="React"
+                                >
+                                  <i className="far fa-smile"></i>
+                                </button>
+                                {isOwn && (
+                                  <button onClick={() => startEditing(msg)} title="Edit">
+                                    <i className="fas fa-pen"></i>
+                                  </button>
+                                )}
+                                {(isOwn || canModerate) && (
+                                  <button onClick={() => deleteChatMessage(msg)} title="Delete">
+                                    <i className="fas fa-trash"></i>
+                                  </button>
+                                )}
+                              </div>
+                              {reactionPickerFor === msg.id && (
+                                <div className="chat-reaction-picker">
+                                  {CHAT_REACTIONS.map((emoji) => (
+                                    <button key={emoji} onClick={() => reactToMessage(msg.id, emoji)}>
+                                      {emoji}
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
+                            </>
+                          )}
                         </div>
-                        <div className="chat-text">{msg.message}</div>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
+                  {typingNames.length > 0 && (
+                    <div className="chat-typing">
+                      {typingNames.join(', ')} {typingNames.length === 1 ? 'is' : 'are'} typing...
+                    </div>
+                  )}
+                  {chatNotice && <div className="chat-notice">{chatNotice}</div>}
+                  {editingMessageId && (
+                    <div className="chat-editing">
+                      <span>Editing message</span>
+                      <button onClick={cancelEditing}>Cancel</button>
+                    </div>
+                  )}
                   <div className="chat-input">
                     <input
                       type="text"
                       value={chatInput}
-                      onChange={(e) => setChatInput(e.target.value)}
-                      placeholder="Type a message..."
+                      onChange={(e) => handleChatInputChange(e.target.value)}
+                      placeholder={chatThread === 'everyone' ? 'Type a message...' : 'Type a private message...'}
                       onKeyPress={(e) => e.key === 'Enter' && sendChatMessage()}
+                      onKeyDown={(e) => e.key === 'Escape' && editingMessageId && cancelEditing()}
+                      disabled={chatLocked}
                     />
-                    <button onClick={sendChatMessage} title="Send message"><i className="fas fa-paper-plane"></i></button>
+                    {roomInfo?.settings?.fileSharing && !editingMessageId && !chatLocked && (
+                      <>
+                        <input
+                          type="file"
+                          ref={fileInputRef}
+                          style={{ display: 'none' }}
+                          onChange={(e) => {
+                            shareFile(e.target.files[0]);
+                            e.target.value = '';
+                          }}
+                        />
+                        <button onClick={() => fileInputRef.current?.click()} title="Share a file">
+                          <i className="fas fa-paperclip"></i>
+                        </button>
+                      </>
+                    )}
+                    <button onClick={sendChatMessage} title={editingMessageId ? 'Save edit' : 'Send message'}>
+                      <i className={editingMessageId ? 'fas fa-check' : 'fas fa-paper-plane'}></i>
+                    </button>
                   </div>
                 </div>
               </div>
-            </div>
-            <footer className="bottom-bar">
-              <div className="controls">
-                <button
-                  onClick={toggleVideo}
-                  disabled={isHost ? false : !isVideoOn}
-                  className={isVideoOn ? '' : 'disabled'}
-                  title={isVideoOn ? 'Turn off camera' : 'Turn on camera'}
-                >
-                  <i className={isVideoOn ? 'fas fa-video' : 'fas fa-video-slash'}></i>
-                </button>
-                <button
-                  onClick={toggleAudio}
-                  disabled={isHost ? false : !isAudioOn}
-                  className={isAudioOn ? '' : 'disabled'}
+              {showPolls && (
+                <div className="side-panel open polls-panel">
+                  <div className="chat-header">
+                    <h3>Polls</h3>
+                    <div className="chat-header-actions">
+                      {canModerate && (
+                        <>
+                          <button onClick={() => exportPollResponses('csv')} title="Download responses (CSV)">
+                            <i className="fas fa-file-csv"></i>
+                          </button>
+                          <button onClick={() => exportPollResponses('json')} title="Download responses (JSON)">
+                            <i className="fas fa-file-code"></i>
+                          </button>
+                          <button onClick={() => setPollDraft(pollDraft ? null : emptyPollDraft())} title="New poll">
+                            <i className="fas fa-plus"></i>
+                          </button>
+                        </>
+                      )}
+                      <button onClick={() => setShowPolls(false)} title="Close polls"><i className="fas fa-times"></i></button>
+                    </div>
+                  </div>
+                  {pollDraft && (
+                    <div className="chat-settings">
+                      <label>
+                        Question
+                        <input
+                          type="text"
+                          value={pollDraft.question}
+                          maxLength={300}
+                          onChange={(e) => updatePollDraft({ question: e.target.value })}
+                        />
+                      </label>
+                      {pollDraft.options.map((option, index) => (
+                        <div className="poll-draft-option" key={index}>
+                          {pollDraft.quiz && (
+                            <input
+                              type="checkbox"
+                              checked={pollDraft.correct.includes(index)}
+                              onChange={() => togglePollDraftCorrect(index)}
+                              title="Correct answer"
+                            />
+                          )}
+                          <input
+                            type="text"
+                            value={option}
+                            maxLength={200}
+                            placeholder={`Option ${index + 1}`}
+                            onChange={(e) => setPollDraftOption(index, e.target.value)}
+                          />
+                          {pollDraft.options.length > 2 && (
+                            <button onClick={() => removePollDraftOption(index)} title="Remove option">
+                              <i className="fas fa-times"></i>
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                      {pollDraft.options.length < 10 && (
+                        <button className="poll-add-option" onClick={() => updatePollDraft({ options: [...pollDraft.options, ''] })}>
+                          Add option
+                        </button>
+                      )}
+                      <label className="poll-draft-flag">
+                        <input
+                          type="checkbox"
+                          checked={pollDraft.multiple}
+                          onChange={(e) => updatePollDraft({ multiple: e.target.checked, correct: [] })}
+                        />
+                        Allow multiple choices
+                      </label>
+                      <label className="poll-draft-flag">
+                        <input
+                          type="checkbox"
+                          checked={pollDraft.quiz}
+                          onChange={(e) => updatePollDraft({ quiz: e.target.checked, correct: [] })}
+                        />
+                        Quiz (mark the correct answers)
+                      </label>
+                      <div className="chat-settings-actions">
+                        <button onClick={() => setPollDraft(null)}>Cancel</button>
+                        <button onClick={createPoll}>Create</button>
+                      </div>
+                    </div>
+                  )}
+                  <div className="polls-list">
+                    {polls.length ? [...polls].reverse().map(renderPoll) : <p className="poll-empty">No polls yet.</p>}
+                  </div>
+                </div>
+              )}
+              {showQa && (
+                <div className="side-panel open qa-panel">
+                  <div className="chat-header">
+                    <h3>Q&amp;A</h3>
+                    <div className="chat-header-actions">
+                      <select value={qaSort} onChange={(e) => setQaSort(e.target.value)} title="Sort questions">
+                        <option value="votes">Top</option>
+                        <option value="recent">Recent</option>
+                      </select>
+                      <button onClick={() => setShowQa(false)} title="Close Q&A"><i className="fas fa-times"></i></button>
+                    </div>
+                  </div>
+                  <div className="qa-list">
+                    {sortedQuestions.length
+                      ? sortedQuestions.map(renderQuestion)
+                      : <p className="poll-empty">No questions yet.</p>}
+                  </div>
+                  <div className="qa-input">
+                    <textarea
+                      value={qaInput}
+                      onChange={(e) => setQaInput(e.target.value)}
+                      maxLength={500}
+                      rows={2}
+                      placeholder="Ask a question..."
+                    />
+                    <div className="qa-input-actions">
+                      <label>
+                        <input type="checkbox" checked={qaAnonymous} onChange={(e) => setQaAnonymous(e.target.checked)} />
+                        Ask anonymously
+                      </label>
+                      <button onClick={askQuestion} disabled={!qaInput.trim()}>Ask</button>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+            <footer className="bottom-bar">
+              <div className="controls">
+                <button
+                  onClick={toggleVideo}
+                  disabled={isHost ? false : !isVideoOn}
+                  className={isVideoOn ? '' : 'disabled'}
+                  title={isVideoOn ? 'Turn off camera' : 'Turn on camera'}
+                >
+                  <i className={isVideoOn ? 'fas fa-video' : 'fas fa-video-slash'}></i>
+                </button>
+                <button
+                  onClick={toggleAudio}
+                  disabled={isHost ? false : !isAudioOn}
+                  className={isAudioOn ? '' : 'disabled'}
                   title={isAudioOn ? 'Mute' : 'Unmute'}
                 >
                   <i className={isAudioOn ? 'fas fa-microphone' : 'fas fa-microphone-slash'}></i>
@@ -1642,6 +3871,25 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
                 >
                   <i className={isScreenSharing ? 'fas fa-desktop' : 'fas fa-share-square'}></i>
                 </button>
+                <button
+                  onClick={toggleHand}
+                  className={handRaisedAt ? 'raised' : ''}
+                  title={handRaisedAt ? 'Lower hand' : 'Raise hand'}
+                >
+                  <i className="fas fa-hand-paper"></i>
+                </button>
+                <div className="reaction-control">
+                  <button onClick={() => setShowReactionPicker(!showReactionPicker)} title="Send a reaction">
+                    <i className="far fa-smile"></i>
+                  </button>
+                  {showReactionPicker && (
+                    <div className="meeting-reaction-picker">
+                      {CHAT_REACTIONS.map((emoji) => (
+                        <button key={emoji} onClick={() => sendReaction(emoji)}>{emoji}</button>
+                      ))}
+                    </div>
+                  )}
+                </div>
               </div>
             </footer>
             {showDebug && (
@@ -1781,6 +4029,29 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
               outline: none;
             }
 
+            .join-option {
+              display: flex;
+              align-items: center;
+              gap: 8px;
+              width: 100%;
+              font-size: 13px;
+              color: #a0a0c0;
+            }
+
+            .join-room .join-option input {
+              width: auto;
+            }
+
+            .join-invite {
+              font-size: 13px;
+              color: var(--accent-blue);
+            }
+
+            .waiting-room p {
+              font-size: 14px;
+              color: #a0a0c0;
+            }
+
             .join-buttons {
               display: flex;
               gap: 12px;
@@ -1849,211 +4120,1034 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
               color: var(--text-color);
               font-size: 14px;
               transition: background-color 0.2s;
+              position: relative;
             }
 
             .top-controls button:hover {
               background: #2e2e4b;
             }
 
-            .main-content {
-              flex: 1;
+            .export-control {
+              position: relative;
+            }
+
+            .export-menu {
+              position: absolute;
+              top: calc(100% + 4px);
+              right: 0;
+              z-index: 20;
               display: flex;
+              flex-direction: column;
+              min-width: 160px;
+              background: var(--secondary-bg);
+              border: 1px solid var(--border);
+              border-radius: 6px;
               overflow: hidden;
             }
 
-            .video-container {
-              flex: 1;
-              padding: 12px;
-              background: #000;
-              overflow: auto;
+            .top-controls .export-menu button {
+              border: none;
+              border-radius: 0;
+              text-align: left;
+              font-size: 13px;
+              white-space: nowrap;
             }
 
-            .video-gallery {
-              display: grid;
-              grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
-              gap: 12px;
-              max-width: 1400px;
-              margin: 0 auto;
+            .session-timer {
+              display: flex;
+              align-items: center;
+              gap: 6px;
+              padding: 6px 12px;
+              border: 1px solid var(--border);
+              border-radius: 6px;
+              font-size: 16px;
+              font-variant-numeric: tabular-nums;
             }
 
-            .video-item {
+            .session-timer.urgent {
+              color: var(--error);
+              border-color: var(--error);
+            }
+
+            .timer-menu {
+              gap: 8px;
+              padding: 10px;
+              min-width: 220px;
+              font-size: 13px;
+            }
+
+            .timer-menu label {
               display: flex;
               flex-direction: column;
-              gap: 12px;
-              background: #1c1c38;
-              border-radius: 10px;
-              overflow: hidden;
-              transition: transform 0.2s;
+              gap: 4px;
             }
 
-            .local-video {
-              grid-column: span 2;
-              max-width: 500px;
-              margin: 0 auto;
+            .timer-menu input {
+              padding: 4px 6px;
             }
 
-            .video-item:hover {
-              transform: scale(1.02);
+            .timer-end-times {
+              display: flex;
+              flex-direction: column;
+              gap: 2px;
+              padding-top: 6px;
+              border-top: 1px solid var(--border);
             }
 
-            .video-wrapper {
-              position: relative;
-              width: 100%;
-              aspect-ratio: 16 / 9;
+            .unread-badge {
+              position: absolute;
+              top: -6px;
+              right: -6px;
+              min-width: 16px;
+              padding: 1px 4px;
+              border-radius: 8px;
+              background: var(--error);
+              color: #fff;
+              font-size: 10px;
+              line-height: 14px;
             }
 
-            .video-element {
-              width: 100%;
-              height: 100%;
-              object-fit: cover;
+            .top-controls button.active {
+              color: var(--accent-blue);
+              border-color: var(--accent-blue);
             }
 
-            .video-overlay {
-              position: absolute;
-              bottom: 0;
-              left: 0;
-              right: 0;
-              padding: 8px;
-              background: linear-gradient(to top, rgba(0,0,0,0.7), transparent);
-              color: var(--text-color);
+            .top-controls button.end-meeting {
+              color: var(--error);
+              border-color: var(--error);
+            }
+
+            .main-content {
+              flex: 1;
               display: flex;
-              flex-direction: column;
-              gap: 4px;
+              overflow: hidden;
             }
 
-            .video-name {
+            .video-container {
+              flex: 1;
+              padding: 12px;
+              background: #000;
+              overflow: auto;
+            }
+
+            .lobby-panel {
+              max-width: 1400px;
+              margin: 0 auto 12px;
+              padding: 10px 12px;
+              background: var(--secondary-bg);
+              border: 1px solid var(--warning);
+              border-radius: 8px;
               font-size: 13px;
-              font-weight: 500;
             }
 
-            .video-status {
-              font-size: 11px;
+            .lobby-header,
+            .lobby-entry {
               display: flex;
+              justify-content: space-between;
               align-items: center;
-              gap: 6px;
+              gap: 8px;
             }
 
-            .video-status span {
-              color: #a0a0c0;
+            .lobby-header {
+              margin-bottom: 8px;
+              font-weight: 600;
             }
 
-            .proctor-controls {
+            .lobby-entry {
+              padding: 6px 0;
+              border-top: 1px solid var(--border);
+            }
+
+            .lobby-actions {
               display: flex;
-              gap: 4px;
-              margin-left: auto;
+              gap: 6px;
             }
 
-            .proctor-controls button {
-              padding: 6px;
-              background: rgba(255,255,255,0.1);
+            .lobby-panel button {
+              padding: 4px 10px;
+              background: var(--success);
               border: none;
               border-radius: 4px;
               color: var(--text-color);
               cursor: pointer;
               font-size: 12px;
-              transition: background-color 0.2s;
-            }
-
-            .proctor-controls button:hover {
-              background: rgba(255,255,255,0.2);
             }
 
-            .proctor-controls button.disabled {
+            .lobby-panel button.deny {
               background: var(--error);
             }
 
-            .proctor-controls button.proctor-enabled {
-              background: var(--success);
+            .breakout-banner {
+              display: flex;
+              align-items: center;
+              gap: 8px;
+              max-width: 1400px;
+              margin: 0 auto 12px;
+              padding: 8px 12px;
+              background: rgba(107, 72, 255, 0.2);
+              border: 1px solid var(--accent-purple);
+              border-radius: 8px;
+              font-size: 13px;
             }
 
-            .side-panel {
-              width: 300px;
-              background: var(--secondary-bg);
-              border-left: 1px solid var(--border);
-              display: flex;
-              flex-direction: column;
-              transform: translateX(100%);
-              transition: transform 0.3s ease-in-out;
+            .breakout-banner span {
+              flex: 1;
             }
 
-            .side-panel.open {
-              transform: translateX(0);
+            .breakout-panel {
+              max-width: 1400px;
+              margin: 0 auto 12px;
+              padding: 10px 12px;
+              background: var(--secondary-bg);
+              border: 1px solid var(--border);
+              border-radius: 8px;
+              font-size: 13px;
+              overflow-x: auto;
             }
 
-            .chat-container {
-              flex: 1;
-              display: flex;
-              flex-direction: column;
-              padding: 12px;
+            .breakout-header {
+              margin-bottom: 8px;
+              font-weight: 600;
             }
 
-            .chat-header {
+            .breakout-controls,
+            .breakout-visit {
               display: flex;
-              justify-content: space-between;
+              flex-wrap: wrap;
               align-items: center;
-              margin-bottom: 12px;
-            }
-
-            .chat-header h3 {
-              font-size: 16px;
-              font-weight: 600;
-              margin: 0;
+              gap: 6px;
+              margin-bottom: 8px;
             }
 
-            .chat-header button {
-              background: none;
-              border: none;
-              font-size: 14px;
-              cursor: pointer;
+            .breakout-controls input,
+            .breakout-panel select {
+              padding: 4px 6px;
+              border: 1px solid var(--border);
+              border-radius: 4px;
+              background: #24244a;
               color: var(--text-color);
-              opacity: 0.7;
+              font-size: 12px;
             }
 
-            .chat-header button:hover {
-              opacity: 1;
+            .breakout-controls input[type='number'] {
+              width: 64px;
             }
 
-            .chat-messages {
+            .breakout-controls input[type='text'] {
               flex: 1;
-              overflow-y: auto;
-              padding: 8px;
-              background: #1c1c38;
-              border-radius: 6px;
-              margin-bottom: 12px;
-            }
-
-            .chat-message {
-              margin-bottom: 12px;
-              padding: 10px;
-              border-radius: 6px;
-              background: #24244a;
-              max-width: 80%;
+              min-width: 160px;
             }
 
-            .chat-message.own-message {
+            .breakout-banner button,
+            .breakout-controls button,
+            .breakout-visit button {
+              padding: 4px 10px;
               background: var(--accent-blue);
-              margin-left: auto;
+              border: none;
+              border-radius: 4px;
+              color: #fff;
+              cursor: pointer;
+              font-size: 12px;
             }
 
-            .chat-meta {
-              display: flex;
-              gap: 6px;
-              align-items: baseline;
-              margin-bottom: 4px;
+            .breakout-controls button:disabled,
+            .breakout-visit button:disabled {
+              opacity: 0.5;
+              cursor: default;
             }
 
-            .chat-sender {
+            .breakout-panel table {
+              width: 100%;
+              border-collapse: collapse;
+              margin-bottom: 8px;
+            }
+
+            .breakout-panel th,
+            .breakout-panel td {
+              padding: 4px 6px;
+              border-top: 1px solid var(--border);
+              text-align: left;
+            }
+
+            .hand-queue {
+              max-width: 1400px;
+              margin: 0 auto 12px;
+              padding: 10px 12px;
+              background: var(--secondary-bg);
+              border: 1px solid var(--border);
+              border-radius: 8px;
+              font-size: 13px;
+            }
+
+            .hand-queue-header,
+            .hand-queue-entry {
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              gap: 8px;
+            }
+
+            .hand-queue-header {
+              margin-bottom: 8px;
+              font-weight: 600;
+            }
+
+            .hand-queue-header i {
+              color: var(--warning);
+            }
+
+            .hand-queue-entry {
+              padding: 6px 0;
+              border-top: 1px solid var(--border);
+            }
+
+            .hand-queue button {
+              padding: 4px 10px;
+              background: rgba(255,255,255,0.1);
+              border: none;
+              border-radius: 4px;
+              color: var(--text-color);
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .attendance-panel {
+              max-width: 1400px;
+              margin: 0 auto 12px;
+              padding: 10px 12px;
+              background: var(--secondary-bg);
+              border: 1px solid var(--border);
+              border-radius: 8px;
+              font-size: 13px;
+              overflow-x: auto;
+            }
+
+            .attendance-header {
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              margin-bottom: 8px;
+              font-weight: 600;
+            }
+
+            .attendance-header button {
+              padding: 4px 10px;
+              background: var(--accent-blue);
+              border: none;
+              border-radius: 4px;
+              color: var(--text-color);
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .attendance-panel table {
+              width: 100%;
+              border-collapse: collapse;
+            }
+
+            .attendance-panel th,
+            .attendance-panel td {
+              padding: 4px 6px;
+              border-top: 1px solid var(--border);
+              text-align: left;
+            }
+
+            .attendance-panel tr.absent td {
+              opacity: 0.6;
+            }
+
+            .video-gallery {
+              display: grid;
+              grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+              gap: 12px;
+              max-width: 1400px;
+              margin: 0 auto;
+            }
+
+            .video-item {
+              display: flex;
+              flex-direction: column;
+              gap: 12px;
+              background: #1c1c38;
+              border-radius: 10px;
+              overflow: hidden;
+              transition: transform 0.2s;
+            }
+
+            .local-video {
+              grid-column: span 2;
+              max-width: 500px;
+              margin: 0 auto;
+            }
+
+            .video-item:hover {
+              transform: scale(1.02);
+            }
+
+            .video-wrapper {
+              position: relative;
+              width: 100%;
+              aspect-ratio: 16 / 9;
+            }
+
+            .video-element {
+              width: 100%;
+              height: 100%;
+              object-fit: cover;
+            }
+
+            .video-overlay {
+              position: absolute;
+              bottom: 0;
+              left: 0;
+              right: 0;
+              padding: 8px;
+              background: linear-gradient(to top, rgba(0,0,0,0.7), transparent);
+              color: var(--text-color);
+              display: flex;
+              flex-direction: column;
+              gap: 4px;
+            }
+
+            .video-name {
+              font-size: 13px;
+              font-weight: 500;
+            }
+
+            .video-status {
+              font-size: 11px;
+              display: flex;
+              align-items: center;
+              gap: 6px;
+            }
+
+            .video-status span {
+              color: #a0a0c0;
+            }
+
+            .raised-hand {
+              color: var(--warning);
+            }
+
+            .floating-reactions {
+              position: absolute;
+              bottom: 100%;
+              left: 8px;
+              display: flex;
+              gap: 4px;
+              pointer-events: none;
+            }
+
+            .floating-reactions span {
+              font-size: 28px;
+              animation: reaction-float ${REACTION_DISPLAY_MS}ms ease-out forwards;
+            }
+
+            @keyframes reaction-float {
+              from { transform: translateY(0); opacity: 1; }
+              to { transform: translateY(-60px); opacity: 0; }
+            }
+
+            .proctor-controls {
+              display: flex;
+              gap: 4px;
+              margin-left: auto;
+            }
+
+            .proctor-controls button {
+              padding: 6px;
+              background: rgba(255,255,255,0.1);
+              border: none;
+              border-radius: 4px;
+              color: var(--text-color);
+              cursor: pointer;
+              font-size: 12px;
+              transition: background-color 0.2s;
+            }
+
+            .proctor-controls button:hover {
+              background: rgba(255,255,255,0.2);
+            }
+
+            .proctor-controls button.disabled,
+            .proctor-controls button.danger:hover {
+              background: var(--error);
+            }
+
+            .proctor-controls button.proctor-enabled {
+              background: var(--success);
+            }
+
+            .side-panel {
+              width: 300px;
+              background: var(--secondary-bg);
+              border-left: 1px solid var(--border);
+              display: flex;
+              flex-direction: column;
+              transform: translateX(100%);
+              transition: transform 0.3s ease-in-out;
+            }
+
+            .side-panel.open {
+              transform: translateX(0);
+            }
+
+            .chat-container {
+              flex: 1;
+              display: flex;
+              flex-direction: column;
+              padding: 12px;
+            }
+
+            .chat-header {
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              margin-bottom: 12px;
+            }
+
+            .chat-header h3 {
+              font-size: 16px;
+              font-weight: 600;
+              margin: 0;
+            }
+
+            .chat-header button {
+              background: none;
+              border: none;
+              font-size: 14px;
+              cursor: pointer;
+              color: var(--text-color);
+              opacity: 0.7;
+            }
+
+            .chat-header button:hover {
+              opacity: 1;
+            }
+
+            .chat-messages {
+              flex: 1;
+              overflow-y: auto;
+              padding: 8px;
+              background: #1c1c38;
+              border-radius: 6px;
+              margin-bottom: 12px;
+            }
+
+            .chat-message {
+              margin-bottom: 12px;
+              padding: 10px;
+              border-radius: 6px;
+              background: #24244a;
+              max-width: 80%;
+            }
+
+            .chat-message.own-message {
+              background: var(--accent-blue);
+              margin-left: auto;
+            }
+
+            .chat-meta {
+              display: flex;
+              gap: 6px;
+              align-items: baseline;
+              margin-bottom: 4px;
+            }
+
+            .chat-sender {
               font-weight: 500;
               color: var(--accent-purple);
             }
 
-            .chat-time {
+            .chat-time {
+              color: #a0a0c0;
+              font-size: 0.75em;
+            }
+
+            .chat-text {
+              font-size: 13px;
+              white-space: pre-wrap;
+              word-break: break-word;
+            }
+
+            .chat-attachment {
+              margin-top: 6px;
+              font-size: 12px;
+            }
+
+            .chat-attachment img {
+              display: block;
+              max-width: 100%;
+              max-height: 180px;
+              border-radius: 4px;
+              margin-bottom: 6px;
+            }
+
+            .chat-attachment-info {
+              display: flex;
+              align-items: center;
+              gap: 6px;
+              word-break: break-all;
+            }
+
+            .chat-attachment-info a {
+              color: var(--text-color);
+            }
+
+            .chat-attachment-size,
+            .chat-attachment-note {
+              color: #a0a0c0;
+              font-size: 11px;
+            }
+
+            .file-progress {
+              height: 4px;
+              margin-top: 6px;
+              background: rgba(255,255,255,0.1);
+              border-radius: 2px;
+              overflow: hidden;
+            }
+
+            .file-progress div {
+              height: 100%;
+              background: var(--accent-purple);
+              transition: width 0.2s;
+            }
+
+            .chat-message.deleted .chat-text {
+              font-style: italic;
+              color: #a0a0c0;
+            }
+
+            .chat-reactions,
+            .chat-reaction-picker {
+              display: flex;
+              flex-wrap: wrap;
+              gap: 4px;
+              margin-top: 6px;
+            }
+
+            .chat-reactions button,
+            .chat-reaction-picker button {
+              padding: 2px 6px;
+              background: rgba(255,255,255,0.1);
+              border: 1px solid transparent;
+              border-radius: 10px;
+              color: var(--text-color);
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .chat-reactions button.reacted {
+              border-color: var(--accent-purple);
+            }
+
+            .chat-actions {
+              display: none;
+              gap: 4px;
+              margin-top: 4px;
+            }
+
+            .chat-message:hover .chat-actions {
+              display: flex;
+            }
+
+            .chat-actions button {
+              padding: 2px 6px;
+              background: none;
+              border: none;
+              color: #a0a0c0;
+              cursor: pointer;
+              font-size: 11px;
+            }
+
+            .chat-actions button:hover {
+              color: var(--text-color);
+            }
+
+            .chat-header-actions {
+              display: flex;
+              gap: 4px;
+            }
+
+            .chat-settings {
+              display: flex;
+              flex-direction: column;
+              gap: 8px;
+              margin-bottom: 10px;
+              padding: 10px;
+              background: #1c1c38;
+              border-radius: 6px;
+              font-size: 12px;
+            }
+
+            .chat-settings label {
+              display: flex;
+              flex-direction: column;
+              gap: 4px;
+              color: #a0a0c0;
+            }
+
+            .chat-settings select,
+            .chat-settings input,
+            .chat-settings textarea {
+              padding: 6px;
+              border: 1px solid var(--border);
+              border-radius: 4px;
+              background: #24244a;
+              color: var(--text-color);
+              font-size: 12px;
+              resize: vertical;
+            }
+
+            .chat-settings-actions {
+              display: flex;
+              justify-content: flex-end;
+              gap: 6px;
+            }
+
+            .chat-settings-actions button {
+              padding: 6px 12px;
+              border: none;
+              border-radius: 4px;
+              background: var(--accent-blue);
+              color: #fff;
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .chat-settings-actions button:first-child {
+              background: rgba(255,255,255,0.1);
+            }
+
+            .polls-panel,
+            .qa-panel {
+              padding: 12px;
+              overflow-y: auto;
+            }
+
+            .chat-header-actions select {
+              padding: 2px 4px;
+              border: 1px solid var(--border);
+              border-radius: 4px;
+              background: #24244a;
+              color: var(--text-color);
+              font-size: 12px;
+            }
+
+            .qa-list {
+              flex: 1;
+              display: flex;
+              flex-direction: column;
+              gap: 8px;
+              overflow-y: auto;
+            }
+
+            .qa-question {
+              display: flex;
+              gap: 8px;
+              padding: 8px;
+              background: #1c1c38;
+              border: 1px solid transparent;
+              border-radius: 6px;
+              font-size: 13px;
+            }
+
+            .qa-question.pinned {
+              border-color: var(--accent-blue);
+            }
+
+            .qa-question.answered .qa-text,
+            .qa-question.dismissed {
+              opacity: 0.6;
+            }
+
+            .qa-upvote {
+              display: flex;
+              flex-direction: column;
+              align-items: center;
+              min-width: 36px;
+              padding: 4px;
+              background: rgba(255,255,255,0.1);
+              border: 1px solid transparent;
+              border-radius: 4px;
+              color: var(--text-color);
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .qa-upvote.upvoted {
+              border-color: var(--accent-purple);
+              color: var(--accent-purple);
+            }
+
+            .qa-upvote:disabled {
+              cursor: default;
+            }
+
+            .qa-body {
+              flex: 1;
+              min-width: 0;
+            }
+
+            .qa-text {
+              word-wrap: break-word;
+            }
+
+            .qa-meta {
+              margin-top: 4px;
+              font-size: 11px;
               color: #a0a0c0;
-              font-size: 0.75em;
             }
 
-            .chat-text {
+            .qa-badge {
+              margin-left: 6px;
+              padding: 1px 6px;
+              border-radius: 8px;
+              background: rgba(0, 183, 235, 0.2);
+              color: var(--accent-blue);
+            }
+
+            .qa-badge.answered {
+              background: rgba(0, 204, 105, 0.2);
+              color: var(--success);
+            }
+
+            .qa-badge.dismissed {
+              background: rgba(255, 77, 77, 0.2);
+              color: var(--error);
+            }
+
+            .qa-actions {
+              display: flex;
+              gap: 4px;
+              margin-top: 6px;
+            }
+
+            .qa-actions button {
+              padding: 4px 6px;
+              background: rgba(255,255,255,0.1);
+              border: none;
+              border-radius: 4px;
+              color: var(--text-color);
+              cursor: pointer;
+              font-size: 11px;
+            }
+
+            .qa-input {
+              margin-top: 10px;
+              display: flex;
+              flex-direction: column;
+              gap: 6px;
+            }
+
+            .qa-input textarea {
+              padding: 8px;
+              border: 1px solid var(--border);
+              border-radius: 4px;
+              background: #24244a;
+              color: var(--text-color);
+              font-size: 13px;
+              resize: vertical;
+            }
+
+            .qa-input-actions {
+              display: flex;
+              justify-content: space-between;
+              align-items: center;
+              font-size: 12px;
+              color: #a0a0c0;
+            }
+
+            .qa-input-actions button {
+              padding: 6px 12px;
+              border: none;
+              border-radius: 4px;
+              background: var(--accent-blue);
+              color: #fff;
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .qa-input-actions button:disabled {
+              opacity: 0.5;
+              cursor: default;
+            }
+
+            .poll-draft-option {
+              display: flex;
+              align-items: center;
+              gap: 6px;
+            }
+
+            .poll-draft-option input[type='text'] {
+              flex: 1;
+            }
+
+            .poll-draft-option button,
+            .poll-add-option {
+              padding: 4px 8px;
+              background: rgba(255,255,255,0.1);
+              border: none;
+              border-radius: 4px;
+              color: var(--text-color);
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .chat-settings .poll-draft-flag {
+              flex-direction: row;
+              align-items: center;
+            }
+
+            .polls-list {
+              display: flex;
+              flex-direction: column;
+              gap: 10px;
+            }
+
+            .poll-empty {
+              font-size: 12px;
+              color: #a0a0c0;
+            }
+
+            .poll-card {
+              padding: 10px;
+              background: #1c1c38;
+              border-radius: 6px;
+              font-size: 13px;
+            }
+
+            .poll-card-header {
+              display: flex;
+              justify-content: space-between;
+              gap: 8px;
+            }
+
+            .poll-question {
+              font-weight: 600;
+            }
+
+            .poll-status {
+              font-size: 11px;
+              text-transform: uppercase;
+              color: #a0a0c0;
+            }
+
+            .poll-status.open {
+              color: var(--success);
+            }
+
+            .poll-meta {
+              margin: 4px 0 8px;
+              font-size: 11px;
+              color: #a0a0c0;
+            }
+
+            .poll-option {
+              position: relative;
+              display: flex;
+              align-items: center;
+              gap: 6px;
+              margin-bottom: 4px;
+              padding: 6px;
+              border: 1px solid var(--border);
+              border-radius: 4px;
+              overflow: hidden;
+            }
+
+            .poll-option.voted {
+              border-color: var(--accent-purple);
+            }
+
+            .poll-option.correct {
+              border-color: var(--success);
+            }
+
+            .poll-option-text {
+              flex: 1;
+              z-index: 1;
+            }
+
+            .poll-option-text i {
+              margin-left: 6px;
+              color: var(--success);
+            }
+
+            .poll-option-count {
+              font-size: 11px;
+              color: #a0a0c0;
+              z-index: 1;
+            }
+
+            .poll-bar {
+              position: absolute;
+              top: 0;
+              bottom: 0;
+              left: 0;
+              background: rgba(107, 72, 255, 0.25);
+            }
+
+            .poll-vote,
+            .poll-actions button {
+              padding: 6px 12px;
+              border: none;
+              border-radius: 4px;
+              background: var(--accent-blue);
+              color: #fff;
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .poll-vote:disabled {
+              opacity: 0.5;
+              cursor: default;
+            }
+
+            .poll-actions {
+              display: flex;
+              gap: 6px;
+              margin-top: 8px;
+            }
+
+            .chat-notice {
+              font-size: 12px;
+              color: var(--warning);
+              margin-bottom: 8px;
+            }
+
+            .chat-typing,
+            .chat-editing {
+              font-size: 12px;
+              color: #a0a0c0;
+              margin-bottom: 8px;
+            }
+
+            .chat-editing {
+              display: flex;
+              justify-content: space-between;
+            }
+
+            .chat-editing button {
+              background: none;
+              border: none;
+              color: var(--accent-blue);
+              cursor: pointer;
+              font-size: 12px;
+            }
+
+            .chat-thread {
+              margin-bottom: 10px;
+            }
+
+            .chat-thread select {
+              width: 100%;
+              padding: 8px;
+              border: 1px solid var(--border);
+              border-radius: 6px;
               font-size: 13px;
+              background: #24244a;
+              color: var(--text-color);
             }
 
             .chat-input {
@@ -2127,6 +5221,35 @@ const renegotiatePeer = async (peer, userId, retryCount = 0, isCleanup = false)
               border-color: var(--success);
             }
 
+            .controls button.raised {
+              color: var(--warning);
+              border-color: var(--warning);
+            }
+
+            .reaction-control {
+              position: relative;
+            }
+
+            .meeting-reaction-picker {
+              position: absolute;
+              bottom: calc(100% + 8px);
+              left: 50%;
+              transform: translateX(-50%);
+              display: flex;
+              gap: 4px;
+              padding: 6px;
+              background: var(--secondary-bg);
+              border: 1px solid var(--border);
+              border-radius: 8px;
+              z-index: 10;
+            }
+
+            .controls .meeting-reaction-picker button {
+              padding: 4px 6px;
+              border: none;
+              font-size: 18px;
+            }
+
             .debug-panel {
               position: absolute;
               bottom: 60px;
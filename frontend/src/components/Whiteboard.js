@@ -0,0 +1,421 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Drawings are stored in a fixed 16:9 board space and scaled to the canvas.
+// Must match BOARD_WIDTH / BOARD_HEIGHT in backend/whiteboard.js.
+const BOARD_WIDTH = 1600;
+const BOARD_HEIGHT = 900;
+const MAX_STROKE_POINTS = 4000;
+const BACKGROUND = '#ffffff';
+
+const TOOLS = [
+  { id: 'pen', icon: 'fas fa-pen', label: 'Pen' },
+  { id: 'line', icon: 'fas fa-slash', label: 'Line' },
+  { id: 'rect', icon: 'far fa-square', label: 'Rectangle' },
+  { id: 'ellipse', icon: 'far fa-circle', label: 'Ellipse' },
+  { id: 'text', icon: 'fas fa-font', label: 'Text' },
+  { id: 'eraser', icon: 'fas fa-eraser', label: 'Eraser' },
+];
+const COLORS = ['#000000', '#e53935', '#1e88e5', '#43a047', '#fb8c00', '#8e24aa'];
+const WIDTHS = [2, 4, 8];
+
+const textSize = (width) => 16 + width * 2;
+
+const bounds = ({ x1, y1, x2, y2 }) => ({
+  x: Math.min(x1, x2),
+  y: Math.min(y1, y2),
+  width: Math.abs(x2 - x1),
+  height: Math.abs(y2 - y1),
+});
+
+const drawElement = (ctx, element) => {
+  ctx.strokeStyle = element.color;
+  ctx.fillStyle = element.color;
+  ctx.lineWidth = element.width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  if (element.type === 'pen') {
+    const { points } = element;
+    ctx.moveTo(points[0], points[1]);
+    // A single tap still leaves a dot.
+    if (points.length === 2) ctx.lineTo(points[0] + 0.1, points[1]);
+    for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1]);
+    ctx.stroke();
+  } else if (element.type === 'line') {
+    ctx.moveTo(element.x1, element.y1);
+    ctx.lineTo(element.x2, element.y2);
+    ctx.stroke();
+  } else if (element.type === 'rect') {
+    const { x, y, width, height } = bounds(element);
+    ctx.strokeRect(x, y, width, height);
+  } else if (element.type === 'ellipse') {
+    const { x, y, width, height } = bounds(element);
+    ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+    ctx.stroke();
+  } else if (element.type === 'text') {
+    ctx.font = `${element.size}px sans-serif`;
+    ctx.textBaseline = 'top';
+    ctx.fillText(element.text, element.x, element.y);
+  }
+};
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const elementToSvg = (element) => {
+  const stroke = `stroke="${element.color}" stroke-width="${element.width}" fill="none" stroke-linecap="round" stroke-linejoin="round"`;
+  if (element.type === 'pen') {
+    const pairs = [];
+    for (let i = 0; i < element.points.length; i += 2) pairs.push(`${element.points[i]},${element.points[i + 1]}`);
+    return `<polyline points="${pairs.join(' ')}" ${stroke}/>`;
+  }
+  if (element.type === 'line') {
+    return `<line x1="${element.x1}" y1="${element.y1}" x2="${element.x2}" y2="${element.y2}" ${stroke}/>`;
+  }
+  if (element.type === 'rect') {
+    const { x, y, width, height } = bounds(element);
+    return `<rect x="${x}" y="${y}" width="${width}" height="${height}" ${stroke}/>`;
+  }
+  if (element.type === 'ellipse') {
+    const { x, y, width, height } = bounds(element);
+    return `<ellipse cx="${x + width / 2}" cy="${y + height / 2}" rx="${width / 2}" ry="${height / 2}" ${stroke}/>`;
+  }
+  if (element.type === 'text') {
+    return `<text x="${element.x}" y="${element.y}" fill="${element.color}" font-size="${element.size}" font-family="sans-serif" dominant-baseline="hanging">${escapeXml(element.text)}</text>`;
+  }
+  return '';
+};
+
+const pageToSvg = (page) => `<svg xmlns="http://www.w3.org/2000/svg" width="${BOARD_WIDTH}" height="${BOARD_HEIGHT}" viewBox="0 0 ${BOARD_WIDTH} ${BOARD_HEIGHT}">
+<rect width="${BOARD_WIDTH}" height="${BOARD_HEIGHT}" fill="${BACKGROUND}"/>
+${page.elements.map(elementToSvg).join('\n')}
+</svg>
+`;
+
+const distanceToSegment = (px, py, x1, y1, x2, y2) => {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared)) : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+};
+
+// Whether the eraser at (x, y) touches an element. Shapes and text are hit anywhere inside their box.
+const hitTest = (element, x, y) => {
+  const tolerance = element.width / 2 + 8;
+  if (element.type === 'pen') {
+    const { points } = element;
+    if (points.length === 2) return Math.hypot(x - points[0], y - points[1]) <= tolerance;
+    for (let i = 2; i < points.length; i += 2) {
+      if (distanceToSegment(x, y, points[i - 2], points[i - 1], points[i], points[i + 1]) <= tolerance) return true;
+    }
+    return false;
+  }
+  if (element.type === 'line') return distanceToSegment(x, y, element.x1, element.y1, element.x2, element.y2) <= tolerance;
+  const box = element.type === 'text'
+    ? { x: element.x, y: element.y, width: element.text.length * element.size * 0.6, height: element.size }
+    : bounds(element);
+  return x >= box.x - tolerance && x <= box.x + box.width + tolerance && y >= box.y - tolerance && y <= box.y + box.height + tolerance;
+};
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Shared drawing board. The board itself lives in Video.js; every change goes to the server through onAction,
+// whose callback gets the server's reply.
+const Whiteboard = ({ board, canModerate, onAction, onClose }) => {
+  const canvasRef = useRef(null);
+  const [pageId, setPageId] = useState(null);
+  const [tool, setTool] = useState('pen');
+  const [color, setColor] = useState(COLORS[0]);
+  const [width, setWidth] = useState(WIDTHS[1]);
+  // The element being drawn, and finished ones still waiting for the server to store them.
+  const [draft, setDraft] = useState(null);
+  const [pending, setPending] = useState([]);
+
+  const page = board.pages.find((entry) => entry.id === pageId) || board.pages[0];
+  const pageNumber = page ? board.pages.indexOf(page) + 1 : 0;
+  const readOnly = board.locked && !canModerate;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !page) return;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, BOARD_WIDTH, BOARD_HEIGHT);
+    page.elements.forEach((element) => drawElement(ctx, element));
+    pending.forEach((element) => drawElement(ctx, element));
+    if (draft) drawElement(ctx, draft);
+  }, [page, pending, draft]);
+
+  const toBoardPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * BOARD_WIDTH;
+    const y = ((event.clientY - rect.top) / rect.height) * BOARD_HEIGHT;
+    return [
+      Math.round(Math.min(BOARD_WIDTH, Math.max(0, x)) * 10) / 10,
+      Math.round(Math.min(BOARD_HEIGHT, Math.max(0, y)) * 10) / 10,
+    ];
+  };
+
+  const submitElement = (element) => {
+    setPending((prev) => [...prev, element]);
+    onAction('wb-add', { pageId: page.id, element }, () => {
+      setPending((prev) => prev.filter((entry) => entry !== element));
+    });
+  };
+
+  const handlePointerDown = (event) => {
+    if (readOnly || !page) return;
+    const [x, y] = toBoardPoint(event);
+    if (tool === 'eraser') {
+      const hit = [...page.elements].reverse().find((element) => hitTest(element, x, y));
+      if (hit) onAction('wb-erase', { pageId: page.id, elementId: hit.id });
+      return;
+    }
+    if (tool === 'text') {
+      const text = window.prompt('Text to add:');
+      if (text && text.trim()) submitElement({ type: 'text', color, width, x, y, text: text.trim(), size: textSize(width) });
+      return;
+    }
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDraft(
+      tool === 'pen'
+        ? { type: 'pen', color, width, points: [x, y] }
+        : { type: tool, color, width, x1: x, y1: y, x2: x, y2: y }
+    );
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const [x, y] = toBoardPoint(event);
+    setDraft((prev) => {
+      if (!prev) return prev;
+      if (prev.type !== 'pen') return { ...prev, x2: x, y2: y };
+      return prev.points.length >= MAX_STROKE_POINTS * 2 ? prev : { ...prev, points: [...prev.points, x, y] };
+    });
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    setDraft(null);
+    submitElement(draft);
+  };
+
+  const exportPng = () => {
+    canvasRef.current.toBlob((blob) => blob && saveBlob(blob, `whiteboard-page-${pageNumber}.png`), 'image/png');
+  };
+
+  const exportSvg = () => {
+    saveBlob(new Blob([pageToSvg(page)], { type: 'image/svg+xml' }), `whiteboard-page-${pageNumber}.svg`);
+  };
+
+  const deletePage = () => {
+    if (!window.confirm(`Delete page ${pageNumber} for everyone?`)) return;
+    onAction('wb-delete-page', { pageId: page.id });
+  };
+
+  const clearPage = () => {
+    if (!window.confirm(`Clear page ${pageNumber} for everyone?`)) return;
+    onAction('wb-clear', { pageId: page.id });
+  };
+
+  return (
+    <div className="whiteboard">
+      <div className="whiteboard-toolbar">
+        <div className="whiteboard-group">
+          {TOOLS.map((entry) => (
+            <button
+              key={entry.id}
+              className={tool === entry.id ? 'active' : ''}
+              onClick={() => setTool(entry.id)}
+              disabled={readOnly}
+              title={entry.label}
+            >
+              <i className={entry.icon}></i>
+            </button>
+          ))}
+        </div>
+        <div className="whiteboard-group">
+          {COLORS.map((entry) => (
+            <button
+              key={entry}
+              className={`whiteboard-color ${color === entry ? 'active' : ''}`}
+              style={{ background: entry }}
+              onClick={() => setColor(entry)}
+              disabled={readOnly}
+              title={entry}
+            />
+          ))}
+        </div>
+        <div className="whiteboard-group">
+          {WIDTHS.map((entry) => (
+            <button
+              key={entry}
+              className={width === entry ? 'active' : ''}
+              onClick={() => setWidth(entry)}
+              disabled={readOnly}
+              title={`Size ${entry}`}
+            >
+              <span className="whiteboard-width" style={{ width: entry + 2, height: entry + 2 }}></span>
+            </button>
+          ))}
+        </div>
+        <div className="whiteboard-group">
+          <button onClick={() => onAction('wb-undo', {})} disabled={readOnly} title="Undo your last change">
+            <i className="fas fa-undo"></i>
+          </button>
+          {canModerate && (
+            <>
+              <button onClick={clearPage} title="Clear page">
+                <i className="fas fa-trash-alt"></i>
+              </button>
+              <button
+                onClick={() => onAction('wb-lock', { locked: !board.locked })}
+                className={board.locked ? 'active' : ''}
+                title={board.locked ? 'Let everyone draw' : 'Make view-only for participants'}
+              >
+                <i className={board.locked ? 'fas fa-lock' : 'fas fa-lock-open'}></i>
+              </button>
+            </>
+          )}
+          <button onClick={exportPng} title="Download page as PNG">PNG</button>
+          <button onClick={exportSvg} title="Download page as SVG">SVG</button>
+        </div>
+        <div className="whiteboard-group whiteboard-pages">
+          {board.pages.map((entry, index) => (
+            <button key={entry.id} className={entry === page ? 'active' : ''} onClick={() => setPageId(entry.id)}>
+              {index + 1}
+            </button>
+          ))}
+          {!readOnly && (
+            <button onClick={() => onAction('wb-add-page', {}, (res) => res.ok && setPageId(res.pageId))} title="Add page">
+              <i className="fas fa-plus"></i>
+            </button>
+          )}
+          {canModerate && board.pages.length > 1 && (
+            <button onClick={deletePage} title="Delete this page">
+              <i className="fas fa-minus"></i>
+            </button>
+          )}
+        </div>
+        {readOnly && <span className="whiteboard-note">View only</span>}
+        <button className="whiteboard-close" onClick={onClose} title="Close whiteboard">
+          <i className="fas fa-times"></i>
+        </button>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={BOARD_WIDTH}
+        height={BOARD_HEIGHT}
+        className={readOnly ? 'read-only' : `tool-${tool}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+      <style>
+        {`.whiteboard {
+            max-width: 1400px;
+            margin: 0 auto 12px;
+            padding: 8px;
+            background: var(--secondary-bg);
+            border: 1px solid var(--border);
+            border-radius: 8px;
+          }
+
+          .whiteboard-toolbar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 8px;
+          }
+
+          .whiteboard-group {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+          }
+
+          .whiteboard-toolbar button {
+            min-width: 30px;
+            height: 30px;
+            padding: 0 6px;
+            background: rgba(255,255,255,0.1);
+            border: 1px solid transparent;
+            border-radius: 4px;
+            color: var(--text-color);
+            cursor: pointer;
+            font-size: 12px;
+          }
+
+          .whiteboard-toolbar button.active {
+            border-color: var(--accent-blue);
+            color: var(--accent-blue);
+          }
+
+          .whiteboard-toolbar button:disabled {
+            opacity: 0.4;
+            cursor: default;
+          }
+
+          .whiteboard-toolbar .whiteboard-color {
+            min-width: 22px;
+            width: 22px;
+            height: 22px;
+            border-radius: 50%;
+          }
+
+          .whiteboard-toolbar .whiteboard-color.active {
+            border: 2px solid var(--text-color);
+          }
+
+          .whiteboard-width {
+            display: inline-block;
+            border-radius: 50%;
+            background: var(--text-color);
+          }
+
+          .whiteboard-note {
+            font-size: 12px;
+            color: var(--warning);
+          }
+
+          .whiteboard-toolbar .whiteboard-close {
+            margin-left: auto;
+          }
+
+          .whiteboard canvas {
+            display: block;
+            width: 100%;
+            height: auto;
+            border-radius: 4px;
+            touch-action: none;
+            cursor: crosshair;
+          }
+
+          .whiteboard canvas.tool-text {
+            cursor: text;
+          }
+
+          .whiteboard canvas.tool-eraser {
+            cursor: cell;
+          }
+
+          .whiteboard canvas.read-only {
+            cursor: default;
+          }
+        `}
+      </style>
+    </div>
+  );
+};
+
+export default Whiteboard;
@@ -0,0 +1,88 @@
+// Chunked file transfer over SimplePeer data channels.
+// Every frame is binary: a one-byte kind, then either a JSON control message or a file ID and a chunk of data.
+
+// Must match MAX_FILE_SIZE in backend/files.js.
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const CHUNK_SIZE = 16 * 1024;
+// Pause sending while this much data is still queued on the channel.
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+const FILE_ID_LENGTH = 36;
+
+const FRAME_CONTROL = 0;
+const FRAME_CHUNK = 1;
+
+// Created on first use: the test environment (jsdom) has no TextEncoder, and importing this module must not fail there.
+let encoder;
+let decoder;
+const encode = (text) => (encoder || (encoder = new TextEncoder())).encode(text);
+const decode = (bytes) => (decoder || (decoder = new TextDecoder())).decode(bytes);
+
+// Image types shown inline in chat; matches PREVIEW_TYPES on the server.
+export const isPreviewableImage = (type) => ['image/png', 'image/jpeg', 'image/gif', 'image/webp'].includes(type);
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export const canSendData = (peer) => peer?._channel?.readyState === 'open';
+
+const encodeControl = (message) => {
+  const body = encode(JSON.stringify(message));
+  const frame = new Uint8Array(body.length + 1);
+  frame[0] = FRAME_CONTROL;
+  frame.set(body, 1);
+  return frame;
+};
+
+const encodeChunk = (fileId, chunk) => {
+  const frame = new Uint8Array(1 + FILE_ID_LENGTH + chunk.length);
+  frame[0] = FRAME_CHUNK;
+  frame.set(encode(fileId), 1);
+  frame.set(chunk, 1 + FILE_ID_LENGTH);
+  return frame;
+};
+
+// Returns { type: 'control', message } or { type: 'chunk', fileId, chunk }, or null for anything else.
+export const decodeFrame = (data) => {
+  const bytes = typeof data === 'string' ? encode(data) : new Uint8Array(data);
+  try {
+    if (bytes[0] === FRAME_CONTROL) {
+      return { type: 'control', message: JSON.parse(decode(bytes.subarray(1))) };
+    }
+    if (bytes[0] === FRAME_CHUNK) {
+      return {
+        type: 'chunk',
+        fileId: decode(bytes.subarray(1, 1 + FILE_ID_LENGTH)),
+        chunk: bytes.slice(1 + FILE_ID_LENGTH),
+      };
+    }
+  } catch (err) {
+    return null;
+  }
+  return null;
+};
+
+const waitForDrain = (peer) =>
+  new Promise((resolve) => {
+    const check = () => {
+      if (!canSendData(peer) || peer._channel.bufferedAmount < MAX_BUFFERED_AMOUNT) resolve();
+      else setTimeout(check, 50);
+    };
+    check();
+  });
+
+// Streams a file to one peer; onProgress receives the fraction sent so far.
+// Rejects if the channel closes part-way, so the caller can fall back to uploading.
+export const sendFileToPeer = async (peer, fileId, file, onProgress) => {
+  peer.send(encodeControl({ type: 'file-start', fileId, name: file.name, mimeType: file.type, size: file.size }));
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    await waitForDrain(peer);
+    if (!canSendData(peer)) throw new Error('Data channel closed');
+    const chunk = new Uint8Array(await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    peer.send(encodeChunk(fileId, chunk));
+    if (onProgress) onProgress(Math.min(1, (offset + chunk.length) / file.size));
+  }
+  peer.send(encodeControl({ type: 'file-end', fileId }));
+};
@@ -0,0 +1,23 @@
+// What this browser tab needs to get back into a meeting after a reload: the display name, the resume token
+// (same participant, if still within the server's grace period) and, for the host, the host key.
+// Stored per room in sessionStorage, so it lasts as long as the tab and is not shared with other tabs.
+
+const storageKey = (roomId) => `livemeet-room-${roomId}`;
+
+export const loadRoomSession = (roomId) => {
+  if (!roomId) return {};
+  try {
+    return JSON.parse(sessionStorage.getItem(storageKey(roomId))) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// Merges changes into what is already stored for the room.
+export const saveRoomSession = (roomId, changes) => {
+  sessionStorage.setItem(storageKey(roomId), JSON.stringify({ ...loadRoomSession(roomId), ...changes }));
+};
+
+export const clearRoomSession = (roomId) => {
+  if (roomId) sessionStorage.removeItem(storageKey(roomId));
+};
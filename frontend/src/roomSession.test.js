@@ -0,0 +1,11 @@
+import { loadRoomSession, saveRoomSession, clearRoomSession } from './roomSession';
+
+test('what a host tab saved for a room is there after a reload', () => {
+  saveRoomSession('room-1', { hostKey: 'key', userName: 'Host' });
+  saveRoomSession('room-1', { resumeToken: 'resume' });
+  expect(loadRoomSession('room-1')).toEqual({ hostKey: 'key', userName: 'Host', resumeToken: 'resume' });
+  expect(loadRoomSession('room-2')).toEqual({});
+
+  clearRoomSession('room-1');
+  expect(loadRoomSession('room-1')).toEqual({});
+});
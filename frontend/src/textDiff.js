@@ -0,0 +1,26 @@
+// Turns edits to a plain textarea into operations for the code pad (see textOperation.js).
+import { append } from './textOperation';
+
+// The one changed stretch between two texts: everything before `start` and after the ends is shared.
+export const diffRange = (oldText, newText) => {
+  let start = 0;
+  while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start += 1;
+  let suffix = 0;
+  while (
+    suffix < oldText.length - start
+    && suffix < newText.length - start
+    && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) suffix += 1;
+  return { start, oldEnd: oldText.length - suffix, newEnd: newText.length - suffix };
+};
+
+// Builds the operation that turns oldText into newText, e.g. from a textarea's value before and after a keystroke.
+export const fromDiff = (oldText, newText) => {
+  const { start, oldEnd, newEnd } = diffRange(oldText, newText);
+  const operation = [];
+  append(operation, start);
+  append(operation, start - oldEnd);
+  append(operation, newText.slice(start, newEnd));
+  append(operation, oldText.length - oldEnd);
+  return operation;
+};
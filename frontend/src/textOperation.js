@@ -0,0 +1,88 @@
+// Plain-text operational transforms for the shared code pad.
+// An operation is an array of components that walk the whole document from start to end:
+// a positive integer keeps that many characters, a negative integer deletes that many and a string is inserted.
+// This core is byte-for-byte the same file in backend/ and frontend/src/ (a test compares them), so it stays
+// CommonJS, which both sides can load. Validation lives in backend/codepad.js and diffing in frontend/src/textDiff.js.
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+const isInsert = (component) => typeof component === 'string' && component.length > 0;
+
+// Adds a component, merging it into the last one when they are of the same kind.
+const append = (operation, component) => {
+  if (component === 0 || component === '') return operation;
+  const last = operation[operation.length - 1];
+  const sameKind = isInsert(component) ? isInsert(last) : isRetain(component) ? isRetain(last) : isDelete(last);
+  if (sameKind) operation[operation.length - 1] = last + component;
+  else operation.push(component);
+  return operation;
+};
+
+// Throws when the operation was made for a document of a different length.
+const apply = (text, operation) => {
+  const parts = [];
+  let index = 0;
+  operation.forEach((component) => {
+    if (isInsert(component)) {
+      parts.push(component);
+      return;
+    }
+    const length = Math.abs(component);
+    if (index + length > text.length) throw new Error('Operation is longer than the text.');
+    if (isRetain(component)) parts.push(text.slice(index, index + length));
+    index += length;
+  });
+  if (index !== text.length) throw new Error('Operation does not cover the whole text.');
+  return parts.join('');
+};
+
+const shrink = (component, length) => (component > 0 ? component - length : component + length);
+
+// Given two operations made on the same text, returns [a', b'] so that applying a then b' equals b then a'.
+// When both insert at the same spot, a's text goes first.
+const transform = (a, b) => {
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let x = a[i++];
+  let y = b[j++];
+  while (x !== undefined || y !== undefined) {
+    if (isInsert(x)) {
+      append(aPrime, x);
+      append(bPrime, x.length);
+      x = a[i++];
+    } else if (isInsert(y)) {
+      append(aPrime, y.length);
+      append(bPrime, y);
+      y = b[j++];
+    } else {
+      if (x === undefined || y === undefined) throw new Error('Operations were made on different texts.');
+      const length = Math.min(Math.abs(x), Math.abs(y));
+      if (isRetain(x) && isRetain(y)) {
+        append(aPrime, length);
+        append(bPrime, length);
+      } else if (isDelete(x) && isRetain(y)) {
+        append(aPrime, -length);
+      } else if (isRetain(x) && isDelete(y)) {
+        append(bPrime, -length);
+      }
+      // Text deleted by both needs nothing more from either side.
+      x = shrink(x, length) || a[i++];
+      y = shrink(y, length) || b[j++];
+    }
+  }
+  return [aPrime, bPrime];
+};
+
+const isNoop = (operation) => operation.every(isRetain);
+
+module.exports = {
+  isRetain,
+  isDelete,
+  isInsert,
+  isNoop,
+  append,
+  apply,
+  transform,
+};
@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+import { apply, transform, isNoop } from './textOperation';
+import { fromDiff } from './textDiff';
+
+// Small deterministic generator so a failing case can be replayed.
+const makeRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const randomEdit = (text, random) => {
+  const start = Math.floor(random() * (text.length + 1));
+  const end = start + Math.floor(random() * (text.length - start + 1));
+  const inserted = 'xyz\n'.slice(0, Math.floor(random() * 5));
+  return text.slice(0, start) + inserted + text.slice(end);
+};
+
+test('apply keeps, deletes and inserts across the whole text', () => {
+  expect(apply('hello world', [6, -5, 'there'])).toBe('hello there');
+  expect(apply('', ['new'])).toBe('new');
+  expect(() => apply('short', [10])).toThrow();
+  expect(() => apply('short', [2])).toThrow();
+});
+
+test('fromDiff turns one text into the other', () => {
+  expect(fromDiff('hello world', 'hello there')).toEqual([6, -5, 'there']);
+  expect(apply('abc', fromDiff('abc', 'abXc'))).toBe('abXc');
+  expect(isNoop(fromDiff('same', 'same'))).toBe(true);
+});
+
+test('concurrent inserts at the same spot keep the first operation in front', () => {
+  const [aPrime, bPrime] = transform([2, 'A', 1], [2, 'B', 1]);
+  expect(apply(apply('abc', [2, 'A', 1]), bPrime)).toBe('abABc');
+  expect(apply(apply('abc', [2, 'B', 1]), aPrime)).toBe('abABc');
+});
+
+test('transformed edits converge whichever order they are applied in', () => {
+  const random = makeRandom(42);
+  for (let run = 0; run < 500; run += 1) {
+    const text = 'function add(a, b) {\n  return a + b;\n}\n'.slice(0, Math.floor(random() * 40));
+    const a = fromDiff(text, randomEdit(text, random));
+    const b = fromDiff(text, randomEdit(text, random));
+    const [aPrime, bPrime] = transform(a, b);
+    expect(apply(apply(text, a), bPrime)).toBe(apply(apply(text, b), aPrime));
+  }
+});
+
+test('the server runs the very same core', () => {
+  const read = (file) => fs.readFileSync(path.join(__dirname, file), 'utf8');
+  expect(read('../../backend/textOperation.js')).toBe(read('textOperation.js'));
+});